@@ -1,6 +1,7 @@
 const functions = require('firebase-functions/v1');
 // Use v2 only for the few functions that need Gen 2 compatibility with CPU settings
-const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
+const { onMessagePublished } = require('firebase-functions/v2/pubsub');
 const { onObjectFinalized } = require('firebase-functions/v2/storage');
 const { onSchedule } = require('firebase-functions/v2/scheduler');
 const admin = require('firebase-admin');
@@ -427,11 +428,48 @@ exports.scheduledFixCityFromAddress = functions
     }
   });
 
+/**
+ * Firestore Trigger: Queue new park photos for moderation
+ * - Collection: parks/{parkId}/photos/{photoId}
+ * - Sets moderationStatus 'pending' and files a moderationQueue item (see IMAGE MODERATION)
+ */
+exports.onParkPhotoCreate = functions.firestore
+  .document('parks/{parkId}/photos/{photoId}')
+  .onCreate(async (snapshot, context) => {
+    try {
+      const photo = { ...(snapshot.data() || {}) };
+      // Lets upload renditions/moderation (matched on storagePath) find this doc
+      const storagePath = await linkParkPhotoToUpload(admin.firestore(), snapshot.ref, context.params.parkId, photo);
+      if (storagePath) photo.storagePath = storagePath;
+      if (photo.pinnedByAdmin === true) return null; // admin-added photos skip the queue
+      await enqueueParkPhotoForModeration(admin.firestore(), context.params.parkId, context.params.photoId, photo);
+      return null;
+    } catch (e) {
+      console.error('onParkPhotoCreate error', e);
+      return null;
+    }
+  });
+
+const PHOTO_AUTO_FEATURE_LIKES = 10;
+const PHOTO_AUTO_FEATURE_MAX = 3;
+
+// Whether this update makes an unpinned, unfeatured, approved photo eligible to be featured
+function photoAutoFeatureCandidate(before, after) {
+  if (after.pinnedByAdmin || after.featured) return false;
+  if (after.moderationStatus !== 'approved') return false;
+  const likesBefore = Number(before.likes || 0);
+  const likesAfter = Number(after.likes || 0);
+  const justApproved = before.moderationStatus !== 'approved';
+  return likesAfter >= PHOTO_AUTO_FEATURE_LIKES && (likesBefore < PHOTO_AUTO_FEATURE_LIKES || justApproved);
+}
+
 /**
  * Firestore Trigger: Auto-feature park photos when likes reach threshold
  * - Collection: parks/{parkId}/photos/{photoId}
- * - When likes cross 10 and there are fewer than 3 auto-featured (non-pinned) photos,
+ * - When an approved photo has 10+ likes (crossing the threshold, or approved after it already
+ *   had them) and there are fewer than 3 auto-featured (non-pinned) photos,
  *   mark the photo as featured: true.
+ * - Only moderationStatus 'approved' photos are eligible.
  * - Admin-pinned photos are considered already featured and are not part of this cap.
  */
 exports.onParkPhotoUpdate = functions.firestore
@@ -441,20 +479,11 @@ exports.onParkPhotoUpdate = functions.firestore
       const before = change.before.data() || {};
       const after = change.after.data() || {};
       const parkId = context.params.parkId;
-      const likesBefore = Number(before.likes || 0);
-      const likesAfter = Number(after.likes || 0);
-      const featured = !!after.featured;
-      const pinned = !!after.pinnedByAdmin;
-      const THRESHOLD = 10;
-      const MAX_FEATURED = 3;
-
-      if (pinned) return null;
-      if (featured) return null;
-      if (likesBefore < THRESHOLD && likesAfter >= THRESHOLD) {
+      if (photoAutoFeatureCandidate(before, after)) {
         const db = admin.firestore();
         const photosRef = db.collection('parks').doc(parkId).collection('photos');
         const snap = await photosRef.where('pinnedByAdmin', '==', false).where('featured', '==', true).get();
-        if (snap.size < MAX_FEATURED) {
+        if (snap.size < PHOTO_AUTO_FEATURE_MAX) {
           await change.after.ref.update({ featured: true });
         }
       }
@@ -515,9 +544,82 @@ exports.indexParkAliasesOnUpdate = functions.firestore
     return null;
   });
 
+/**
+ * Queue head notifications: when the player at position 1 of a court's
+ * gotNextQueue changes, tell the new head they're up next (and optionally the
+ * new position 2 that they're on deck).
+ *
+ * - Order is diffed by userId only, so heartbeats (lastActivity edits) never notify
+ * - Per-user opt-out via notificationPrefs.types: queue (all), queue_on_deck (on-deck only)
+ * - De-dup state per court in queueNotifyState/{parkId}_{courtKey} { headUserId, onDeckUserId }
+ *   so an unchanged head isn't re-notified when other parts of the queue change
+ */
+function courtQueueKey(court, index) {
+  if (court && court.id) return String(court.id);
+  if (court && court.courtNumber !== undefined && court.courtNumber !== null) return `n${court.courtNumber}`;
+  return `i${index}`;
+}
+
+function queueUserIds(court) {
+  const q = court && Array.isArray(court.gotNextQueue) ? court.gotNextQueue : [];
+  return q.map(p => (p && p.userId) ? String(p.userId) : '').filter(Boolean);
+}
+
+async function notifyQueueHeadChanges(db, parkId, park, prevCourts, nextCourts) {
+  const prevByKey = new Map();
+  prevCourts.forEach((c, i) => prevByKey.set(courtQueueKey(c, i), queueUserIds(c)));
+
+  const parkName = park.name || 'the park';
+  const sends = [];
+  for (let i = 0; i < nextCourts.length; i++) {
+    const court = nextCourts[i];
+    const key = courtQueueKey(court, i);
+    const prevIds = prevByKey.get(key) || [];
+    const nextIds = queueUserIds(court);
+    const head = nextIds[0] || null;
+    const onDeck = nextIds[1] || null;
+    if (head === (prevIds[0] || null) && onDeck === (prevIds[1] || null)) continue;
+
+    // Claim the notification in a transaction so concurrent trigger runs can't double-send
+    const stateRef = db.collection('queueNotifyState').doc(`${parkId}_${key}`);
+    const claim = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(stateRef);
+      const prev = snap.exists ? (snap.data() || {}) : {};
+      const notifyHead = !!head && prev.headUserId !== head;
+      const notifyOnDeck = !!onDeck && prev.onDeckUserId !== onDeck && prev.headUserId !== onDeck;
+      tx.set(stateRef, { parkId, courtKey: key, headUserId: head, onDeckUserId: onDeck, updatedAt: new Date().toISOString() });
+      return { notifyHead, notifyOnDeck };
+    });
+
+    const courtLabel = (court && court.customName) || `Court ${court && court.courtNumber !== undefined ? court.courtNumber : i + 1}`;
+    const data = {
+      parkId: String(parkId),
+      courtId: court && court.id ? String(court.id) : '',
+      courtNumber: court && court.courtNumber !== undefined && court.courtNumber !== null ? String(court.courtNumber) : '',
+      click_action: 'FLUTTER_NOTIFICATION_CLICK',
+    };
+    if (claim.notifyHead) {
+      sends.push({ userId: head, title: `🏀 You're up next!`, body: `You're first in line for ${courtLabel} at ${parkName}.`, data: { ...data, type: 'queue_up_next' } });
+    }
+    if (claim.notifyOnDeck) {
+      sends.push({ userId: onDeck, title: `⏳ You're on deck`, body: `You're second in line for ${courtLabel} at ${parkName}.`, data: { ...data, type: 'queue_on_deck' } });
+    }
+  }
+  if (!sends.length) return 0;
+
+  // Opt-outs (notificationPrefs.types.queue / queue_on_deck) are applied by sendNotificationsToUsers
+  let sent = 0;
+  for (const s of sends) {
+    const resp = await sendNotificationsToUsers(db, [s.userId], s.title, s.body, s.data);
+    sent += resp.successCount;
+  }
+  return sent;
+}
+
 /**
  * Touch queueTouchedAt whenever any court.gotNextQueue changes
- * to allow schedulers to only scan recently active parks.
+ * to allow schedulers to only scan recently active parks, and notify
+ * players who moved to the front of a queue (see notifyQueueHeadChanges).
  */
 exports.touchQueueTimestampOnParkUpdate = functions.firestore
   .document('parks/{parkId}')
@@ -542,6 +644,12 @@ exports.touchQueueTimestampOnParkUpdate = functions.firestore
 
       const nowIso = new Date().toISOString();
       await change.after.ref.set({ queueTouchedAt: nowIso, updatedAt: nowIso }, { merge: true });
+
+      try {
+        await notifyQueueHeadChanges(admin.firestore(), change.after.id, after, prevCourts, nextCourts);
+      } catch (e) {
+        console.warn('notifyQueueHeadChanges error', e?.message || e);
+      }
       return null;
     } catch (e) {
       console.warn('touchQueueTimestampOnParkUpdate error', e?.message || e);
@@ -611,8 +719,8 @@ exports.claimImporterOwner = functions.https.onCall(async (data, context) => {
  * GEO GATEWAY (onCall)
  * ========================
  * Provides server-side endpoints for text search, place details, and reverse geocoding
- * with Firestore caching, a low-cost fallback provider (Geoapify), and Google as
- * secondary. Keys are read from environment variables or functions config.
+ * with Firestore caching and a pluggable provider chain (see GEO PROVIDERS; Google by
+ * default). Keys are read from environment variables or functions config.
  *
  * Compliance guardrails:
  * - Only minimal fields are cached (name, address, lat/lng, provider)
@@ -869,7 +977,7 @@ async function fetchGoogleTextSearch(text, bias) {
     },
     body: JSON.stringify(body)
   });
-  if (!res.ok) return [];
+  if (!res.ok) throw new Error(`Places searchText HTTP ${res.status}`);
   const data = await res.json();
   const raw = standardizePlacesFromGoogleV1(data);
   // Attach alias hint (best-effort) so clients can link to canonical parks
@@ -909,7 +1017,10 @@ async function fetchGoogleTextSearchPaged({ text, bias, pageAll = true, maxPages
       },
       body: JSON.stringify(body)
     });
-    if (!res.ok) break;
+    if (!res.ok) {
+      if (pagesFetched === 0) throw new Error(`Places searchText HTTP ${res.status}`);
+      break; // keep the pages we already have
+    }
     const data = await res.json();
     let places = standardizePlacesFromGoogleV1(data);
     try {
@@ -929,8 +1040,348 @@ async function fetchGoogleTextSearchPaged({ text, bias, pageAll = true, maxPages
   return { places: Array.from(aggregated.values()), nextPageToken };
 }
 
+/**
+ * ========================
+ * GEO PROVIDERS
+ * ========================
+ * The gateway callables go through geoProviderCall(db, op, args) instead of calling Google
+ * directly. A provider is a plain object:
+ *
+ *   { name, isConfigured(), defaultMonthlyCap,
+ *     textSearch({ text, bias }), textSearchPaged({ text, bias, pageAll, maxPages, pageSize, budget }),
+ *     reverse({ lat, lng }), details({ placeId }) }
+ *
+ * Ops return { result, calls } and throw on transport/API errors. Providers are tried in
+ * order (config/app.geoProviders.order, env GEO_PROVIDERS="local,google", default google);
+ * one is skipped when unconfigured, over its monthly quota, or while its circuit is open.
+ * Errors and empty results fall through to the next provider.
+ *
+ * Quotas: billing/usage/{provider}/{month} (Google keeps its placesCalls counter and
+ * GOOGLE_PLACES_MONTHLY_CAP); others use config/app.geoProviders.<name>.monthlyCap.
+ * Health: geoProviderHealth/{provider} { consecutiveFailures, openUntil, lastError, ... }.
+ *
+ * The 'local' provider answers from a JSON fixture (GEO_LOCAL_FIXTURES, default
+ * fixtures/geo_local.json) so the gateway can be exercised offline, e.g. GEO_PROVIDERS=local
+ * in the emulator.
+ */
+const GEO_PROVIDER_HEALTH_COLL = 'geoProviderHealth';
+const GEO_PROVIDER_FAILURE_THRESHOLD = 3;
+const GEO_PROVIDER_COOLDOWN_MS = 5 * 60 * 1000;
+const GEO_PROVIDER_HEALTH_CACHE_MS = 30 * 1000;
+const GEO_LOCAL_FIXTURES_PATH = process.env.GEO_LOCAL_FIXTURES || path.join(__dirname, 'fixtures', 'geo_local.json');
+const GEO_LOCAL_REVERSE_MAX_MILES = 1;
+
+const googleGeoProvider = {
+  name: 'google',
+  usageField: 'placesCalls',
+  isConfigured: () => !!GOOGLE_KEY,
+  monthlyCap: () => getGoogleMonthlyCap(),
+  async textSearch({ text, bias }) {
+    return { result: await fetchGoogleTextSearch(text, bias), calls: 1 };
+  },
+  async textSearchPaged({ text, bias, pageAll, maxPages, pageSize, budget }) {
+    const allowedPages = Math.max(1, Math.min(maxPages, budget));
+    const out = await fetchGoogleTextSearchPaged({ text, bias, pageAll, maxPages: allowedPages, pageSize });
+    const places = out.places || [];
+    return { result: places, calls: Math.min(allowedPages, Math.ceil((places.length || 1) / pageSize)) };
+  },
+  async reverse({ lat, lng }) {
+    return { result: await fetchGoogleReverse(lat, lng), calls: 1 };
+  },
+  async details({ placeId }) {
+    return { result: await fetchGooglePlaceDetails(placeId), calls: 1 };
+  },
+};
+
+let geoLocalFixtures = null;
+function loadGeoLocalFixtures() {
+  if (geoLocalFixtures) return geoLocalFixtures;
+  const raw = JSON.parse(fs.readFileSync(GEO_LOCAL_FIXTURES_PATH, 'utf8'));
+  geoLocalFixtures = (Array.isArray(raw.places) ? raw.places : []).filter(p => p && p.id && p.location);
+  return geoLocalFixtures;
+}
+
+function localFixtureToPlace(p) {
+  return {
+    id: String(p.id),
+    displayName: String(p.displayName || 'Unknown'),
+    formattedAddress: String(p.formattedAddress || ''),
+    location: { latitude: Number(p.location.latitude), longitude: Number(p.location.longitude) },
+    provider: 'local',
+  };
+}
+
+const localGeoProvider = {
+  name: 'local',
+  usageField: 'calls',
+  isConfigured: () => fs.existsSync(GEO_LOCAL_FIXTURES_PATH),
+  monthlyCap: () => null,
+  async textSearch({ text, bias }) {
+    const tokens = parkSearchTokens(text);
+    const hits = [];
+    for (const p of loadGeoLocalFixtures()) {
+      const docTokens = parkSearchTokens(`${p.displayName} ${p.formattedAddress}`);
+      const score = tokens.reduce((sum, qt) => sum + docTokens.reduce((m, dt) => Math.max(m, tokenMatchScore(qt, dt)), 0), 0) / Math.max(1, tokens.length);
+      if (score < 0.5) continue;
+      const miles = bias && isFinite(bias.lat) && isFinite(bias.lng) ? haversineMiles(bias.lat, bias.lng, p.location.latitude, p.location.longitude) : 0;
+      hits.push({ place: localFixtureToPlace(p), score, miles });
+    }
+    hits.sort((a, b) => (b.score - a.score) || (a.miles - b.miles));
+    return { result: hits.map(h => h.place), calls: 1 };
+  },
+  async textSearchPaged({ text, bias, maxPages, pageSize }) {
+    const out = await localGeoProvider.textSearch({ text, bias });
+    return { result: out.result.slice(0, maxPages * pageSize), calls: 1 };
+  },
+  async reverse({ lat, lng }) {
+    let best = null;
+    for (const p of loadGeoLocalFixtures()) {
+      const miles = haversineMiles(lat, lng, p.location.latitude, p.location.longitude);
+      if (miles <= GEO_LOCAL_REVERSE_MAX_MILES && (!best || miles < best.miles)) best = { p, miles };
+    }
+    const result = best ? { address: String(best.p.address || best.p.formattedAddress || ''), city: String(best.p.city || ''), state: String(best.p.state || '') } : null;
+    return { result, calls: 1 };
+  },
+  async details({ placeId }) {
+    const p = loadGeoLocalFixtures().find(x => String(x.id) === String(placeId));
+    return { result: p ? localFixtureToPlace(p) : null, calls: 1 };
+  },
+};
+
+const GEO_PROVIDERS = {
+  google: googleGeoProvider,
+  local: localGeoProvider,
+};
+
+async function getGeoProvidersConfig(db) {
+  const envOrder = String(process.env.GEO_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  let order = envOrder.length ? envOrder : ['google'];
+  let perProvider = {};
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const cfg = (snap.exists ? (snap.data() || {}).geoProviders : null) || {};
+    if (!envOrder.length && Array.isArray(cfg.order) && cfg.order.length) order = cfg.order.map(String);
+    perProvider = cfg;
+  } catch (_) {}
+  return { order: order.filter(n => GEO_PROVIDERS[n]), perProvider };
+}
+
+async function getGeoProviderRemainingCalls(db, provider, cfg) {
+  if (provider.name === 'google') return getGoogleRemainingCalls(db);
+  const cap = Number(cfg && cfg.monthlyCap);
+  const limit = isFinite(cap) && cap >= 0 ? Math.floor(cap) : provider.monthlyCap();
+  if (limit === null || limit === undefined) return Infinity;
+  try {
+    const snap = await db.collection('billing').doc('usage').collection(provider.name).doc(currentMonthKey()).get();
+    const used = snap.exists ? Number(snap.data()[provider.usageField] || 0) : 0;
+    return Math.max(0, limit - used);
+  } catch (_) {
+    return 0;
+  }
+}
+
+async function consumeGeoProviderCalls(db, provider, calls) {
+  if (!calls) return;
+  if (provider.name === 'google') return consumeGoogleCalls(db, calls);
+  try {
+    const month = currentMonthKey();
+    await db.collection('billing').doc('usage').collection(provider.name).doc(month).set({
+      month,
+      [provider.usageField]: admin.firestore.FieldValue.increment(calls),
+      updatedAt: new Date().toISOString(),
+    }, { merge: true });
+  } catch (e) {
+    console.warn('consumeGeoProviderCalls failed', provider.name, e?.message || e);
+  }
+}
+
+// Per-instance cache of health docs so healthy providers cost no extra reads per call
+const geoProviderHealthCache = new Map();
+
+async function getGeoProviderHealth(db, name) {
+  const hit = geoProviderHealthCache.get(name);
+  if (hit && Date.now() - hit.at < GEO_PROVIDER_HEALTH_CACHE_MS) return hit.health;
+  let health = {};
+  try {
+    const snap = await db.collection(GEO_PROVIDER_HEALTH_COLL).doc(name).get();
+    health = snap.exists ? (snap.data() || {}) : {};
+  } catch (_) {}
+  geoProviderHealthCache.set(name, { at: Date.now(), health });
+  return health;
+}
+
+async function recordGeoProviderOutcome(db, name, ok, error) {
+  const prev = await getGeoProviderHealth(db, name);
+  const nowIso = new Date().toISOString();
+  let next;
+  if (ok) {
+    if (!prev.consecutiveFailures && !prev.openUntil) return; // already healthy; skip the write
+    next = { ...prev, consecutiveFailures: 0, openUntil: null, lastSuccessAt: nowIso };
+  } else {
+    const failures = Number(prev.consecutiveFailures || 0) + 1;
+    const trips = Math.max(0, failures - GEO_PROVIDER_FAILURE_THRESHOLD);
+    const openUntil = failures >= GEO_PROVIDER_FAILURE_THRESHOLD
+      ? new Date(Date.now() + GEO_PROVIDER_COOLDOWN_MS * Math.min(8, Math.pow(2, trips))).toISOString()
+      : null;
+    next = { ...prev, consecutiveFailures: failures, openUntil, lastFailureAt: nowIso, lastError: String(error?.message || error || 'error').slice(0, 300) };
+  }
+  geoProviderHealthCache.set(name, { at: Date.now(), health: next });
+  try {
+    await db.collection(GEO_PROVIDER_HEALTH_COLL).doc(name).set({ ...next, updatedAt: nowIso }, { merge: true });
+  } catch (e) {
+    console.warn('recordGeoProviderOutcome failed', name, e?.message || e);
+  }
+}
+
+function isEmptyGeoResult(result) {
+  return result === null || result === undefined || (Array.isArray(result) && result.length === 0);
+}
+
+/**
+ * Runs op on the first provider that is usable and returns a non-empty result.
+ * Returns { result, provider } (result null when every provider was skipped or empty).
+ */
+async function geoProviderCall(db, op, args) {
+  const { order, perProvider } = await getGeoProvidersConfig(db);
+  const tried = [];
+  for (const name of order) {
+    const provider = GEO_PROVIDERS[name];
+    if (!provider || typeof provider[op] !== 'function' || !provider.isConfigured()) continue;
+    const health = await getGeoProviderHealth(db, name);
+    if (health.openUntil && new Date(health.openUntil).getTime() > Date.now()) { tried.push(`${name}:open`); continue; }
+    const budget = await getGeoProviderRemainingCalls(db, provider, perProvider[name]);
+    if (budget <= 0) { tried.push(`${name}:quota`); continue; }
+    try {
+      const out = await provider[op]({ ...args, budget });
+      await consumeGeoProviderCalls(db, provider, out.calls);
+      await recordGeoProviderOutcome(db, name, true);
+      if (!isEmptyGeoResult(out.result)) return { result: out.result, provider: name };
+      tried.push(`${name}:empty`);
+    } catch (e) {
+      tried.push(`${name}:error`);
+      console.warn(`geo provider ${name} ${op} failed`, e?.message || e);
+      await recordGeoProviderOutcome(db, name, false, e);
+    }
+  }
+  if (tried.length) console.log(`geoProviderCall ${op}: no result (${tried.join(', ')})`);
+  return { result: null, provider: null };
+}
+
+/**
+ * ========================
+ * GEO RATE LIMITS
+ * ========================
+ * Token buckets in front of the geo gateway callables (and parksNearby) so a single client
+ * can't drain the shared provider quota or run up Firestore reads. Buckets are keyed by auth uid, else the App Check token, else the
+ * caller IP; unauthenticated callers get the smaller anon budget.
+ *
+ *   rateLimits/{endpoint}:{keyHash} { endpoint, keyType, tokens, refilledAtMs, expiresAt }
+ *
+ * Budgets: GEO_RATE_LIMITS_DEFAULT, overridable per endpoint with
+ * config/app.geoRateLimits.<endpoint> { capacity, perMinute, anonCapacity, anonPerMinute }.
+ * Denied calls throw resource-exhausted with details.retryAfterSeconds. Limiter errors fail
+ * open. Expired buckets are removed by pruneExpiredGeoCache.
+ */
+const RATE_LIMITS_COLL = 'rateLimits';
+const GEO_RATE_LIMITS_DEFAULT = {
+  geoTextSearch: { capacity: 10, perMinute: 10, anonCapacity: 5, anonPerMinute: 5 },
+  geoTextSearchV2: { capacity: 6, perMinute: 6, anonCapacity: 3, anonPerMinute: 3 },
+  geoReverseGeocode: { capacity: 30, perMinute: 30, anonCapacity: 10, anonPerMinute: 10 },
+  geoPlaceDetails: { capacity: 30, perMinute: 30, anonCapacity: 10, anonPerMinute: 10 },
+  parksNearby: { capacity: 20, perMinute: 20, anonCapacity: 10, anonPerMinute: 10 },
+};
+const GEO_RATE_LIMITS_CONFIG_CACHE_MS = 60 * 1000;
+let geoRateLimitsConfigCache = null;
+
+async function getGeoRateLimit(db, endpoint) {
+  if (!geoRateLimitsConfigCache || Date.now() - geoRateLimitsConfigCache.at > GEO_RATE_LIMITS_CONFIG_CACHE_MS) {
+    let overrides = {};
+    try {
+      const snap = await db.collection('config').doc('app').get();
+      overrides = (snap.exists ? (snap.data() || {}).geoRateLimits : null) || {};
+    } catch (_) {}
+    geoRateLimitsConfigCache = { at: Date.now(), overrides };
+  }
+  const base = GEO_RATE_LIMITS_DEFAULT[endpoint];
+  const o = geoRateLimitsConfigCache.overrides[endpoint] || {};
+  const pick = (k) => (isFinite(Number(o[k])) && Number(o[k]) > 0 ? Number(o[k]) : base[k]);
+  return { capacity: pick('capacity'), perMinute: pick('perMinute'), anonCapacity: pick('anonCapacity'), anonPerMinute: pick('anonPerMinute') };
+}
+
+// Who a callable request is billed to: { keyType: 'uid' | 'appcheck' | 'ip', key }. Takes a v1
+// context or a v2 request (same auth/app/rawRequest shape). req.ip is only a fallback: with
+// Express 'trust proxy' on it is the spoofable left-most X-Forwarded-For entry
+function rateLimitIdentity(context) {
+  if (context && context.auth && context.auth.uid) return { keyType: 'uid', key: context.auth.uid };
+  const req = (context && context.rawRequest) || {};
+  const headers = req.headers || {};
+  const appCheckToken = headers['x-firebase-appcheck'];
+  if (context && context.app && appCheckToken) return { keyType: 'appcheck', key: String(appCheckToken) };
+  return { keyType: 'ip', key: lastForwardedHop(headers['x-forwarded-for']) || req.ip || 'unknown' };
+}
+
+// The client-supplied part of X-Forwarded-For is spoofable; only the hop Google's front end
+// appended (the right-most entry) identifies the caller
+function lastForwardedHop(header) {
+  const hops = String(header || '').split(',').map(h => h.trim()).filter(Boolean);
+  return hops.length ? hops[hops.length - 1] : null;
+}
+
+/**
+ * Refills a bucket ({ tokens, refilledAtMs } or null for a new one) up to nowMs and takes one
+ * token. Returns { tokens, retryAfterSeconds }: retryAfterSeconds is 0 when the token was
+ * taken, otherwise the wait until one is available (tokens is then the unchanged level).
+ */
+function takeBucketToken(prev, nowMs, capacity, perMs) {
+  const last = prev ? Number(prev.refilledAtMs) || nowMs : nowMs;
+  const stored = prev ? Number(prev.tokens) : capacity;
+  const tokens = Math.min(capacity, (isFinite(stored) ? stored : capacity) + Math.max(0, nowMs - last) * perMs);
+  if (tokens < 1) return { tokens, retryAfterSeconds: Math.max(1, Math.ceil((1 - tokens) / perMs / 1000)) };
+  return { tokens: tokens - 1, retryAfterSeconds: 0 };
+}
+
+/**
+ * Takes one token for (endpoint, caller) or throws resource-exhausted.
+ */
+async function enforceGeoRateLimit(db, endpoint, context) {
+  const { keyType, key } = rateLimitIdentity(context);
+  const limits = await getGeoRateLimit(db, endpoint);
+  const anon = keyType !== 'uid';
+  const capacity = anon ? limits.anonCapacity : limits.capacity;
+  const perMs = (anon ? limits.anonPerMinute : limits.perMinute) / 60000;
+  const keyHash = crypto.createHash('sha256').update(`${keyType}:${key}`).digest('hex').slice(0, 32);
+  const ref = db.collection(RATE_LIMITS_COLL).doc(`${endpoint}:${keyHash}`);
+
+  let retryAfterSeconds = 0;
+  try {
+    retryAfterSeconds = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const nowMs = Date.now();
+      const taken = takeBucketToken(snap.exists ? (snap.data() || {}) : null, nowMs, capacity, perMs);
+      if (taken.retryAfterSeconds > 0) return taken.retryAfterSeconds;
+      const left = taken.tokens;
+      tx.set(ref, {
+        endpoint,
+        keyType,
+        tokens: left,
+        refilledAtMs: nowMs,
+        // Full again by then; the doc carries no state worth keeping afterwards
+        expiresAt: new Date(nowMs + Math.ceil((capacity - left) / perMs) + 60 * 60 * 1000).toISOString(),
+      });
+      return 0;
+    });
+  } catch (e) {
+    console.warn('enforceGeoRateLimit failed (allowing call)', endpoint, e?.message || e);
+    return;
+  }
+  if (retryAfterSeconds > 0) {
+    throw new functions.https.HttpsError('resource-exhausted', `Too many requests; retry in ${retryAfterSeconds}s`, { endpoint, retryAfterSeconds });
+  }
+}
+
 exports.geoTextSearch = functions.https.onCall(async (data, context) => {
   const db = admin.firestore();
+  await enforceGeoRateLimit(db, 'geoTextSearch', context);
   try {
     const text = (data && data.text ? String(data.text) : '').trim();
     const bias = data && data.bias ? {
@@ -942,25 +1393,27 @@ exports.geoTextSearch = functions.https.onCall(async (data, context) => {
       return { places: [] };
     }
 
+    // Our own catalogue first (see PARK SEARCH INDEX); Google only fills the gaps
+    let local = [];
+    try {
+      local = await searchParkCatalog(db, text, bias, 20);
+    } catch (e) { console.warn('Local park search error', e?.message || e); }
+    if (localSearchIsSufficient(local)) return { places: local, source: 'local' };
+
     // Cache key is based on text + bias
     const key = 'text:' + normalizeQueryKey({ text, bias });
     const cached = await cacheGet(db, key);
     if (cached && Array.isArray(cached.places)) {
-      return cached;
+      return { ...cached, places: mergeLocalAndProviderPlaces(local, cached.places) };
     }
 
-    // Google-only search with monthly cap
-    const remaining = await getGoogleRemainingCalls(db);
-    if (remaining <= 0) return { places: [] };
-    let places = [];
-    try {
-      places = await fetchGoogleTextSearch(text, bias);
-      await consumeGoogleCalls(db, 1);
-    } catch (e) { console.warn('Google text search error', e); }
+    // Provider chain (quota, health and fallback handled in geoProviderCall)
+    const { result, provider } = await geoProviderCall(db, 'textSearch', { text, bias });
+    const places = result || [];
 
-    const payload = { places };
-    await cacheSet(db, key, payload, TEXT_TTL_DAYS);
-    return payload;
+    // Only cache what a provider answered; when all were skipped (quota, open circuit) retry next time
+    if (provider) await cacheSet(db, key, { places }, TEXT_TTL_DAYS);
+    return { places: mergeLocalAndProviderPlaces(local, places) };
   } catch (e) {
     // Fail soft: return empty results instead of throwing, so clients can fallback gracefully
     console.error('geoTextSearch error (soft-fail)', e);
@@ -971,6 +1424,7 @@ exports.geoTextSearch = functions.https.onCall(async (data, context) => {
 // Versioned server-first text search with optional pagination and aggregation
 exports.geoTextSearchV2 = functions.https.onCall(async (data, context) => {
   const db = admin.firestore();
+  await enforceGeoRateLimit(db, 'geoTextSearchV2', context);
   try {
     const text = (data && data.text ? String(data.text) : '').trim();
     const pageAll = !!(data && data.pageAll);
@@ -986,27 +1440,28 @@ exports.geoTextSearchV2 = functions.https.onCall(async (data, context) => {
       return { places: [] };
     }
 
+    // Our own catalogue first (see PARK SEARCH INDEX); Google only fills the gaps
+    let local = [];
+    try {
+      local = await searchParkCatalog(db, text, bias, pageSize * maxPages);
+    } catch (e) { console.warn('Local park search error', e?.message || e); }
+    if (localSearchIsSufficient(local, Math.min(pageSize, PARK_SEARCH_MIN_LOCAL_RESULTS))) {
+      return { places: local, source: 'local' };
+    }
+
     const key = 'textv2:' + normalizeQueryKey({ text, pageAll, maxPages, pageSize, bias });
     const cached = await cacheGet(db, key);
     if (cached && Array.isArray(cached.places)) {
-      return cached;
+      return { ...cached, places: mergeLocalAndProviderPlaces(local, cached.places) };
     }
 
-    // Google-only paged search with monthly cap
-    let remaining = await getGoogleRemainingCalls(db);
-    if (remaining <= 0) return { places: [] };
-    const allowedPages = Math.max(1, Math.min(maxPages, remaining));
-    let places = [];
-    try {
-      const out = await fetchGoogleTextSearchPaged({ text, bias, pageAll, maxPages: allowedPages, pageSize });
-      places = out.places || [];
-      const pagesUsed = Math.min(allowedPages, Math.ceil((places.length || 1) / pageSize));
-      await consumeGoogleCalls(db, pagesUsed);
-    } catch (e) { console.warn('Google text search v2 error', e); }
-
-    const payload = { places };
-    await cacheSet(db, key, payload, TEXT_TTL_DAYS);
-    return payload;
+    // Provider chain (quota, health and fallback handled in geoProviderCall)
+    const { result, provider } = await geoProviderCall(db, 'textSearchPaged', { text, bias, pageAll, maxPages, pageSize });
+    const places = result || [];
+
+    // Only cache what a provider answered; when all were skipped (quota, open circuit) retry next time
+    if (provider) await cacheSet(db, key, { places }, TEXT_TTL_DAYS);
+    return { places: mergeLocalAndProviderPlaces(local, places) };
   } catch (e) {
     console.error('geoTextSearchV2 error (soft-fail)', e);
     return { places: [] };
@@ -1014,7 +1469,7 @@ exports.geoTextSearchV2 = functions.https.onCall(async (data, context) => {
 });
 
 /**
- * Scheduled Function: prune expired geo cache docs
+ * Scheduled Function: prune expired geo cache docs and idle rate-limit buckets
  */
 exports.pruneExpiredGeoCache = functions.pubsub
   .schedule('every 24 hours')
@@ -1026,12 +1481,25 @@ exports.pruneExpiredGeoCache = functions.pubsub
       const snap = await db.collection(GEO_CACHE_COLL).where('expiresAt', '<', nowIso).get();
       if (snap.empty) {
         console.log('No expired geo cache docs');
-        return null;
+      } else {
+        const batch = db.batch();
+        snap.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        console.log(`Pruned ${snap.size} expired geo cache docs.`);
       }
-      const batch = db.batch();
-      snap.forEach(doc => batch.delete(doc.ref));
-      await batch.commit();
-      console.log(`Pruned ${snap.size} expired geo cache docs.`);
+
+      // Idle rate-limit buckets (see GEO RATE LIMITS), a page at a time until none are left
+      let rlPruned = 0;
+      for (;;) {
+        const rl = await db.collection(RATE_LIMITS_COLL).where('expiresAt', '<', nowIso).limit(400).get();
+        if (rl.empty) break;
+        const rlBatch = db.batch();
+        rl.forEach(doc => rlBatch.delete(doc.ref));
+        await rlBatch.commit();
+        rlPruned += rl.size;
+        if (rl.size < 400) break;
+      }
+      if (rlPruned) console.log(`Pruned ${rlPruned} idle rate-limit buckets.`);
       return null;
     } catch (e) {
       console.error('Error pruning geo cache', e);
@@ -1275,8 +1743,9 @@ async function fetchGoogleReverse(lat, lng) {
   if (!GOOGLE_KEY) return null;
   const url = `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${GOOGLE_KEY}`;
   const res = await httpRequest('GET', url);
-  if (!res.ok) return null;
+  if (!res.ok) throw new Error(`Geocode HTTP ${res.status}`);
   const data = await res.json();
+  if (data.status && !['OK', 'ZERO_RESULTS'].includes(data.status)) throw new Error(`Geocode status ${data.status}`);
   const results = Array.isArray(data.results) ? data.results : [];
   if (!results.length) return null;
   const first = results[0];
@@ -1298,6 +1767,7 @@ async function fetchGoogleReverse(lat, lng) {
 
 exports.geoReverseGeocode = functions.https.onCall(async (data, context) => {
   const db = admin.firestore();
+  await enforceGeoRateLimit(db, 'geoReverseGeocode', context);
   try {
     const lat = Number(data && data.lat);
     const lng = Number(data && data.lng);
@@ -1309,13 +1779,9 @@ exports.geoReverseGeocode = functions.https.onCall(async (data, context) => {
     const cached = await cacheGet(db, key);
     if (cached) return cached;
 
-    let result = null;
-    const remaining = await getGoogleRemainingCalls(db);
-    if (remaining > 0) {
-      try { result = await fetchGoogleReverse(lat, lng); await consumeGoogleCalls(db, 1); } catch (e) { console.warn('Google reverse error', e); }
-    }
+    const { result, provider } = await geoProviderCall(db, 'reverse', { lat, lng });
     const payload = result || { address: '', city: '', state: '' };
-    await cacheSet(db, key, payload, REV_TTL_DAYS);
+    if (provider) await cacheSet(db, key, payload, REV_TTL_DAYS);
     return payload;
   } catch (e) {
     // Fail soft
@@ -1340,7 +1806,8 @@ async function fetchGooglePlaceDetails(placeId) {
     // Include minimal info for easier debugging while avoiding leaking keys
     const text = await res.text().catch(() => '');
     console.warn('Places v1 details non-OK response', res.status, text);
-    return null;
+    if (res.status === 404 || res.status === 400) return null; // unknown id, not a provider failure
+    throw new Error(`Places details HTTP ${res.status}`);
   }
   const p = await res.json();
   const loc = p.location || {};
@@ -1358,18 +1825,14 @@ async function fetchGooglePlaceDetails(placeId) {
 
 exports.geoPlaceDetails = functions.https.onCall(async (data, context) => {
   const db = admin.firestore();
+  await enforceGeoRateLimit(db, 'geoPlaceDetails', context);
   try {
     const placeId = (data && data.placeId ? String(data.placeId) : '').trim();
     if (!placeId) throw new functions.https.HttpsError('invalid-argument', 'placeId is required');
     const key = 'det:' + normalizeQueryKey({ placeId });
     const cached = await cacheGet(db, key);
     if (cached) return cached;
-    let details = null;
-    const remaining = await getGoogleRemainingCalls(db);
-    if (remaining > 0) {
-      details = await fetchGooglePlaceDetails(placeId);
-      await consumeGoogleCalls(db, 1);
-    }
+    let { result: details } = await geoProviderCall(db, 'details', { placeId });
     if (!details) {
       // Soft-fail: return a minimal stub so client can proceed without error
       return { id: placeId, displayName: 'Unknown', formattedAddress: '', location: null, provider: 'google' };
@@ -1901,14 +2364,319 @@ exports.stripNonOwnerAdmins = functions.https.onCall(async (data, context) => {
   }
 });
 
+/**
+ * ========================
+ * NOTIFICATION PREFERENCES
+ * ========================
+ * Every push goes through sendNotificationsToUsers, which filters recipients with
+ * filterRecipientsByPreferences() before looking up tokens. Inputs on users/{uid}:
+ *
+ *   notificationPrefs: {
+ *     types: { checkin: false, queue_on_deck: false, ... }   // category or exact type; missing = on
+ *     quietHours: { startHour: 22, endHour: 7, timeZone: 'America/Los_Angeles' }
+ *     rateLimits: { checkin: 3 }                             // lower a rolling per-hour cap
+ *   }
+ *   groupNotifications: { <groupId>: true }                  // opt-in for group check-in pushes
+ *
+ * Rolling caps are tracked in users/{uid}/notificationRate/{category} { sentAt: [iso] },
+ * counting delivered pushes only.
+ * Suppressed sends are logged to notificationSuppressions for debugging (TTL via expiresAt).
+ */
+const NOTIFICATION_CATEGORY_BY_TYPE = {
+  checkin: 'checkin',
+  checkin_digest: 'checkin_digest', // own category: digests are already batched, never rate-capped
+  friend_request: 'friend_request',
+  game_invite: 'games',
+  now_playing: 'games',
+  game_reminder: 'games',
+  game_waitlist_promoted: 'games',
+  park_approval: 'park_moderation',
+  park_denial: 'park_moderation',
+  queue_up_next: 'queue',
+  queue_on_deck: 'queue',
+};
+// Rolling caps per category (users can only lower them via notificationPrefs.rateLimits)
+const NOTIFICATION_RATE_LIMITS = {
+  checkin: { max: 6, windowMinutes: 60 },
+};
+// Time-critical types still delivered during quiet hours
+const QUIET_HOURS_EXEMPT_TYPES = new Set(['queue_up_next']);
+const NOTIFICATION_SUPPRESSION_TTL_DAYS = 7;
+
+function notificationCategory(type) {
+  const t = String(type || '');
+  return NOTIFICATION_CATEGORY_BY_TYPE[t] || t || 'general';
+}
+
+function localHourIn(timeZone, date) {
+  if (!timeZone) return null;
+  try {
+    const h = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(date);
+    const n = Number(h);
+    return isFinite(n) ? n % 24 : null;
+  } catch (_) {
+    return null; // invalid time zone
+  }
+}
+
+// Same window semantics as isWithinNightlyWindowUtc, evaluated in the user's time zone
+function isInQuietHours(user, now) {
+  const q = (user.notificationPrefs || {}).quietHours;
+  if (!q || q.enabled === false) return false;
+  const start = Number(q.startHour);
+  const end = Number(q.endHour);
+  if (!isFinite(start) || !isFinite(end) || start === end) return false;
+  const hour = localHourIn(q.timeZone || user.timeZone, now);
+  if (hour === null) return false;
+  if (start < end) return hour >= start && hour < end;
+  return hour >= start || hour < end;
+}
+
+function preferenceBlockReason(uid, user, type, category, options, now) {
+  const types = (user.notificationPrefs || {}).types || {};
+  if (types[category] === false || types[type] === false) return 'type_disabled';
+  const groupIds = options.groupIdsByUser && options.groupIdsByUser[uid];
+  if (Array.isArray(groupIds)) {
+    const enabled = user.groupNotifications || {};
+    if (!groupIds.some(g => enabled[g] === true)) return 'group_not_enabled';
+  }
+  if (!QUIET_HOURS_EXEMPT_TYPES.has(type) && isInQuietHours(user, now)) return 'quiet_hours';
+  return null;
+}
+
+const NOTIFICATION_READ_CHUNK = 300;
+const NOTIFICATION_RATE_WRITE_CONCURRENCY = 20;
+
+function notificationRateLimit(category, user) {
+  const limit = NOTIFICATION_RATE_LIMITS[category];
+  if (!limit) return null;
+  const override = Number(((user.notificationPrefs || {}).rateLimits || {})[category]);
+  const max = isFinite(override) && override >= 0 ? Math.min(limit.max, Math.floor(override)) : limit.max;
+  return { max, windowMs: limit.windowMinutes * 60 * 1000 };
+}
+
+// db.getAll in chunks; missing docs come back as non-existent snapshots
+async function getAllChunked(db, refs) {
+  const out = [];
+  for (let i = 0; i < refs.length; i += NOTIFICATION_READ_CHUNK) {
+    const chunk = refs.slice(i, i + NOTIFICATION_READ_CHUNK);
+    if (chunk.length) out.push(...await db.getAll(...chunk));
+  }
+  return out;
+}
+
+// Runs fn over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Appends one delivered send to the user's rolling window (called after a successful send)
+async function recordNotificationRate(db, uid, category, user, now) {
+  const limit = notificationRateLimit(category, user);
+  if (!limit) return;
+  const windowStart = now.getTime() - limit.windowMs;
+  const ref = db.collection('users').doc(uid).collection('notificationRate').doc(category);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const prev = snap.exists && Array.isArray(snap.data().sentAt) ? snap.data().sentAt : [];
+    const recent = prev.filter(t => new Date(t).getTime() > windowStart);
+    recent.push(now.toISOString());
+    tx.set(ref, { sentAt: recent, updatedAt: now.toISOString() });
+  });
+}
+
+/**
+ * Splits userIds into { allowed, suppressed } according to each user's preferences.
+ * Missing user docs are treated as default preferences.
+ * options.groupIdsByUser: { [uid]: [groupId] } marks group-originated sends.
+ *
+ * User docs and rate windows are read in batches. The cap is only checked here; the slot
+ * is taken by recordNotificationRate once a push was actually delivered (see
+ * sendNotificationsToUsers), so concurrent fan-outs may overshoot a cap by a send or two.
+ * Also returns users: { [uid]: userDoc } and category for that follow-up.
+ */
+async function filterRecipientsByPreferences(db, userIds, title, data, options = {}) {
+  const type = String((data && data.type) || '');
+  const category = notificationCategory(type);
+  const now = new Date();
+  const userSnaps = await getAllChunked(db, userIds.map(id => db.collection('users').doc(id))).catch((e) => {
+    console.warn('user prefs read failed', e?.message || e);
+    return [];
+  });
+  const users = {};
+  userIds.forEach((uid, i) => { users[uid] = userSnaps[i] && userSnaps[i].exists ? (userSnaps[i].data() || {}) : {}; });
+
+  const allowed = [];
+  const suppressed = [];
+  const capped = [];
+  for (const uid of userIds) {
+    const reason = preferenceBlockReason(uid, users[uid], type, category, options, now);
+    if (reason) suppressed.push({ userId: uid, reason });
+    else if (notificationRateLimit(category, users[uid])) capped.push(uid);
+    else allowed.push(uid);
+  }
+
+  if (capped.length) {
+    let rateSnaps = [];
+    try {
+      rateSnaps = await getAllChunked(db, capped.map(uid => db.collection('users').doc(uid).collection('notificationRate').doc(category)));
+    } catch (e) {
+      console.warn('notification rate read failed', e?.message || e); // fail open
+    }
+    capped.forEach((uid, i) => {
+      const limit = notificationRateLimit(category, users[uid]);
+      const snap = rateSnaps[i];
+      const sentAt = snap && snap.exists && Array.isArray(snap.data().sentAt) ? snap.data().sentAt : [];
+      const recent = sentAt.filter(t => new Date(t).getTime() > now.getTime() - limit.windowMs).length;
+      if (recent >= limit.max) suppressed.push({ userId: uid, reason: 'rate_limited' });
+      else allowed.push(uid);
+    });
+  }
+
+  if (suppressed.length) {
+    try {
+      const nowIso = now.toISOString();
+      const expiresAt = ttlFromDays(NOTIFICATION_SUPPRESSION_TTL_DAYS);
+      let batch = db.batch();
+      let writes = 0;
+      for (const s of suppressed) {
+        batch.set(db.collection('notificationSuppressions').doc(), {
+          userId: s.userId,
+          reason: s.reason,
+          type,
+          category,
+          title: String(title || '').slice(0, 200),
+          parkId: (data && data.parkId) || null,
+          createdAt: nowIso,
+          expiresAt,
+        });
+        writes += 1;
+        if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
+      }
+      if (writes > 0) await batch.commit();
+    } catch (e) {
+      console.warn('Failed to record notification suppressions', e?.message || e);
+    }
+  }
+  return { allowed, suppressed, users, category };
+}
+
+/**
+ * Scheduled Function: prune expired notification suppression records
+ */
+exports.pruneNotificationSuppressions = functions.pubsub
+  .schedule('every 24 hours')
+  .timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    try {
+      const snap = await db.collection('notificationSuppressions')
+        .where('expiresAt', '<', new Date().toISOString())
+        .limit(2000)
+        .get();
+      if (snap.empty) return null;
+      let batch = db.batch();
+      let writes = 0;
+      for (const doc of snap.docs) {
+        batch.delete(doc.ref);
+        writes += 1;
+        if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
+      }
+      if (writes > 0) await batch.commit();
+      console.log(`Pruned ${snap.size} notification suppression record(s).`);
+      return null;
+    } catch (e) {
+      console.error('Error pruning notification suppressions', e);
+      return null;
+    }
+  });
+
+/**
+ * Web push presentation for sendNotificationsToUsers
+ * - fcmOptions.link deep-links into the web app; NotificationService routes on the
+ *   ?notif=&parkId=&gameId=... params (keep keys in sync with web/firebase-messaging-sw.js)
+ * - tag collapses notifications per park so a busy court replaces instead of stacking
+ * - actions render as buttons; the service worker appends ?action=<id> on click. A link can be
+ *   crafted by anyone, so the app only navigates on it and asks before joining a queue
+ */
+const WEB_APP_ORIGIN = getEnv('WEB_APP_ORIGIN', getEnv('web.app_origin', 'https://courthub-app.web.app'));
+const WEB_DEEP_LINK_KEYS = ['type', 'parkId', 'courtId', 'courtNumber', 'gameId', 'requestId'];
+const WEB_PUSH_ACTIONS_BY_TYPE = {
+  checkin: [
+    { action: 'checkin', title: 'Check in' },
+    { action: 'join_queue', title: 'Join queue' },
+  ],
+  checkin_digest: [
+    { action: 'checkin', title: 'Check in' },
+  ],
+  // Only opens FriendsPage; links never accept on their own (NotificationService)
+  friend_request: [
+    { action: 'view', title: 'View request' },
+  ],
+};
+
+function webDeepLink(data) {
+  const url = new URL('/', WEB_APP_ORIGIN);
+  for (const key of WEB_DEEP_LINK_KEYS) {
+    const v = data && data[key];
+    if (v) url.searchParams.set(key === 'type' ? 'notif' : key, String(v));
+  }
+  return url.href;
+}
+
+// The service worker (web/firebase-messaging-sw.js) has no routing table of its own: the
+// deep link and action buttons travel in webpush data as webLink / webActions (JSON).
+function webPushConfig(data) {
+  const d = data || {};
+  const tag = d.tag || (d.parkId ? `park-${d.parkId}` : (d.type || 'notification'));
+  const actions = WEB_PUSH_ACTIONS_BY_TYPE[d.type] || [];
+  const link = webDeepLink(d);
+  return {
+    headers: { Urgency: 'high' },
+    data: { ...d, webLink: link, webActions: JSON.stringify(actions) },
+    notification: {
+      tag,
+      renotify: false,
+      icon: '/icons/Icon-192.png',
+      badge: '/icons/Icon-192.png',
+      actions,
+    },
+    fcmOptions: { link },
+  };
+}
+
 /**
  * Helper function to send FCM notifications to multiple users
+ * - Recipients are filtered by filterRecipientsByPreferences (see above)
+ * - Each notification is also recorded in the recipients' inbox (options.inbox === false skips it)
+ * - options.groupIdsByUser marks recipients reached through group membership
  */
-async function sendNotificationsToUsers(db, userIds, title, body, data) {
-  if (userIds.length === 0) return { successCount: 0, failureCount: 0 };
+async function sendNotificationsToUsers(db, userIds, title, body, data, options = {}) {
+  if (userIds.length === 0) return { successCount: 0, failureCount: 0, suppressedCount: 0 };
+
+  const { allowed, suppressed, users, category } = await filterRecipientsByPreferences(db, userIds, title, data, options);
+  if (suppressed.length > 0) {
+    console.log(`Suppressed ${suppressed.length} notification(s) by user preferences`);
+  }
+
+  // Inbox first: it is the user's record even when no push can be delivered
+  if (options.inbox !== false) {
+    const silent = suppressed.filter(x => INBOX_SILENT_REASONS.has(x.reason)).map(x => x.userId);
+    await writeInboxEntries(db, allowed.concat(silent), title, body, data);
+  }
+  if (allowed.length === 0) return { successCount: 0, failureCount: 0, suppressedCount: suppressed.length };
 
-  // Fetch all tokens for all users
-  const tokenPromises = userIds.map(userId =>
+  // Fetch all tokens for all allowed users
+  const tokenPromises = allowed.map(userId =>
     db.collection('users').doc(userId).collection('tokens').get()
   );
   
@@ -1922,7 +2690,7 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
       if (tokenData.token) {
         tokens.push(tokenData.token);
         tokenUserMap[tokenData.token] = {
-          userId: userIds[index],
+          userId: allowed[index],
           tokenId: tokenDoc.id
         };
       }
@@ -1931,7 +2699,7 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
   
   if (tokens.length === 0) {
     console.log('No FCM tokens found for users');
-    return { successCount: 0, failureCount: 0 };
+    return { successCount: 0, failureCount: 0, suppressedCount: suppressed.length };
   }
   
   console.log(`Sending notification to ${tokens.length} device(s)`);
@@ -1941,6 +2709,7 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
   let totalSuccess = 0;
   let totalFailure = 0;
   const allInvalidTokens = [];
+  const deliveredUsers = new Set();
 
   for (let i = 0; i < tokens.length; i += chunkSize) {
     const slice = tokens.slice(i, i + chunkSize);
@@ -1955,6 +2724,7 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
           clickAction: 'FLUTTER_NOTIFICATION_CLICK'
         }
       },
+      webpush: webPushConfig(data),
       apns: {
         payload: {
           aps: {
@@ -1966,6 +2736,9 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
     });
     totalSuccess += resp.successCount;
     totalFailure += resp.failureCount;
+    resp.responses.forEach((r, idx) => {
+      if (r.success && tokenUserMap[slice[idx]]) deliveredUsers.add(tokenUserMap[slice[idx]].userId);
+    });
     if (resp.failureCount > 0) {
       resp.responses.forEach((r, idx) => {
         if (!r.success) {
@@ -1981,6 +2754,11 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
 
   console.log(`Successfully sent ${totalSuccess} notification(s); failures=${totalFailure}`);
 
+  // Count the send against rolling caps only for users who actually received it
+  await mapWithConcurrency(Array.from(deliveredUsers), NOTIFICATION_RATE_WRITE_CONCURRENCY, (uid) =>
+    recordNotificationRate(db, uid, category, users[uid] || {}, new Date())
+      .catch((e) => console.warn('recordNotificationRate failed', uid, e?.message || e)));
+
   // Clean up invalid tokens across all chunks
   if (allInvalidTokens.length > 0) {
     const deletePromises = allInvalidTokens.map(token => {
@@ -1999,28 +2777,185 @@ async function sendNotificationsToUsers(db, userIds, title, body, data) {
     console.log(`Cleaned up ${allInvalidTokens.length} invalid token(s)`);
   }
 
-  return { successCount: totalSuccess, failureCount: totalFailure };
+  return { successCount: totalSuccess, failureCount: totalFailure, suppressedCount: suppressed.length };
 }
 
-// All OSM/Overpass helpers and importers removed — Google-only pipeline
-
 /**
  * ========================
- * RETRO MERGE: OSM pin + Google sports graft (server-side)
+ * NOTIFICATION INBOX
  * ========================
- * Scans existing parks and merges missing sports from nearby Google-sourced
- * parks into OSM-sourced parks. Never deletes or moves pins; only appends
- * new courts and recomputes sportCategories. Idempotent.
+ * sendNotificationsToUsers records every notification in users/{uid}/inbox so the
+ * app can show a bell with history even when a push can't be delivered (no tokens,
+ * quiet hours, rate caps). Only Cloud Functions write the inbox; clients read it
+ * and use the callables below to change read state.
  *
- * Control/status docs:
- *   retroMerge/control { cursor?: string, enabled?: boolean, pageSize?: number }
- *   retroMerge/status  { lastRunAt, lastSuccessAt, pages, scanned, updatedParks, courtsAdded, cursor, done }
+ *   users/{uid}/inbox/{itemId} { type, title, body, data, read, readAt, createdAt, expiresAt }
  */
+const INBOX_TTL_DAYS = 30;
+// Suppressed sends that still land in the inbox (silently); opted-out types do not
+const INBOX_SILENT_REASONS = new Set(['quiet_hours', 'rate_limited']);
 
-function normNameForMerge(name) {
-  const s = String(name || '').toLowerCase();
-  return s
-    .replace(/[\u2014\u2013]/g, '-')
+async function writeInboxEntries(db, userIds, title, body, data) {
+  if (!userIds.length) return;
+  try {
+    const nowIso = new Date().toISOString();
+    const expiresAt = ttlFromDays(INBOX_TTL_DAYS);
+    const payload = { ...(data || {}) };
+    delete payload.click_action; // transport detail, not a deep link
+    let batch = db.batch();
+    let writes = 0;
+    for (const uid of userIds) {
+      batch.set(db.collection('users').doc(uid).collection('inbox').doc(), {
+        type: String((data && data.type) || 'general'),
+        title: String(title || ''),
+        body: String(body || ''),
+        data: payload,
+        read: false,
+        readAt: null,
+        createdAt: nowIso,
+        expiresAt,
+      });
+      writes += 1;
+      if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
+    }
+    if (writes > 0) await batch.commit();
+  } catch (e) {
+    console.warn('writeInboxEntries error', e?.message || e);
+  }
+}
+
+async function countUnreadInbox(db, uid) {
+  const agg = await db.collection('users').doc(uid).collection('inbox').where('read', '==', false).count().get();
+  return agg.data().count;
+}
+
+/**
+ * Callable: Mark specific inbox items read. Body: { ids: string[] } (max 100)
+ */
+exports.inboxMarkRead = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const ids = Array.isArray(data && data.ids) ? data.ids.map(String).filter(Boolean) : [];
+  if (!ids.length || ids.length > 100) {
+    throw new functions.https.HttpsError('invalid-argument', 'ids must contain 1-100 inbox item ids');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  try {
+    const inbox = db.collection('users').doc(uid).collection('inbox');
+    const snaps = await db.getAll(...ids.map(id => inbox.doc(id)));
+    const nowIso = new Date().toISOString();
+    const batch = db.batch();
+    let updated = 0;
+    snaps.forEach(snap => {
+      if (!snap.exists || snap.data().read === true) return;
+      batch.update(snap.ref, { read: true, readAt: nowIso });
+      updated += 1;
+    });
+    if (updated > 0) await batch.commit();
+    return { ok: true, updated, unread: await countUnreadInbox(db, uid) };
+  } catch (e) {
+    console.error('inboxMarkRead error', e);
+    throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+  }
+});
+
+/**
+ * Callable: Mark every unread inbox item read
+ */
+exports.inboxMarkAllRead = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  try {
+    const inbox = db.collection('users').doc(uid).collection('inbox');
+    const nowIso = new Date().toISOString();
+    let updated = 0;
+    // Pages of 400 keep each batch under the write limit
+    for (let page = 0; page < 10; page++) {
+      const snap = await inbox.where('read', '==', false).limit(400).get();
+      if (snap.empty) break;
+      const batch = db.batch();
+      snap.forEach(doc => batch.update(doc.ref, { read: true, readAt: nowIso }));
+      await batch.commit();
+      updated += snap.size;
+      if (snap.size < 400) break;
+    }
+    return { ok: true, updated, unread: await countUnreadInbox(db, uid) };
+  } catch (e) {
+    console.error('inboxMarkAllRead error', e);
+    throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+  }
+});
+
+/**
+ * Callable: Unread inbox count for the bell badge
+ */
+exports.inboxUnreadCount = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  try {
+    return { ok: true, unread: await countUnreadInbox(db, context.auth.uid) };
+  } catch (e) {
+    console.error('inboxUnreadCount error', e);
+    throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+  }
+});
+
+/**
+ * Scheduled Function: prune expired inbox items across all users
+ */
+exports.pruneExpiredInboxItems = functions.pubsub
+  .schedule('every 24 hours')
+  .timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    try {
+      const snap = await db.collectionGroup('inbox')
+        .where('expiresAt', '<', new Date().toISOString())
+        .limit(2000)
+        .get();
+      if (snap.empty) return null;
+      let batch = db.batch();
+      let writes = 0;
+      for (const doc of snap.docs) {
+        batch.delete(doc.ref);
+        writes += 1;
+        if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
+      }
+      if (writes > 0) await batch.commit();
+      console.log(`Pruned ${snap.size} expired inbox item(s).`);
+      return null;
+    } catch (e) {
+      console.error('Error pruning inbox items', e);
+      return null;
+    }
+  });
+
+// All OSM/Overpass helpers and importers removed — Google-only pipeline
+
+/**
+ * ========================
+ * RETRO MERGE: OSM pin + Google sports graft (server-side)
+ * ========================
+ * Scans existing parks and merges missing sports from nearby Google-sourced
+ * parks into OSM-sourced parks. Never deletes or moves pins; only appends
+ * new courts and recomputes sportCategories. Idempotent.
+ *
+ * Control/status docs:
+ *   retroMerge/control { cursor?: string, enabled?: boolean, pageSize?: number }
+ *   retroMerge/status  { lastRunAt, lastSuccessAt, pages, scanned, updatedParks, courtsAdded, cursor, done }
+ */
+
+function normNameForMerge(name) {
+  const s = String(name || '').toLowerCase();
+  return s
+    .replace(/[\u2014\u2013]/g, '-')
     .replace(/[^a-z0-9\s-]/g, ' ')
     .replace(/\b(park|recreation|rec|center|courts?|basketball|tennis|pickleball)\b/g, '')
     .replace(/\s+/g, ' ')
@@ -2853,14 +3788,142 @@ exports.scheduledBuildStateCityIndex = functions.pubsub
 
 // Removed: Google West→East cursor (scheduler and HTTP) — no automated Google imports
 
+/**
+ * ========================
+ * CHECK-IN DIGESTS (favorite parks)
+ * ========================
+ * Users who favorite busy parks can trade one push per check-in for a periodic summary.
+ * Opt-in on the user doc: notificationPrefs.checkinDigest = { enabled: true, intervalMinutes: 60 }
+ *
+ * sendCheckinNotification folds favorite-park check-ins for digest users into
+ *   checkinDigests/{uid} { intervalMinutes, dueAt, parks: { <parkId>: { parkName, checkins, players, lastAt } } }
+ * dueAt is aligned to the interval bucket, so every event in a window writes the same
+ * value without a read. scheduledSendCheckinDigests sends and clears due digests.
+ */
+const CHECKIN_DIGEST_INTERVALS = [30, 60, 120, 240];
+const CHECKIN_DIGEST_DEFAULT_INTERVAL = 60;
+
+function checkinDigestInterval(user) {
+  const cfg = ((user && user.notificationPrefs) || {}).checkinDigest;
+  if (!cfg || cfg.enabled !== true) return 0;
+  const n = Number(cfg.intervalMinutes);
+  return CHECKIN_DIGEST_INTERVALS.includes(n) ? n : CHECKIN_DIGEST_DEFAULT_INTERVAL;
+}
+
+async function queueCheckinDigestEvent(db, uid, intervalMinutes, { parkId, parkName, playerCount }) {
+  const bucketMs = intervalMinutes * 60 * 1000;
+  const ref = db.collection('checkinDigests').doc(uid);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const nowIso = new Date().toISOString();
+    const update = {
+      userId: uid,
+      intervalMinutes,
+      parks: {
+        [parkId]: {
+          parkName: parkName || 'Park',
+          checkins: admin.firestore.FieldValue.increment(1),
+          players: admin.firestore.FieldValue.increment(Math.max(1, Number(playerCount) || 1)),
+          lastAt: nowIso,
+        },
+      },
+      updatedAt: nowIso,
+    };
+    // dueAt is fixed when the window opens; later events must not push the digest back
+    if (!snap.exists || !snap.data().dueAt) {
+      update.dueAt = new Date(Math.ceil(Date.now() / bucketMs) * bucketMs).toISOString();
+    }
+    tx.set(ref, update, { merge: true });
+  });
+}
+
+function digestWindowLabel(minutes) {
+  if (minutes === 60) return 'the last hour';
+  if (minutes % 60 === 0) return `the last ${minutes / 60} hours`;
+  return `the last ${minutes} minutes`;
+}
+
+/**
+ * Scheduled Function: Send due check-in digests
+ * - Claims each due digest in a transaction (delete), so events arriving mid-send
+ *   start the next window instead of being lost
+ * - "courts busy" reflects current court counts at send time
+ */
+exports.scheduledSendCheckinDigests = functions
+  .runWith({ timeoutSeconds: 300, memory: '512MB', maxInstances: 1 })
+  .pubsub.schedule('every 15 minutes').timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const nowIso = new Date().toISOString();
+    try {
+      const dueSnap = await db.collection('checkinDigests').where('dueAt', '<=', nowIso).limit(500).get();
+      if (dueSnap.empty) return null;
+
+      const busyCache = new Map();
+      const busyCourts = async (parkId) => {
+        if (!busyCache.has(parkId)) {
+          const p = await db.collection('parks').doc(parkId).get().catch(() => null);
+          const courts = p && p.exists && Array.isArray(p.data().courts) ? p.data().courts : [];
+          busyCache.set(parkId, courts.filter(c => c && Number(c.playerCount) > 0).length);
+        }
+        return busyCache.get(parkId);
+      };
+
+      let sent = 0;
+      for (const doc of dueSnap.docs) {
+        try {
+          const digest = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(doc.ref);
+            if (!snap.exists || String(snap.data().dueAt || '') > nowIso) return null;
+            tx.delete(doc.ref);
+            return snap.data();
+          });
+          if (!digest) continue;
+
+          const parks = Object.entries(digest.parks || {})
+            .map(([parkId, p]) => ({ parkId, ...p }))
+            .filter(p => Number(p.checkins) > 0)
+            .sort((a, b) => Number(b.players) - Number(a.players));
+          if (!parks.length) continue;
+
+          const window = digestWindowLabel(Number(digest.intervalMinutes) || CHECKIN_DIGEST_DEFAULT_INTERVAL);
+          const lines = [];
+          for (const p of parks.slice(0, 3)) {
+            const busy = await busyCourts(p.parkId);
+            const players = Number(p.players) || 0;
+            let line = `${players} player${players === 1 ? '' : 's'} checked in at ${p.parkName}`;
+            if (busy > 0) line += `, ${busy} court${busy === 1 ? '' : 's'} busy`;
+            lines.push(line);
+          }
+          if (parks.length > 3) lines.push(`+${parks.length - 3} more of your parks`);
+
+          const title = parks.length === 1 ? `🏀 ${parks[0].parkName}` : '🏀 Activity at your parks';
+          const body = `In ${window}: ${lines.join('; ')}`;
+          const data = { type: 'checkin_digest', click_action: 'FLUTTER_NOTIFICATION_CLICK' };
+          if (parks.length === 1) data.parkId = parks[0].parkId;
+          const resp = await sendNotificationsToUsers(db, [doc.id], title, body, data);
+          sent += resp.successCount;
+        } catch (e) {
+          console.warn('check-in digest send failed', doc.id, e?.message || e);
+        }
+      }
+      console.log(`Sent ${sent} check-in digest notification(s) for ${dueSnap.size} due digest(s)`);
+      return null;
+    } catch (e) {
+      console.error('Error sending check-in digests:', e);
+      return null;
+    }
+  });
+
 /**
  * Cloud Function: Send push notifications when a user checks into a court
  * 
  * Triggers: onCreate for check-ins collection
  * Flow:
  * 1. Extract parkId from the new check-in document
- * 2. Query users who have this park in favorites with notifications enabled
- * 3. Fetch FCM tokens for each user
+ * 2. Query users who have this park in favorites with notifications enabled,
+ *    plus group members who enabled groupNotifications for a shared group
+ * 3. Filter by notification preferences and fetch FCM tokens for each user
  * 4. Send FCM notification with click action to open the park
  * 5. Clean up invalid/expired tokens
  */
@@ -2896,10 +3959,12 @@ exports.sendCheckinNotification = functions.firestore
         type: 'checkin',
         parkId: parkId,
         courtName: courtName,
+        courtNumber: checkin.courtNumber !== undefined && checkin.courtNumber !== null ? String(checkin.courtNumber) : '',
         click_action: 'FLUTTER_NOTIFICATION_CLICK'
       };
 
       let totalSent = 0;
+      const favoriteUserIds = new Set();
 
       // 4A. Notify users who favorited this park (and enabled)
       try {
@@ -2908,9 +3973,21 @@ exports.sendCheckinNotification = functions.firestore
           .get();
         if (!usersSnapshot.empty) {
           const targetUserIds = [];
+          const digestWrites = [];
           usersSnapshot.forEach(doc => {
-            if (doc.id !== userId) targetUserIds.push(doc.id);
+            if (doc.id === userId) return;
+            favoriteUserIds.add(doc.id);
+            // Digest subscribers get a periodic summary instead of this push
+            const interval = checkinDigestInterval(doc.data());
+            if (interval > 0) {
+              digestWrites.push(queueCheckinDigestEvent(db, doc.id, interval, { parkId, parkName, playerCount }));
+            } else {
+              targetUserIds.push(doc.id);
+            }
           });
+          if (digestWrites.length > 0) {
+            await Promise.all(digestWrites.map(p => p.catch(e => console.warn('queueCheckinDigestEvent failed', e?.message || e))));
+          }
           if (targetUserIds.length > 0) {
             const favResp = await sendNotificationsToUsers(db, targetUserIds, title, body, data);
             totalSent += favResp.successCount;
@@ -2922,23 +3999,27 @@ exports.sendCheckinNotification = functions.firestore
         console.error('Error sending favorite park notifications:', e);
       }
 
-      // 4B. Notify ALL other members of groups this user belongs to (no per-group opt-in)
+      // 4B. Notify members of groups this user belongs to who opted in via groupNotifications
       try {
         const groupsSnap = await db.collection('groups')
           .where('memberIds', 'array-contains', userId)
           .get();
         if (!groupsSnap.empty) {
-          const notifySet = new Set();
+          const groupIdsByUser = {};
           groupsSnap.forEach(groupDoc => {
             const groupData = groupDoc.data();
             const memberIds = Array.isArray(groupData.memberIds) ? groupData.memberIds : [];
-            memberIds.forEach(id => { if (id !== userId) notifySet.add(id); });
+            memberIds.forEach(id => {
+              // Favorites above already got this check-in; one push per person
+              if (id === userId || favoriteUserIds.has(id)) return;
+              (groupIdsByUser[id] = groupIdsByUser[id] || []).push(groupDoc.id);
+            });
           });
 
-          const notifyUserIds = Array.from(notifySet);
+          const notifyUserIds = Object.keys(groupIdsByUser);
           if (notifyUserIds.length > 0) {
             // Reuse the same title (park name) and body; this avoids duplicate pushes across overlapping groups
-            const groupResp = await sendNotificationsToUsers(db, notifyUserIds, title, body, data);
+            const groupResp = await sendNotificationsToUsers(db, notifyUserIds, title, body, data, { groupIdsByUser });
             totalSent += groupResp.successCount;
           }
         }
@@ -2976,6 +4057,9 @@ exports.sendFriendRequestNotification = functions.firestore
         type: 'friend_request',
         click_action: 'FLUTTER_NOTIFICATION_CLICK'
       };
+      // Deep-link targets for the web "Accept" action
+      if (notification.requestId) data.requestId = String(notification.requestId);
+      if (notification.senderId) data.senderId = String(notification.senderId);
       
       const response = await sendNotificationsToUsers(db, [userId], title, body, data);
       console.log(`Friend request notification sent to user ${userId}`);
@@ -2998,7 +4082,6 @@ exports.pruneStaleQueueEntries = functions.pubsub
   .onRun(async (context) => {
     const db = admin.firestore();
     const now = new Date();
-    const timeoutMs = QUEUE_TIMEOUT_MINUTES * 60 * 1000;
     // Only scan parks whose queues were touched recently to reduce reads
     const lookbackHours = Math.max(1, Math.min(72, Number(process.env.QUEUE_PRUNE_LOOKBACK_HOURS) || 24));
     const lookbackIso = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000).toISOString();
@@ -3017,11 +4100,7 @@ exports.pruneStaleQueueEntries = functions.pubsub
 
         const updatedCourts = courts.map((court) => {
           const queue = Array.isArray(court.gotNextQueue) ? court.gotNextQueue : [];
-          const filtered = queue.filter((player) => {
-            const joinedAt = player.joinedAt ? new Date(player.joinedAt) : now;
-            const lastActivity = player.lastActivity ? new Date(player.lastActivity) : joinedAt;
-            return now - lastActivity < timeoutMs;
-          });
+          const filtered = queue.filter((player) => !isQueueEntryStale(player, now));
           if (filtered.length !== queue.length) {
             hasChanges = true;
             return {
@@ -3058,620 +4137,4607 @@ exports.pruneStaleQueueEntries = functions.pubsub
   });
 
 /**
- * Cloud Function: Send push notification for game invites
- * 
- * Triggers: onCreate for notifications collection (type: game_invite or now_playing)
+ * ========================
+ * GOT NEXT QUEUE API (onCall)
+ * ========================
+ * Server-authoritative mutations of parks.courts[].gotNextQueue. Every call runs in a
+ * transaction on the park doc so concurrent joins can't overwrite each other. Entries are
+ * appended server-side with server timestamps (no client-supplied joinedAt, so no
+ * line-jumping), duplicates are rejected, and stale entries (QUEUE_TIMEOUT_MINUTES) are
+ * dropped on every write, mirroring pruneStaleQueueEntries.
+ *
+ * Courts are addressed by { parkId, courtId } or { parkId, courtNumber }.
+ * Responses include the caller's 1-based position (0 = not queued) and queueLength.
  */
-exports.sendGameNotification = functions.firestore
-  .document('notifications/{notificationId}')
-  .onCreate(async (snapshot, context) => {
-    const notification = snapshot.data();
-    const db = admin.firestore();
-    
-    if (notification.type !== 'game_invite' && notification.type !== 'now_playing') return null;
-    
-    try {
-      // Enforce: Only premium senders may trigger game_invite/now_playing pushes
-      const senderId = notification.senderId;
-      if (!senderId) {
-        console.log('Dropping game notification without senderId (premium required)');
-        return null;
-      }
-      const senderDoc = await db.collection('users').doc(senderId).get();
-      if (!senderDoc.exists) {
-        console.log('Dropping game notification; sender not found:', senderId);
-        return null;
-      }
-      const s = senderDoc.data() || {};
-      const planTier = s.planTier || 'free';
-      const premiumUntil = s.premiumUntil; // ISO string or null
-      let isPremium = false;
-      if (planTier === 'premium') {
-        if (!premiumUntil) {
-          isPremium = true; // lifetime or unset treated as active
-        } else {
-          const until = new Date(premiumUntil);
-          if (!isNaN(until.getTime()) && until > new Date()) {
-            isPremium = true;
-          }
-        }
-      }
-      if (!isPremium) {
-        console.log('Dropping game notification; sender not premium:', senderId);
-        return null;
-      }
+const QUEUE_MAX_LENGTH_BY_TYPE = {
+  fullCourt: 20,
+  halfCourt: 15,
+  threeVthree: 15,
+  pickleballSingles: 8,
+  pickleballDoubles: 12,
+  tennisSingles: 6,
+  tennisDoubles: 8,
+  default: 15,
+};
 
-      const userId = notification.userId;
-      const title = notification.title;
-      const body = notification.body;
-      const data = {
-        type: notification.type,
-        parkName: notification.parkName || '',
-        click_action: 'FLUTTER_NOTIFICATION_CLICK'
-      };
-      
-      if (notification.scheduledTime) {
-        data.scheduledTime = notification.scheduledTime;
-      }
-      if (notification.courtNumber) {
-        data.courtNumber = notification.courtNumber.toString();
-      }
-      
-      const response = await sendNotificationsToUsers(db, [userId], title, body, data);
-      console.log(`${notification.type} notification sent to user ${userId}`);
-      return { success: true, sent: response.successCount };
-      
-    } catch (error) {
-      console.error('Error sending game notification:', error);
-      return { success: false, error: error.message };
+function queueMaxLengthForCourt(court) {
+  const t = court && court.type ? String(court.type) : '';
+  return QUEUE_MAX_LENGTH_BY_TYPE[t] || QUEUE_MAX_LENGTH_BY_TYPE.default;
+}
+
+// Players on court at once (mirrors Court.maxPlayers in the app)
+function courtCapacity(court) {
+  if (court && court.isHalfCourt) return 5;
+  return sportCategoryFromType(court && court.sportType) === 'basketball' ? 10 : 4;
+}
+
+function isQueueEntryStale(player, now) {
+  const joinedAt = player.joinedAt ? new Date(player.joinedAt) : now;
+  const lastActivity = player.lastActivity ? new Date(player.lastActivity) : joinedAt;
+  return now - lastActivity >= QUEUE_TIMEOUT_MINUTES * 60 * 1000;
+}
+
+function queuePosition(queue, uid) {
+  const i = queue.findIndex(p => p && p.userId === uid);
+  return i === -1 ? 0 : i + 1;
+}
+
+function parseQueueTarget(data) {
+  const parkId = (data && data.parkId ? String(data.parkId) : '').trim();
+  const courtId = (data && data.courtId ? String(data.courtId) : '').trim();
+  const courtNumber = data && data.courtNumber !== undefined && data.courtNumber !== null ? Number(data.courtNumber) : NaN;
+  if (!parkId || (!courtId && !isFinite(courtNumber))) {
+    throw new functions.https.HttpsError('invalid-argument', 'parkId and courtId or courtNumber are required');
+  }
+  return { parkId, courtId, courtNumber };
+}
+
+/**
+ * Runs mutator(queue, court, now) inside a transaction on the park doc.
+ * The mutator receives the queue with stale entries removed and returns
+ * { queue, changed, result }; the park is only written when something changed.
+ */
+async function mutateCourtQueue(db, target, mutator) {
+  const parkRef = db.collection('parks').doc(target.parkId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(parkRef);
+    if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Park not found');
+    const courts = Array.isArray(snap.data().courts) ? snap.data().courts : [];
+    const idx = courts.findIndex(c => c && (target.courtId ? c.id === target.courtId : Number(c.courtNumber) === target.courtNumber));
+    if (idx === -1) throw new functions.https.HttpsError('not-found', 'Court not found');
+
+    const now = new Date();
+    const court = courts[idx];
+    const rawQueue = Array.isArray(court.gotNextQueue) ? court.gotNextQueue : [];
+    const queue = rawQueue.filter(p => p && p.userId && !isQueueEntryStale(p, now));
+    const out = mutator(queue.slice(), court, now);
+
+    if (out.changed || queue.length !== rawQueue.length) {
+      const nowIso = now.toISOString();
+      const updatedCourts = courts.slice();
+      updatedCourts[idx] = { ...court, gotNextQueue: out.queue, lastUpdated: nowIso };
+      tx.update(parkRef, { courts: updatedCourts, updatedAt: nowIso, queueTouchedAt: nowIso });
     }
+    return { ...out.result, queueLength: out.queue.length };
   });
+}
+
+function rethrowQueueError(name, e) {
+  if (e instanceof functions.https.HttpsError) throw e;
+  console.error(`${name} error`, e?.message || e);
+  throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+}
 
 /**
- * Cloud Function: Update court player counts when check-ins are created
- * 
- * Triggers: onCreate for checkins collection
- * Flow:
- * 1. Extract parkId and courtId from new check-in
- * 2. Query active check-ins for that court
- * 3. Update the park document with the current player count
+ * Callable: Join a court's Got Next queue.
+ * Idempotent: if the caller is already queued, returns the current position.
  */
-exports.updateCourtPlayerCountOnCheckIn = functions.firestore
-  .document('checkins/{checkinId}')
-  .onCreate(async (snapshot, context) => {
-    const checkin = snapshot.data();
-    const db = admin.firestore();
-    
-    try {
-      const parkId = checkin.parkId;
-      const courtNumber = checkin.courtNumber;
-      
-      if (!parkId || courtNumber === undefined || courtNumber === null) {
-        console.log('Missing parkId or courtNumber in check-in');
-        return null;
-      }
-      
-      // Count active check-ins for this court
-      const activeCheckIns = await db.collection('checkins')
-        .where('parkId', '==', parkId)
-        .where('courtNumber', '==', courtNumber)
-        .where('isActive', '==', true)
-        .get();
-      
-      const playerCount = activeCheckIns.size;
-      console.log(`Court ${courtNumber} at park ${parkId} now has ${playerCount} active check-ins`);
-      
-      // Update the park document
-      const parkRef = db.collection('parks').doc(parkId);
-      const parkDoc = await parkRef.get();
-      
-      if (!parkDoc.exists) {
-        console.log('Park not found:', parkId);
-        return null;
-      }
-      
-      const parkData = parkDoc.data();
-      const courts = parkData.courts || [];
-      
-      // Find and update the specific court by courtNumber
-      const courtIndex = courts.findIndex(c => c.courtNumber === courtNumber);
-      if (courtIndex !== -1) {
-        courts[courtIndex].playerCount = playerCount;
-        courts[courtIndex].lastUpdated = admin.firestore.Timestamp.now().toDate().toISOString();
-        
-        await parkRef.update({
-          courts: courts,
-          updatedAt: admin.firestore.Timestamp.now().toDate().toISOString()
-        });
-        
-        console.log(`Updated court ${courtNumber} player count to ${playerCount}`);
-        return { success: true, playerCount };
-      } else {
-        console.log('Court not found in park:', courtNumber);
-        return null;
+exports.queueJoin = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const target = parseQueueTarget(data);
+  try {
+    const userSnap = await db.collection('users').doc(uid).get();
+    const userName = (userSnap.exists && userSnap.data().displayName) || context.auth.token?.name || 'Player';
+
+    return await mutateCourtQueue(db, target, (queue, court, now) => {
+      const existing = queuePosition(queue, uid);
+      if (existing) return { queue, changed: false, result: { ok: true, position: existing, alreadyQueued: true } };
+      const maxLen = queueMaxLengthForCourt(court);
+      if (queue.length >= maxLen) {
+        throw new functions.https.HttpsError('resource-exhausted', `Queue is full (max ${maxLen})`);
       }
-      
-    } catch (error) {
-      console.error('Error updating court player count on check-in:', error);
-      return { success: false, error: error.message };
-    }
-  });
+      const nowIso = now.toISOString();
+      queue.push({ userId: uid, userName: String(userName), joinedAt: nowIso, lastActivity: nowIso });
+      return { queue, changed: true, result: { ok: true, position: queue.length, alreadyQueued: false } };
+    });
+  } catch (e) {
+    rethrowQueueError('queueJoin', e);
+  }
+});
 
 /**
- * Cloud Function: Update court player counts when check-ins are updated (checkout)
- * 
- * Triggers: onUpdate for checkins collection
- * Flow:
- * 1. Check if isActive changed from true to false
- * 2. Query active check-ins for that court
- * 3. Update the park document with the current player count
+ * Callable: Leave a court's Got Next queue (no-op if not queued).
  */
-exports.updateCourtPlayerCountOnCheckOut = functions.firestore
-  .document('checkins/{checkinId}')
-  .onUpdate(async (change, context) => {
-    const before = change.before.data();
-    const after = change.after.data();
-    const db = admin.firestore();
-    
-    // Only proceed if isActive changed from true to false
-    if (before.isActive !== true || after.isActive !== false) {
-      return null;
+exports.queueLeave = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const target = parseQueueTarget(data);
+  try {
+    return await mutateCourtQueue(db, target, (queue) => {
+      const next = queue.filter(p => p.userId !== uid);
+      return { queue: next, changed: next.length !== queue.length, result: { ok: true, position: 0, removed: next.length !== queue.length } };
+    });
+  } catch (e) {
+    rethrowQueueError('queueLeave', e);
+  }
+});
+
+/**
+ * Callable: Advance the queue by removing the first `count` players (default 1,
+ * capped at the court's capacity) when they take the court.
+ * Allowed for players being advanced, players actively checked in on the court,
+ * and owner/admin.
+ */
+exports.queueAdvance = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const target = parseQueueTarget(data);
+  try {
+    // Authorization inputs are read outside the transaction (they don't guard queue state)
+    const [activeSnap, privileged] = await Promise.all([
+      db.collection('checkins').where('userId', '==', uid).where('isActive', '==', true).get(),
+      isOwnerOrAdmin(db, uid),
+    ]);
+    const checkedInCourts = new Set();
+    activeSnap.forEach(doc => {
+      const d = doc.data() || {};
+      if (String(d.parkId || '') === target.parkId) checkedInCourts.add(Number(d.courtNumber));
+    });
+
+    return await mutateCourtQueue(db, target, (queue, court) => {
+      const count = Math.max(1, Math.min(courtCapacity(court), Math.floor(Number(data && data.count) || 1)));
+      const head = queue.slice(0, count);
+      const allowed = privileged ||
+        checkedInCourts.has(Number(court.courtNumber)) ||
+        head.some(p => p.userId === uid);
+      if (!allowed) {
+        throw new functions.https.HttpsError('permission-denied', 'Only players up next or on the court can advance the queue');
+      }
+      const next = queue.slice(head.length);
+      return {
+        queue: next,
+        changed: head.length > 0,
+        result: { ok: true, advanced: head.map(p => p.userId), position: queuePosition(next, uid) },
+      };
+    });
+  } catch (e) {
+    rethrowQueueError('queueAdvance', e);
+  }
+});
+
+/**
+ * Callable: Keep the caller's queue entry alive (refreshes lastActivity so
+ * pruneStaleQueueEntries doesn't drop it). Returns position 0 if not queued.
+ */
+exports.queueHeartbeat = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const target = parseQueueTarget(data);
+  try {
+    return await mutateCourtQueue(db, target, (queue, court, now) => {
+      const position = queuePosition(queue, uid);
+      if (!position) return { queue, changed: false, result: { ok: true, position: 0 } };
+      queue[position - 1] = { ...queue[position - 1], lastActivity: now.toISOString() };
+      return { queue, changed: true, result: { ok: true, position } };
+    });
+  } catch (e) {
+    rethrowQueueError('queueHeartbeat', e);
+  }
+});
+
+/**
+ * Check-in expiry: players often leave without tapping check-out, which keeps
+ * their check-ins active and inflates court counts. Active check-ins older than
+ * the dwell time for their court's sport are closed by scheduledExpireCheckins.
+ *
+ * Per-sport dwell (minutes) can be overridden in config/app.checkinDwellMinutes,
+ * e.g. { basketball: 180, pickleball: 120, tennis: 150, default: 180 }.
+ *
+ * Dwell is measured from checkInAtMs, the server create time stamped by
+ * updateCourtPlayerCountOnCheckIn. checkInTime is client-written (older app builds wrote
+ * local time without a zone), so it is never compared on the server.
+ */
+const CHECKIN_DWELL_MINUTES_DEFAULT = { basketball: 180, pickleball: 120, tennis: 150, default: 180 };
+
+// Server-side check-in time (epoch ms) from the document's create time
+function checkinCreatedAtMs(snapshot) {
+  return snapshot.createTime ? snapshot.createTime.toMillis() : Date.now();
+}
+
+// Stamps checkInAtMs on active check-ins created before the field existed (one pass)
+async function stampLegacyCheckinTimes(db) {
+  const jobRef = db.collection('jobs').doc('expire_checkins');
+  const job = await jobRef.get();
+  if (job.exists && job.data().legacyStampedAt) return 0;
+  let stamped = 0;
+  let last = null;
+  for (;;) {
+    let q = db.collection('checkins').where('isActive', '==', true).orderBy(admin.firestore.FieldPath.documentId()).limit(500);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    const batch = db.batch();
+    let writes = 0;
+    snap.docs.forEach((doc) => {
+      if (typeof doc.get('checkInAtMs') === 'number') return;
+      batch.update(doc.ref, { checkInAtMs: checkinCreatedAtMs(doc) });
+      writes += 1;
+    });
+    if (writes > 0) await batch.commit();
+    stamped += writes;
+    if (snap.size < 500) break;
+    last = snap.docs[snap.docs.length - 1];
+  }
+  await jobRef.set({ legacyStampedAt: new Date().toISOString(), legacyStamped: stamped }, { merge: true });
+  return stamped;
+}
+
+async function getCheckinDwellMinutes(db) {
+  const out = { ...CHECKIN_DWELL_MINUTES_DEFAULT };
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const cfg = snap.exists ? (snap.data() || {}).checkinDwellMinutes : null;
+    if (cfg && typeof cfg === 'object') {
+      for (const k of Object.keys(out)) {
+        const n = Number(cfg[k]);
+        if (isFinite(n) && n >= 15 && n <= 24 * 60) out[k] = Math.floor(n);
+      }
     }
-    
+  } catch (_) {}
+  return out;
+}
+
+/**
+ * Scheduled Function: Auto check-out abandoned check-ins
+ *
+ * Runs periodically and flips isActive to false (with checkOutTime and an
+ * autoClosedReason) for check-ins past their sport's dwell time. Court counts
+ * are then adjusted by updateCourtPlayerCountOnCheckOut like a manual checkout.
+ */
+exports.scheduledExpireCheckins = functions.pubsub
+  .schedule('every 15 minutes')
+  .timeZone('Etc/UTC')
+  .onRun(async (context) => {
+    const db = admin.firestore();
+    const now = new Date();
+    const MAX_PER_RUN = 1000;
+
     try {
-      const parkId = after.parkId;
-      const courtNumber = after.courtNumber;
-      
-      if (!parkId || courtNumber === undefined || courtNumber === null) {
-        console.log('Missing parkId or courtNumber in check-in');
-        return null;
-      }
-      
-      // Count active check-ins for this court
-      const activeCheckIns = await db.collection('checkins')
-        .where('parkId', '==', parkId)
-        .where('courtNumber', '==', courtNumber)
+      await stampLegacyCheckinTimes(db);
+      const dwell = await getCheckinDwellMinutes(db);
+      const minDwell = Math.min(...Object.values(dwell));
+      const oldestAllowedMs = now.getTime() - minDwell * 60 * 1000;
+
+      const snap = await db.collection('checkins')
         .where('isActive', '==', true)
+        .where('checkInAtMs', '<', oldestAllowedMs)
+        .orderBy('checkInAtMs')
+        .limit(MAX_PER_RUN)
         .get();
-      
-      const playerCount = activeCheckIns.size;
-      console.log(`Court ${courtNumber} at park ${parkId} now has ${playerCount} active check-ins after checkout`);
-      
-      // Update the park document
-      const parkRef = db.collection('parks').doc(parkId);
-      const parkDoc = await parkRef.get();
-      
-      if (!parkDoc.exists) {
-        console.log('Park not found:', parkId);
-        return null;
-      }
-      
-      const parkData = parkDoc.data();
-      const courts = parkData.courts || [];
-      
-      // Find and update the specific court by courtNumber
-      const courtIndex = courts.findIndex(c => c.courtNumber === courtNumber);
-      if (courtIndex !== -1) {
-        courts[courtIndex].playerCount = playerCount;
-        courts[courtIndex].lastUpdated = admin.firestore.Timestamp.now().toDate().toISOString();
-        
-        await parkRef.update({
-          courts: courts,
-          updatedAt: admin.firestore.Timestamp.now().toDate().toISOString()
+      if (snap.empty) return null;
+
+      // Resolve each check-in's sport from its park's court (cached per park)
+      const parkCourts = new Map();
+      const sportFor = async (parkId, courtNumber) => {
+        if (!parkCourts.has(parkId)) {
+          const p = await db.collection('parks').doc(parkId).get().catch(() => null);
+          parkCourts.set(parkId, p && p.exists && Array.isArray(p.data().courts) ? p.data().courts : []);
+        }
+        const court = parkCourts.get(parkId).find(c => c && Number(c.courtNumber) === Number(courtNumber));
+        return court ? sportCategoryFromType(court.sportType) : 'default';
+      };
+
+      let batch = db.batch();
+      let writes = 0;
+      let closed = 0;
+      const commit = async () => { if (writes > 0) { await batch.commit(); batch = db.batch(); writes = 0; } };
+
+      for (const doc of snap.docs) {
+        const d = doc.data() || {};
+        const checkedInAt = Number(d.checkInAtMs);
+        if (!isFinite(checkedInAt)) continue;
+        const sport = d.parkId ? await sportFor(String(d.parkId), d.courtNumber) : 'default';
+        const limitMinutes = dwell[sport] || dwell.default;
+        if (now - checkedInAt < limitMinutes * 60 * 1000) continue;
+
+        const nowIso = now.toISOString();
+        batch.update(doc.ref, {
+          isActive: false,
+          checkOutTime: nowIso,
+          updatedAt: nowIso,
+          autoClosed: true,
+          autoClosedReason: 'dwell_timeout',
+          autoClosedAfterMinutes: limitMinutes,
         });
-        
-        console.log(`Updated court ${courtNumber} player count to ${playerCount} after checkout`);
-        return { success: true, playerCount };
-      } else {
-        console.log('Court not found in park:', courtNumber);
-        return null;
+        writes += 1;
+        closed += 1;
+        if (writes >= 400) await commit();
       }
-      
-    } catch (error) {
-      console.error('Error updating court player count on checkout:', error);
-      return { success: false, error: error.message };
+      await commit();
+
+      console.log(`Auto-closed ${closed} abandoned check-in(s)`);
+      return null;
+    } catch (e) {
+      console.error('Error expiring abandoned check-ins:', e);
+      return null;
     }
   });
 
 /**
- * Cloud Function: Update court player counts when check-ins are deleted
+ * Cloud Function: Send push notification for game invites
  * 
- * Triggers: onDelete for checkins collection
- * Flow:
- * 1. Query active check-ins for that court
- * 2. Update the park document with the current player count
+ * Triggers: onCreate for notifications collection (type: game_invite or now_playing)
  */
-exports.updateCourtPlayerCountOnDelete = functions.firestore
-  .document('checkins/{checkinId}')
-  .onDelete(async (snapshot, context) => {
-    const checkin = snapshot.data();
+exports.sendGameNotification = functions.firestore
+  .document('notifications/{notificationId}')
+  .onCreate(async (snapshot, context) => {
+    const notification = snapshot.data();
     const db = admin.firestore();
     
-    // Only proceed if the check-in was active
-    if (!checkin.isActive) {
-      return null;
-    }
+    if (notification.type !== 'game_invite' && notification.type !== 'now_playing') return null;
     
     try {
-      const parkId = checkin.parkId;
-      const courtNumber = checkin.courtNumber;
-      
-      if (!parkId || courtNumber === undefined || courtNumber === null) {
-        console.log('Missing parkId or courtNumber in check-in');
+      // Enforce: Only premium senders may trigger game_invite/now_playing pushes
+      const senderId = notification.senderId;
+      if (!senderId) {
+        console.log('Dropping game notification without senderId (premium required)');
         return null;
       }
-      
-      // Count active check-ins for this court
-      const activeCheckIns = await db.collection('checkins')
-        .where('parkId', '==', parkId)
-        .where('courtNumber', '==', courtNumber)
-        .where('isActive', '==', true)
-        .get();
-      
-      const playerCount = activeCheckIns.size;
-      console.log(`Court ${courtNumber} at park ${parkId} now has ${playerCount} active check-ins after deletion`);
-      
-      // Update the park document
-      const parkRef = db.collection('parks').doc(parkId);
-      const parkDoc = await parkRef.get();
-      
-      if (!parkDoc.exists) {
-        console.log('Park not found:', parkId);
+      if (!(await isPremium(db, senderId))) {
+        console.log('Dropping game notification; sender not premium:', senderId);
         return null;
       }
+
+      const userId = notification.userId;
+      const title = notification.title;
+      const body = notification.body;
+      const data = {
+        type: notification.type,
+        parkName: notification.parkName || '',
+        click_action: 'FLUTTER_NOTIFICATION_CLICK'
+      };
       
-      const parkData = parkDoc.data();
-      const courts = parkData.courts || [];
-      
-      // Find and update the specific court by courtNumber
-      const courtIndex = courts.findIndex(c => c.courtNumber === courtNumber);
-      if (courtIndex !== -1) {
-        courts[courtIndex].playerCount = playerCount;
-        courts[courtIndex].lastUpdated = admin.firestore.Timestamp.now().toDate().toISOString();
-        
-        await parkRef.update({
-          courts: courts,
-          updatedAt: admin.firestore.Timestamp.now().toDate().toISOString()
-        });
-        
-        console.log(`Updated court ${courtNumber} player count to ${playerCount} after deletion`);
-        return { success: true, playerCount };
-      } else {
-        console.log('Court not found in park:', courtNumber);
-        return null;
+      if (notification.scheduledTime) {
+        data.scheduledTime = notification.scheduledTime;
       }
+      if (notification.courtNumber) {
+        data.courtNumber = notification.courtNumber.toString();
+      }
+      // Deep-link targets (web push opens the game / park directly)
+      if (notification.gameId) data.gameId = String(notification.gameId);
+      if (notification.parkId) data.parkId = String(notification.parkId);
+      
+      const response = await sendNotificationsToUsers(db, [userId], title, body, data);
+      console.log(`${notification.type} notification sent to user ${userId}`);
+      return { success: true, sent: response.successCount };
       
     } catch (error) {
-      console.error('Error updating court player count on delete:', error);
+      console.error('Error sending game notification:', error);
       return { success: false, error: error.message };
     }
   });
 
 /**
- * Scheduled Function: Lightweight dedupe and post-merge cleanup
- * - Scans a recent window of parks (by createdAt desc)
- * - Groups by rounded lat/lon (~5 decimals ~ 1m)
- * - Chooses a primary (prefer user-submitted over OSM; then oldest)
- * - Marks other docs as duplicates and links their source to primary.altSources
+ * ========================
+ * GAME LIFECYCLE
+ * ========================
+ * Games are created by the app with status 'scheduled' and nothing server-side moved
+ * them along. scheduledGameLifecycle runs every 5 minutes and:
+ *  1. Sends reminder pushes (type 'game_reminder') to playerIds GAME_REMINDER_OFFSETS_MINUTES
+ *     before scheduledTime; sent offsets are recorded in games.remindersSent so each fires once.
+ *  2. Moves scheduled games to 'active' at start time (autoStarted: true).
+ *  3. After scheduledTime + duration, closes active games: 'completed' when anyone checked in
+ *     via the game QR (checkins.gameId) or the organizer started it, otherwise 'expired'.
+ *     Players who checked in via the QR get users.gamesPlayed incremented once.
+ *
+ * All time comparisons use games.scheduledAtMs (epoch ms), stamped server-side from
+ * scheduledTime by stampGameScheduledAt. The app writes scheduledTime in UTC; older
+ * zone-less strings are read as UTC.
+ *
+ * Duration defaults to GAME_DURATION_MINUTES_DEFAULT; override with config/app.gameDurationMinutes.
  */
-exports.scheduledDedupeParks = functions.pubsub
-  .schedule('every 12 hours')
-  .timeZone('Etc/UTC')
-  .onRun(async () => {
-    const db = admin.firestore();
-    const nowIso = new Date().toISOString();
-    const LIMIT = 1500; // recent window
-    const MAX_FIXES = 100; // avoid over-writing in one run
+const GAME_REMINDER_OFFSETS_MINUTES = [60, 15];
+const GAME_DURATION_MINUTES_DEFAULT = 120;
+
+// Epoch ms for a game's scheduledTime, or null when missing/unparseable
+function gameScheduledAtMs(game) {
+  const raw = game && game.scheduledTime;
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw.toMillis === 'function') return raw.toMillis();
+  let str = String(raw).trim();
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(str)) str += 'Z';
+  const ms = Date.parse(str);
+  return isFinite(ms) ? ms : null;
+}
 
+/**
+ * Firestore Trigger: Keep games.scheduledAtMs in step with scheduledTime
+ */
+exports.stampGameScheduledAt = functions.firestore
+  .document('games/{gameId}')
+  .onWrite(async (change) => {
+    if (!change.after.exists) return null;
+    const game = change.after.data() || {};
+    const ms = gameScheduledAtMs(game);
+    if ((ms === null && game.scheduledAtMs === undefined) || game.scheduledAtMs === ms) return null;
     try {
-      const q = await db.collection('parks').orderBy('createdAt', 'desc').limit(LIMIT).get();
-      if (q.empty) return null;
-      const groups = new Map();
-      for (const doc of q.docs) {
-        const d = doc.data();
-        const lat = Number(d.latitude);
-        const lon = Number(d.longitude);
-        if (!isFinite(lat) || !isFinite(lon)) continue;
-        const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
-        const arr = groups.get(key) || [];
-        arr.push({ id: doc.id, data: d });
-        groups.set(key, arr);
-      }
-      let fixes = 0;
-      for (const [key, arr] of groups.entries()) {
-        if (arr.length < 2) continue;
-        // Choose primary: prioritize non-OSM (user-submitted), then earliest createdAt
-        arr.sort((a, b) => {
-          const aOsm = (a.data.source === 'osm');
-          const bOsm = (b.data.source === 'osm');
-          if (aOsm !== bOsm) return aOsm ? 1 : -1; // non-OSM first
-          const at = a.data.createdAt || '';
-          const bt = b.data.createdAt || '';
-          return at.localeCompare(bt);
-        });
-        const primary = arr[0];
-        const dups = arr.slice(1);
-        if (primary.data.dupOf) continue; // skip if already marked
-        const updates = [];
-        // Ensure loc index points to primary
-        const locRef = db.collection('parkLocIndex').doc('ll:' + key);
-        updates.push(locRef.set({ parkId: primary.id, lat: Number(primary.data.latitude), lon: Number(primary.data.longitude), state: primary.data.state || '', registeredAt: nowIso }, { merge: true }));
-        // Merge alt sources into primary and mark duplicates
-        const altSrcs = [];
-        for (const x of dups) {
-          if (fixes >= MAX_FIXES) break;
-          const src = (x.data.source === 'osm' && x.data.sourceId) ? { type: 'osm', ref: x.data.sourceId } : { type: x.data.source || 'unknown', ref: x.id };
-          altSrcs.push(src);
-          updates.push(db.collection('parks').doc(x.id).set({ dupOf: primary.id, approved: false, reviewStatus: 'duplicate', updatedAt: nowIso }, { merge: true }));
-          fixes += 1;
-        }
-        if (altSrcs.length) {
-          updates.push(db.collection('parks').doc(primary.id).set({ altSources: admin.firestore.FieldValue.arrayUnion(...altSrcs), updatedAt: nowIso }, { merge: true }));
-        }
-        if (updates.length) await Promise.all(updates);
-        if (fixes >= MAX_FIXES) break;
-      }
-      console.log(`Dedupe scan complete. Fixed ${fixes} duplicate doc(s).`);
-      return null;
+      await change.after.ref.update({
+        scheduledAtMs: ms === null ? admin.firestore.FieldValue.delete() : ms,
+      });
     } catch (e) {
-      console.warn('scheduledDedupeParks error', e);
-      return null;
+      console.warn('stampGameScheduledAt failed', change.after.id, e?.message || e);
     }
+    return null;
   });
 
-// -------------------- Appended New Functions (monolithic merge) --------------------
-// Note: admin.initializeApp() already called at top of file. Do NOT re-initialize.
+// Stamps scheduledAtMs on open games written before the field existed (one pass)
+async function stampLegacyGameTimes(db) {
+  const jobRef = db.collection('jobs').doc('game_lifecycle');
+  const job = await jobRef.get();
+  if (job.exists && job.data().legacyStampedAt) return 0;
+  let stamped = 0;
+  for (const status of ['scheduled', 'active']) {
+    let last = null;
+    for (;;) {
+      let q = db.collection('games').where('status', '==', status).orderBy(admin.firestore.FieldPath.documentId()).limit(500);
+      if (last) q = q.startAfter(last);
+      const snap = await q.get();
+      const batch = db.batch();
+      let writes = 0;
+      snap.docs.forEach((doc) => {
+        if (typeof doc.get('scheduledAtMs') === 'number') return;
+        const ms = gameScheduledAtMs(doc.data());
+        if (ms === null) return;
+        batch.update(doc.ref, { scheduledAtMs: ms });
+        writes += 1;
+      });
+      if (writes > 0) await batch.commit();
+      stamped += writes;
+      if (snap.size < 500) break;
+      last = snap.docs[snap.docs.length - 1];
+    }
+  }
+  await jobRef.set({ legacyStampedAt: new Date().toISOString(), legacyStamped: stamped }, { merge: true });
+  return stamped;
+}
+
+async function getGameDurationMinutes(db) {
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const v = Number(snap.exists ? (snap.data() || {}).gameDurationMinutes : NaN);
+    if (isFinite(v) && v >= 15 && v <= 24 * 60) return Math.floor(v);
+  } catch (_) {}
+  return GAME_DURATION_MINUTES_DEFAULT;
+}
+
+function gameReminderText(game, minutes) {
+  const where = game.parkName ? ` at ${game.parkName}` : '';
+  const when = minutes >= 60 ? `${Math.round(minutes / 60)} hour${minutes >= 120 ? 's' : ''}` : `${minutes} minutes`;
+  return { title: '⏰ Game reminder', body: `Your game${where} starts in ${when}.` };
+}
+
+// Claims the tightest due reminder offset (skipping ones that are already past) and sends it
+async function sendDueGameReminder(db, gameRef, now) {
+  const claim = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists) return null;
+    const game = snap.data() || {};
+    if (game.status !== 'scheduled') return null;
+    const startMs = gameScheduledAtMs(game);
+    if (startMs === null || startMs <= now.getTime()) return null;
+    const minutesUntil = (startMs - now.getTime()) / 60000;
+    const sent = game.remindersSent || {};
+    const due = GAME_REMINDER_OFFSETS_MINUTES.filter(m => minutesUntil <= m && !sent[String(m)]);
+    if (!due.length) return null;
+    const update = {};
+    for (const m of due) update[`remindersSent.${m}`] = now.toISOString();
+    tx.update(gameRef, update);
+    return { game, offset: Math.min(...due) };
+  });
+  if (!claim) return 0;
+
+  const { game, offset } = claim;
+  const playerIds = Array.isArray(game.playerIds) ? game.playerIds.filter(Boolean) : [];
+  if (!playerIds.length) return 0;
+  const { title, body } = gameReminderText(game, offset);
+  const data = {
+    type: 'game_reminder',
+    gameId: gameRef.id,
+    parkId: String(game.parkId || ''),
+    parkName: String(game.parkName || ''),
+    scheduledTime: String(game.scheduledTime || ''),
+    reminderMinutes: String(offset),
+    click_action: 'FLUTTER_NOTIFICATION_CLICK',
+  };
+  const resp = await sendNotificationsToUsers(db, playerIds, title, body, data);
+  return resp.successCount;
+}
+
+// Users who checked in through the game QR (checkins.gameId), deduped
+async function gameQrCheckinUserIds(db, gameId) {
+  const snap = await db.collection('checkins').where('gameId', '==', gameId).get();
+  const ids = new Set();
+  snap.forEach(d => { const uid = d.data().userId; if (uid) ids.add(uid); });
+  return Array.from(ids);
+}
+
+async function closeGame(db, gameRef, now) {
+  const checkedIn = await gameQrCheckinUserIds(db, gameRef.id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists) return null;
+    const game = snap.data() || {};
+    if (game.status !== 'scheduled' && game.status !== 'active') return null;
+    const startedByOrganizer = game.status === 'active' && game.autoStarted !== true;
+    const status = (checkedIn.length > 0 || startedByOrganizer) ? 'completed' : 'expired';
+    const credited = new Set(Array.isArray(game.gamesPlayedCredited) ? game.gamesPlayedCredited : []);
+    const toCredit = checkedIn.filter(uid => !credited.has(uid));
+    for (const uid of toCredit) {
+      tx.set(db.collection('users').doc(uid), {
+        gamesPlayed: admin.firestore.FieldValue.increment(1),
+        updatedAt: now.toISOString(),
+      }, { merge: true });
+    }
+    tx.update(gameRef, {
+      status,
+      endedAt: now.toISOString(),
+      autoClosed: true,
+      gamesPlayedCredited: Array.from(credited).concat(toCredit),
+      updatedAt: now.toISOString(),
+    });
+    return { status, credited: toCredit.length };
+  });
+}
+
+/**
+ * Scheduled Function: Game reminders, auto-start and auto-complete
+ *
+ * Runs every 5 minutes. Summary is logged; failures on one game don't stop the rest.
+ */
+exports.scheduledGameLifecycle = functions.pubsub
+  .schedule('every 5 minutes')
+  .timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const stats = { reminders: 0, started: 0, completed: 0, expired: 0, credited: 0 };
+    try {
+      await stampLegacyGameTimes(db);
+      const durationMs = (await getGameDurationMinutes(db)) * 60 * 1000;
+      const nowMs = now.getTime();
+      const endCutoffMs = nowMs - durationMs;
+
+      // 1) Reminders for games starting within the widest offset
+      const horizonMs = nowMs + Math.max(...GAME_REMINDER_OFFSETS_MINUTES) * 60 * 1000;
+      const upcoming = await db.collection('games')
+        .where('status', '==', 'scheduled')
+        .where('scheduledAtMs', '>', nowMs)
+        .where('scheduledAtMs', '<=', horizonMs)
+        .get();
+      for (const doc of upcoming.docs) {
+        try {
+          stats.reminders += await sendDueGameReminder(db, doc.ref, now);
+        } catch (e) {
+          console.warn('game reminder failed', doc.id, e?.message || e);
+        }
+      }
+
+      // 2) Start games whose time has come; ones already past their end are closed directly
+      const due = await db.collection('games')
+        .where('status', '==', 'scheduled')
+        .where('scheduledAtMs', '<=', nowMs)
+        .orderBy('scheduledAtMs')
+        .limit(500)
+        .get();
+      for (const doc of due.docs) {
+        try {
+          const game = doc.data() || {};
+          if (Number(game.scheduledAtMs) <= endCutoffMs) {
+            const res = await closeGame(db, doc.ref, now);
+            if (res) { stats[res.status] += 1; stats.credited += res.credited; }
+            continue;
+          }
+          const started = await db.runTransaction(async (tx) => {
+            const snap = await tx.get(doc.ref);
+            if (!snap.exists || (snap.data() || {}).status !== 'scheduled') return false;
+            tx.update(doc.ref, { status: 'active', startedAt: nowIso, autoStarted: true, updatedAt: nowIso });
+            return true;
+          });
+          if (started) stats.started += 1;
+        } catch (e) {
+          console.warn('game auto-start failed', doc.id, e?.message || e);
+        }
+      }
+
+      // 3) Close active games past their duration
+      const ended = await db.collection('games')
+        .where('status', '==', 'active')
+        .where('scheduledAtMs', '<=', endCutoffMs)
+        .orderBy('scheduledAtMs')
+        .limit(500)
+        .get();
+      for (const doc of ended.docs) {
+        try {
+          const res = await closeGame(db, doc.ref, now);
+          if (res) { stats[res.status] += 1; stats.credited += res.credited; }
+        } catch (e) {
+          console.warn('game auto-complete failed', doc.id, e?.message || e);
+        }
+      }
+
+      console.log(`Game lifecycle: reminders=${stats.reminders} started=${stats.started} completed=${stats.completed} expired=${stats.expired} gamesPlayedCredited=${stats.credited}`);
+      return null;
+    } catch (e) {
+      console.error('Error running game lifecycle', e);
+      return null;
+    }
+  });
+
+/**
+ * ========================
+ * GAME ROSTER API (onCall)
+ * ========================
+ * Server-authoritative joins/leaves for games. Each call runs in a transaction on the
+ * game doc so maxPlayers can't be exceeded by racing clients. playerIds/playerNames are
+ * kept index-aligned; overflow players go to games.waitlist (entries shaped like queue
+ * entries: { userId, userName, joinedAt }) and are promoted in order when a spot opens.
+ * games.waitlistIds mirrors the waitlist order for the app. Promoted players are notified
+ * with type 'game_waitlist_promoted'. Clients can't write any roster field (firestore.rules).
+ */
+const GAME_WAITLIST_MAX = 20;
+const GAME_OPEN_STATUSES = new Set(['scheduled', 'active']);
+
+function gameRoster(game) {
+  const ids = Array.isArray(game.playerIds) ? game.playerIds : [];
+  const names = Array.isArray(game.playerNames) ? game.playerNames : [];
+  return ids.map((id, i) => ({ userId: id, userName: names[i] !== undefined ? String(names[i]) : '' }));
+}
+
+function gameMaxPlayers(game) {
+  const n = Math.floor(Number(game.maxPlayers));
+  return isFinite(n) && n > 0 ? n : 10; // Game.maxPlayers default in the app
+}
+
+function rosterUpdate(players, waitlist, nowIso) {
+  return {
+    playerIds: players.map(p => p.userId),
+    playerNames: players.map(p => p.userName),
+    waitlist,
+    waitlistIds: waitlist.map(w => w.userId),
+    updatedAt: nowIso,
+  };
+}
+
+function parseGameId(data) {
+  const gameId = data && data.gameId ? String(data.gameId) : '';
+  if (!gameId) throw new functions.https.HttpsError('invalid-argument', 'gameId is required');
+  return gameId;
+}
+
+/**
+ * Callable: Join a game, or its waitlist when full.
+ * Idempotent: returns the caller's current state if already joined/waitlisted.
+ * Returns { ok, status: 'joined'|'waitlisted', playerCount, maxPlayers, waitlistPosition }
+ */
+exports.gameJoin = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const gameId = parseGameId(data);
+  try {
+    const userSnap = await db.collection('users').doc(uid).get();
+    const userName = String((userSnap.exists && userSnap.data().displayName) || context.auth.token?.name || 'Player');
+    const gameRef = db.collection('games').doc(gameId);
+
+    return await db.runTransaction(async (tx) => {
+      const snap = await tx.get(gameRef);
+      if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Game not found');
+      const game = snap.data() || {};
+      const players = gameRoster(game);
+      const waitlist = Array.isArray(game.waitlist) ? game.waitlist.filter(w => w && w.userId) : [];
+      const maxPlayers = gameMaxPlayers(game);
+      const base = { ok: true, maxPlayers };
+
+      if (players.some(p => p.userId === uid)) {
+        return { ...base, status: 'joined', alreadyJoined: true, playerCount: players.length, waitlistPosition: 0 };
+      }
+      const waitIdx = waitlist.findIndex(w => w.userId === uid);
+      if (waitIdx !== -1) {
+        return { ...base, status: 'waitlisted', alreadyJoined: true, playerCount: players.length, waitlistPosition: waitIdx + 1 };
+      }
+      if (!GAME_OPEN_STATUSES.has(String(game.status || 'scheduled'))) {
+        throw new functions.https.HttpsError('failed-precondition', 'Game is no longer open');
+      }
+
+      const nowIso = new Date().toISOString();
+      if (players.length < maxPlayers) {
+        players.push({ userId: uid, userName });
+        tx.update(gameRef, rosterUpdate(players, waitlist, nowIso));
+        return { ...base, status: 'joined', alreadyJoined: false, playerCount: players.length, waitlistPosition: 0 };
+      }
+      if (waitlist.length >= GAME_WAITLIST_MAX) {
+        throw new functions.https.HttpsError('resource-exhausted', `Game and waitlist are full (max ${GAME_WAITLIST_MAX} waiting)`);
+      }
+      waitlist.push({ userId: uid, userName, joinedAt: nowIso });
+      tx.update(gameRef, rosterUpdate(players, waitlist, nowIso));
+      return { ...base, status: 'waitlisted', alreadyJoined: false, playerCount: players.length, waitlistPosition: waitlist.length };
+    });
+  } catch (e) {
+    if (e instanceof functions.https.HttpsError) throw e;
+    console.error('gameJoin error', e?.message || e);
+    throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+  }
+});
+
+/**
+ * Callable: Leave a game or its waitlist (no-op if in neither).
+ * When a player leaves an open game, waitlisted players are promoted into free spots
+ * and notified. Returns { ok, removed, promoted: [userId] }
+ */
+exports.gameLeave = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Authentication required');
+  }
+  const db = admin.firestore();
+  const uid = context.auth.uid;
+  const gameId = parseGameId(data);
+  try {
+    const gameRef = db.collection('games').doc(gameId);
+    const out = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(gameRef);
+      if (!snap.exists) throw new functions.https.HttpsError('not-found', 'Game not found');
+      const game = snap.data() || {};
+      const roster = gameRoster(game);
+      const waiting = Array.isArray(game.waitlist) ? game.waitlist.filter(w => w && w.userId) : [];
+      const players = roster.filter(p => p.userId !== uid);
+      const waitlist = waiting.filter(w => w.userId !== uid);
+      const removed = players.length !== roster.length || waitlist.length !== waiting.length;
+      if (!removed) return { game, removed: false, promoted: [] };
+
+      const promoted = [];
+      if (GAME_OPEN_STATUSES.has(String(game.status || 'scheduled'))) {
+        const maxPlayers = gameMaxPlayers(game);
+        while (players.length < maxPlayers && waitlist.length) {
+          const next = waitlist.shift();
+          players.push({ userId: next.userId, userName: String(next.userName || '') });
+          promoted.push(next.userId);
+        }
+      }
+      tx.update(gameRef, rosterUpdate(players, waitlist, new Date().toISOString()));
+      return { game, removed: true, promoted };
+    });
+
+    if (out.promoted.length) {
+      const where = out.game.parkName ? ` at ${out.game.parkName}` : '';
+      const payload = {
+        type: 'game_waitlist_promoted',
+        gameId,
+        parkId: String(out.game.parkId || ''),
+        parkName: String(out.game.parkName || ''),
+        scheduledTime: String(out.game.scheduledTime || ''),
+        click_action: 'FLUTTER_NOTIFICATION_CLICK',
+      };
+      try {
+        await sendNotificationsToUsers(db, out.promoted, "🏀 You're in!", `A spot opened up and you've been moved off the waitlist for the game${where}.`, payload);
+      } catch (e) {
+        console.warn('waitlist promotion notify failed', gameId, e?.message || e);
+      }
+    }
+    return { ok: true, removed: out.removed, promoted: out.promoted };
+  } catch (e) {
+    if (e instanceof functions.https.HttpsError) throw e;
+    console.error('gameLeave error', e?.message || e);
+    throw new functions.https.HttpsError('internal', e?.message || 'Unknown error');
+  }
+});
+
+/**
+ * ========================
+ * COURT PLAYER COUNTS (incremental, transactional)
+ * ========================
+ * Each active check-in contributes its playerCount (groups checking in together)
+ * to parks.courts[].playerCount for the matching courtNumber. The check-in triggers
+ * apply +/- deltas inside a transaction instead of re-querying every active check-in
+ * and rewriting the courts array, so near-simultaneous check-ins can't clobber each other.
+ *
+ * Trigger retries are de-duplicated by eventId:
+ *   courtCountEvents/{eventId} { parkIds, appliedAt, expiresAt }
+ * Drift (missed events, manual edits) is repaired by scheduledReconcileCourtPlayerCounts,
+ * which reports to jobs/reconcile_court_counts.
+ */
+const COURT_COUNT_EVENTS_COLL = 'courtCountEvents';
+const COURT_COUNT_EVENT_TTL_HOURS = 24;
+
+// Returns { parkId, courtNumber, weight } for an active check-in, else null
+function checkinContribution(checkin) {
+  if (!checkin || checkin.isActive !== true) return null;
+  const parkId = checkin.parkId ? String(checkin.parkId) : '';
+  const courtNumber = Number(checkin.courtNumber);
+  if (!parkId || checkin.courtNumber === undefined || checkin.courtNumber === null || !isFinite(courtNumber)) return null;
+  const weight = Math.max(1, Math.floor(Number(checkin.playerCount) || 1));
+  return { parkId, courtNumber, weight };
+}
+
+// Diff two check-in states into Map(parkId -> Map(courtNumber -> delta)), dropping zero deltas
+function courtCountDeltas(before, after) {
+  const deltas = new Map();
+  const add = (c, sign) => {
+    if (!c) return;
+    const byCourt = deltas.get(c.parkId) || new Map();
+    byCourt.set(c.courtNumber, (byCourt.get(c.courtNumber) || 0) + sign * c.weight);
+    deltas.set(c.parkId, byCourt);
+  };
+  add(checkinContribution(before), -1);
+  add(checkinContribution(after), 1);
+  for (const [parkId, byCourt] of deltas) {
+    for (const [courtNumber, delta] of byCourt) {
+      if (delta === 0) byCourt.delete(courtNumber);
+    }
+    if (byCourt.size === 0) deltas.delete(parkId);
+  }
+  return deltas;
+}
+
+// Apply court deltas in one transaction; skips events that were already applied
+async function applyCourtCountDeltas(db, eventId, deltas) {
+  if (!deltas || deltas.size === 0) return { applied: false, counts: {} };
+  const eventRef = eventId ? db.collection(COURT_COUNT_EVENTS_COLL).doc(String(eventId)) : null;
+  const parkIds = Array.from(deltas.keys());
+
+  return db.runTransaction(async (tx) => {
+    if (eventRef) {
+      const ev = await tx.get(eventRef);
+      if (ev.exists) return { applied: false, duplicate: true, counts: {} };
+    }
+    const parkSnaps = await Promise.all(parkIds.map((id) => tx.get(db.collection('parks').doc(id))));
+
+    const nowIso = new Date().toISOString();
+    const counts = {};
+    parkSnaps.forEach((snap, i) => {
+      const parkId = parkIds[i];
+      if (!snap.exists) {
+        console.log('Park not found:', parkId);
+        return;
+      }
+      const byCourt = deltas.get(parkId);
+      const courts = Array.isArray(snap.data().courts) ? snap.data().courts : [];
+      const seen = new Set();
+      const updatedCourts = courts.map((court) => {
+        const courtNumber = court ? Number(court.courtNumber) : NaN;
+        if (!byCourt.has(courtNumber) || seen.has(courtNumber)) return court;
+        seen.add(courtNumber);
+        const next = Math.max(0, (Number(court.playerCount) || 0) + byCourt.get(courtNumber));
+        counts[`${parkId}:${courtNumber}`] = next;
+        return { ...court, playerCount: next, lastUpdated: nowIso };
+      });
+      if (seen.size === 0) {
+        console.log('Court not found in park:', parkId, Array.from(byCourt.keys()).join(','));
+        return;
+      }
+      tx.update(snap.ref, { courts: updatedCourts, updatedAt: nowIso, playerCountTouchedAt: nowIso });
+    });
+
+    if (eventRef) {
+      const expiresAt = new Date(Date.now() + COURT_COUNT_EVENT_TTL_HOURS * 60 * 60 * 1000).toISOString();
+      tx.set(eventRef, { parkIds, appliedAt: nowIso, expiresAt });
+    }
+    return { applied: true, counts };
+  });
+}
+
+// Recompute every court count of a park from its active check-ins (transactional)
+async function reconcileParkCourtCounts(db, parkId) {
+  const parkRef = db.collection('parks').doc(parkId);
+  const activeQuery = db.collection('checkins')
+    .where('parkId', '==', parkId)
+    .where('isActive', '==', true);
+
+  return db.runTransaction(async (tx) => {
+    const [parkSnap, activeSnap] = await Promise.all([tx.get(parkRef), tx.get(activeQuery)]);
+    if (!parkSnap.exists) return 0;
+
+    const expected = new Map();
+    activeSnap.forEach((doc) => {
+      const c = checkinContribution(doc.data());
+      if (c) expected.set(c.courtNumber, (expected.get(c.courtNumber) || 0) + c.weight);
+    });
+
+    const nowIso = new Date().toISOString();
+    const courts = Array.isArray(parkSnap.data().courts) ? parkSnap.data().courts : [];
+    const seen = new Set();
+    let fixed = 0;
+    const updatedCourts = courts.map((court) => {
+      if (!court) return court;
+      const courtNumber = Number(court.courtNumber);
+      // Only the first court per number is counted (matches applyCourtCountDeltas)
+      const want = seen.has(courtNumber) ? 0 : (expected.get(courtNumber) || 0);
+      seen.add(courtNumber);
+      if ((Number(court.playerCount) || 0) === want) return court;
+      fixed += 1;
+      return { ...court, playerCount: want, lastUpdated: nowIso };
+    });
+    if (fixed > 0) {
+      tx.update(parkRef, { courts: updatedCourts, updatedAt: nowIso, playerCountTouchedAt: nowIso });
+    }
+    return fixed;
+  });
+}
+
+/**
+ * Cloud Function: Update court player counts when check-ins are created
+ *
+ * Triggers: onCreate for checkins collection
+ * Adds the check-in's playerCount to its court when it is created active, and stamps
+ * checkInAtMs (server create time) for dwell expiry.
+ */
+exports.updateCourtPlayerCountOnCheckIn = functions.firestore
+  .document('checkins/{checkinId}')
+  .onCreate(async (snapshot, context) => {
+    const db = admin.firestore();
+    try {
+      // Server time for dwell expiry (see scheduledExpireCheckins); counts ignore this update
+      await snapshot.ref.update({ checkInAtMs: checkinCreatedAtMs(snapshot) }).catch((e) => console.warn('checkInAtMs stamp failed', e?.message || e));
+      const res = await applyCourtCountDeltas(db, context.eventId, courtCountDeltas(null, snapshot.data()));
+      return { success: true, ...res };
+    } catch (error) {
+      console.error('Error updating court player count on check-in:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+/**
+ * Cloud Function: Update court player counts when check-ins are updated (checkout)
+ *
+ * Triggers: onUpdate for checkins collection
+ * Handles checkout (isActive true -> false) as well as activation, playerCount
+ * edits and court moves by diffing the before/after contributions.
+ */
+exports.updateCourtPlayerCountOnCheckOut = functions.firestore
+  .document('checkins/{checkinId}')
+  .onUpdate(async (change, context) => {
+    const db = admin.firestore();
+    const deltas = courtCountDeltas(change.before.data(), change.after.data());
+    if (deltas.size === 0) return null;
+    try {
+      const res = await applyCourtCountDeltas(db, context.eventId, deltas);
+      return { success: true, ...res };
+    } catch (error) {
+      console.error('Error updating court player count on checkout:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+/**
+ * Cloud Function: Update court player counts when check-ins are deleted
+ *
+ * Triggers: onDelete for checkins collection
+ * Removes the contribution of a check-in that was still active when deleted.
+ */
+exports.updateCourtPlayerCountOnDelete = functions.firestore
+  .document('checkins/{checkinId}')
+  .onDelete(async (snapshot, context) => {
+    const db = admin.firestore();
+    const deltas = courtCountDeltas(snapshot.data(), null);
+    if (deltas.size === 0) return null;
+    try {
+      const res = await applyCourtCountDeltas(db, context.eventId, deltas);
+      return { success: true, ...res };
+    } catch (error) {
+      console.error('Error updating court player count on delete:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+/**
+ * Scheduled Function: Reconcile court player counts against active check-ins
+ * - Candidates: parks with active check-ins plus parks whose counts were touched
+ *   within the lookback window (so courts that drifted above zero get reset)
+ * - Each park is recomputed in its own transaction
+ * - Prunes expired courtCountEvents markers
+ * - Writes a run summary to jobs/reconcile_court_counts
+ */
+exports.scheduledReconcileCourtPlayerCounts = functions
+  .runWith({ timeoutSeconds: 300, memory: '512MB', maxInstances: 1 })
+  .pubsub.schedule('every 30 minutes').timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const jobRef = db.collection('jobs').doc('reconcile_court_counts');
+    const now = new Date();
+    const lookbackHours = Math.max(1, Math.min(72, Number(process.env.COURT_COUNT_RECONCILE_LOOKBACK_HOURS) || 24));
+    const lookbackIso = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000).toISOString();
+    try {
+      const parkIds = new Set();
+      const activeSnap = await db.collection('checkins').where('isActive', '==', true).select('parkId').get();
+      activeSnap.forEach((doc) => { const p = doc.get('parkId'); if (p) parkIds.add(String(p)); });
+      const touchedSnap = await db.collection('parks').where('playerCountTouchedAt', '>=', lookbackIso).select().get();
+      touchedSnap.forEach((doc) => parkIds.add(doc.id));
+
+      let parksFixed = 0;
+      let courtsFixed = 0;
+      let errors = 0;
+      for (const parkId of parkIds) {
+        try {
+          const fixed = await reconcileParkCourtCounts(db, parkId);
+          if (fixed > 0) { parksFixed += 1; courtsFixed += fixed; }
+        } catch (e) {
+          errors += 1;
+          console.warn('reconcileParkCourtCounts error', parkId, e?.message || e);
+        }
+      }
+
+      const expiredSnap = await db.collection(COURT_COUNT_EVENTS_COLL)
+        .where('expiresAt', '<', now.toISOString())
+        .limit(400)
+        .get();
+      if (!expiredSnap.empty) {
+        const batch = db.batch();
+        expiredSnap.forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+      }
+
+      const nowIso = new Date().toISOString();
+      await jobRef.set({
+        lastRunAt: nowIso,
+        lastSuccessAt: nowIso,
+        parksScanned: parkIds.size,
+        parksFixed,
+        courtsFixed,
+        errors,
+        eventsPruned: expiredSnap.size,
+      }, { merge: true });
+      console.log(`Reconciled court counts: scanned=${parkIds.size} parksFixed=${parksFixed} courtsFixed=${courtsFixed}`);
+      return null;
+    } catch (e) {
+      try {
+        await jobRef.set({ lastRunAt: new Date().toISOString(), lastErrorAt: new Date().toISOString(), lastError: (e && e.message) ? String(e.message).slice(0, 400) : String(e).slice(0, 400) }, { merge: true });
+      } catch (_) {}
+      return null;
+    }
+  });
+
+/**
+ * Scheduled Function: Lightweight dedupe and post-merge cleanup
+ * - Scans a recent window of parks (by createdAt desc)
+ * - Groups by rounded lat/lon (~5 decimals ~ 1m)
+ * - Chooses a primary (prefer user-submitted over OSM; then oldest)
+ * - Marks other docs as duplicates and links their source to primary.altSources
+ */
+exports.scheduledDedupeParks = functions.pubsub
+  .schedule('every 12 hours')
+  .timeZone('Etc/UTC')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const nowIso = new Date().toISOString();
+    const LIMIT = 1500; // recent window
+    const MAX_FIXES = 100; // avoid over-writing in one run
+
+    try {
+      const q = await db.collection('parks').orderBy('createdAt', 'desc').limit(LIMIT).get();
+      if (q.empty) return null;
+      const groups = new Map();
+      for (const doc of q.docs) {
+        const d = doc.data();
+        const lat = Number(d.latitude);
+        const lon = Number(d.longitude);
+        if (!isFinite(lat) || !isFinite(lon)) continue;
+        const key = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+        const arr = groups.get(key) || [];
+        arr.push({ id: doc.id, data: d });
+        groups.set(key, arr);
+      }
+      let fixes = 0;
+      for (const [key, arr] of groups.entries()) {
+        if (arr.length < 2) continue;
+        // Choose primary: prioritize non-OSM (user-submitted), then earliest createdAt
+        arr.sort((a, b) => {
+          const aOsm = (a.data.source === 'osm');
+          const bOsm = (b.data.source === 'osm');
+          if (aOsm !== bOsm) return aOsm ? 1 : -1; // non-OSM first
+          const at = a.data.createdAt || '';
+          const bt = b.data.createdAt || '';
+          return at.localeCompare(bt);
+        });
+        const primary = arr[0];
+        const dups = arr.slice(1);
+        if (primary.data.dupOf) continue; // skip if already marked
+        const updates = [];
+        // Ensure loc index points to primary
+        const locRef = db.collection('parkLocIndex').doc('ll:' + key);
+        updates.push(locRef.set({ parkId: primary.id, lat: Number(primary.data.latitude), lon: Number(primary.data.longitude), state: primary.data.state || '', registeredAt: nowIso }, { merge: true }));
+        // Merge alt sources into primary and mark duplicates
+        const altSrcs = [];
+        for (const x of dups) {
+          if (fixes >= MAX_FIXES) break;
+          const src = (x.data.source === 'osm' && x.data.sourceId) ? { type: 'osm', ref: x.data.sourceId } : { type: x.data.source || 'unknown', ref: x.id };
+          altSrcs.push(src);
+          updates.push(db.collection('parks').doc(x.id).set({ dupOf: primary.id, approved: false, reviewStatus: 'duplicate', updatedAt: nowIso }, { merge: true }));
+          fixes += 1;
+        }
+        if (altSrcs.length) {
+          updates.push(db.collection('parks').doc(primary.id).set({ altSources: admin.firestore.FieldValue.arrayUnion(...altSrcs), updatedAt: nowIso }, { merge: true }));
+        }
+        if (updates.length) await Promise.all(updates);
+        if (fixes >= MAX_FIXES) break;
+      }
+      console.log(`Dedupe scan complete. Fixed ${fixes} duplicate doc(s).`);
+      return null;
+    } catch (e) {
+      console.warn('scheduledDedupeParks error', e);
+      return null;
+    }
+  });
+
+// -------------------- Appended New Functions (monolithic merge) --------------------
+// Note: admin.initializeApp() already called at top of file. Do NOT re-initialize.
+
+// Region and IAP/image pipeline constants (env-driven; safe defaults)
+const REGION = process.env.FUNCTIONS_REGION || 'us-central1';
+const ANDROID_PACKAGE = process.env.ANDROID_PACKAGE || process.env.ANDROID_PACKAGE_NAME || null;
+const APPLE_SHARED_SECRET = process.env.APPLE_SHARED_SECRET || null;
+
+// Image pipeline constants and TTLs
+const THUMB_PREFIX = 'thumbnails/';
+// Adjust these prefixes as needed to match your storage layout
+const IMAGE_PREFIXES = ['uploads/', 'attachments/', 'images/'];
+const TTL_DEFAULT_DAYS = 30; // generic assets + thumbnails
+const TTL_ATTACHMENTS_DAYS = 14; // shorter retention for attachments
+// Only prune legacy single-size thumbnails (thumbnails/medium-<name>.jpg). Renditions under
+// thumbnails/<rendition>/ are referenced from Firestore and live as long as their original.
+// Uploaded originals are only removed by the orphan GC (scheduledOrphanImageGc).
+const PREFIX_TTLS = [
+  { prefix: `${THUMB_PREFIX}medium-`, days: TTL_DEFAULT_DAYS },
+];
+
+// Google Play advanced verification using googleapis (dynamic import)
+async function verifyAndroidPurchase({ packageName, productId, purchaseToken, isSubscription }) {
+  try {
+    const { google } = await import('googleapis');
+    const auth = await google.auth.getClient({ scopes: ['https://www.googleapis.com/auth/androidpublisher'] });
+    const androidpublisher = google.androidpublisher({ version: 'v3', auth });
+    const pkg = packageName || ANDROID_PACKAGE;
+    if (!pkg) return { ok: false, reason: 'missing_package_name' };
+
+    // Try v3 subscriptionsv2 first when subscription
+    if (isSubscription) {
+      try {
+        const v2 = await androidpublisher.purchases.subscriptionsv2.get({
+          packageName: pkg,
+          token: purchaseToken,
+        });
+        const line = v2?.data?.lineItems?.[0];
+        const expiry = line?.expiryTime ? new Date(line.expiryTime).getTime() || Number(line.expiryTime) : 0;
+        const now = Date.now();
+        const active = expiry > now;
+        const acknowledged = v2?.data?.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_ACKNOWLEDGED';
+        return { ok: true, active, acknowledged, expiryTimeMillis: expiry || null, raw: v2.data };
+      } catch (_) {
+        // fall back to v3 purchases.subscriptions.get
+      }
+      const res = await androidpublisher.purchases.subscriptions.get({
+        packageName: pkg,
+        subscriptionId: productId,
+        token: purchaseToken,
+      });
+      const expiry = Number(res?.data?.expiryTimeMillis || 0);
+      const cancelReason = res?.data?.cancelReason;
+      const paymentState = res?.data?.paymentState; // 1: received, 2: free trial, etc.
+      const now = Date.now();
+      const active = expiry > now && cancelReason == null;
+      const acknowledged = res?.data?.acknowledgementState === 1;
+      return { ok: true, active, acknowledged, expiryTimeMillis: expiry || null, paymentState, raw: res.data };
+    }
+
+    // One-time product purchase
+    const prod = await androidpublisher.purchases.products.get({
+      packageName: pkg,
+      productId,
+      token: purchaseToken,
+    });
+    const purchaseState = prod?.data?.purchaseState; // 0 purchased, 1 canceled, 2 pending
+    const acknowledged = prod?.data?.acknowledgementState === 1; // 0 yet to be acknowledged, 1 acknowledged
+    const consumed = prod?.data?.consumptionState === 1;
+    const valid = purchaseState === 0; // purchased
+    return { ok: true, active: valid, acknowledged, consumed, raw: prod.data };
+  } catch (e) {
+    console.warn('verifyAndroidPurchase error', e);
+    return { ok: false, reason: 'exception', error: e?.message || String(e) };
+  }
+}
+
+// Play product type by naming convention (subscription ids contain sub/monthly/year/week)
+function androidProductIsSubscription(productId) {
+  return /sub/i.test(String(productId)) || /monthly|year|week/i.test(String(productId));
+}
+
+/**
+ * Acknowledge (or consume) a verified Android purchase so Play doesn't auto-refund it after
+ * three days. Subscriptions and non-consumables are acknowledged; products listed in
+ * ANDROID_CONSUMABLE_PRODUCTS are consumed instead. Retries transient failures with backoff.
+ * Returns { state: 'acknowledged'|'consumed'|'failed', attempts, error }
+ */
+const ANDROID_CONSUMABLE_PRODUCTS = new Set(String(process.env.ANDROID_CONSUMABLE_PRODUCTS || '').split(',').map(x => x.trim()).filter(Boolean));
+const ANDROID_ACK_MAX_ATTEMPTS = 3;
+
+async function acknowledgeAndroidPurchase({ packageName, productId, purchaseToken, isSubscription }) {
+  const pkg = packageName || ANDROID_PACKAGE;
+  if (!pkg) return { state: 'failed', attempts: 0, error: 'missing_package_name' };
+  const consume = !isSubscription && ANDROID_CONSUMABLE_PRODUCTS.has(String(productId));
+  let lastError = null;
+  for (let attempt = 1; attempt <= ANDROID_ACK_MAX_ATTEMPTS; attempt++) {
+    try {
+      const { google } = await import('googleapis');
+      const auth = await google.auth.getClient({ scopes: ['https://www.googleapis.com/auth/androidpublisher'] });
+      const androidpublisher = google.androidpublisher({ version: 'v3', auth });
+      if (isSubscription) {
+        await androidpublisher.purchases.subscriptions.acknowledge({ packageName: pkg, subscriptionId: productId, token: purchaseToken, requestBody: {} });
+      } else if (consume) {
+        await androidpublisher.purchases.products.consume({ packageName: pkg, productId, token: purchaseToken });
+      } else {
+        await androidpublisher.purchases.products.acknowledge({ packageName: pkg, productId, token: purchaseToken, requestBody: {} });
+      }
+      return { state: consume ? 'consumed' : 'acknowledged', attempts: attempt, error: null };
+    } catch (e) {
+      lastError = e?.message || String(e);
+      const code = Number(e?.code || e?.response?.status || 0);
+      // 4xx other than rate limiting won't succeed on retry
+      if (code >= 400 && code < 500 && code !== 429) break;
+      if (attempt < ANDROID_ACK_MAX_ATTEMPTS) await new Promise(r => setTimeout(r, 500 * Math.pow(3, attempt - 1)));
+    }
+  }
+  console.warn('acknowledgeAndroidPurchase failed', productId, lastError);
+  return { state: 'failed', attempts: ANDROID_ACK_MAX_ATTEMPTS, error: lastError };
+}
+
+/**
+ * Acknowledges the purchase behind an iapReceipts doc when verification says it is valid and
+ * not yet acknowledged, recording the outcome on the receipt:
+ *   acknowledgement: { state, attempts, error, totalAttempts, retryRuns, nextAttemptAt, updatedAt }
+ * state: 'acknowledged' | 'consumed' | 'already_acknowledged' | 'failed'
+ * Failed ones get nextAttemptAt (see androidAckNextAttemptAt) for
+ * scheduledRetryAndroidAcknowledgements.
+ */
+const ANDROID_ACK_RETRY_BASE_MS = 15 * 60 * 1000;
+const ANDROID_ACK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// 15m, 30m, 1h, ... capped at 6h after the given number of failed retry runs
+function androidAckNextAttemptAt(retryRuns, now) {
+  const delay = Math.min(ANDROID_ACK_RETRY_MAX_MS, ANDROID_ACK_RETRY_BASE_MS * 2 ** Math.max(0, retryRuns));
+  return new Date(now.getTime() + delay).toISOString();
+}
+
+async function acknowledgeReceiptIfNeeded(receiptRef, { packageName, productId, purchaseToken, isSubscription, verification, retryRuns = 0 }) {
+  if (!verification || !verification.ok || !verification.active || !purchaseToken) return null;
+  const now = new Date();
+  const nowIso = now.toISOString();
+  let ack;
+  if (verification.acknowledged || verification.consumed) {
+    ack = { state: 'already_acknowledged', attempts: 0, error: null };
+  } else {
+    ack = await acknowledgeAndroidPurchase({ packageName, productId, purchaseToken, isSubscription });
+  }
+  const prev = (await receiptRef.get().catch(() => null));
+  const prevAttempts = Number(prev && prev.exists ? ((prev.data().acknowledgement || {}).totalAttempts || 0) : 0);
+  await receiptRef.set({
+    acknowledgement: {
+      ...ack,
+      totalAttempts: prevAttempts + ack.attempts,
+      isSubscription: !!isSubscription,
+      retryRuns,
+      nextAttemptAt: ack.state === 'failed' ? androidAckNextAttemptAt(retryRuns, now) : null,
+      updatedAt: nowIso,
+    },
+    updatedAt: nowIso,
+  }, { merge: true });
+  return ack;
+}
+
+// Apple advanced receipt verification
+async function verifyAppleReceipt({ receiptData, password, useSandbox }) {
+  const endpoint = useSandbox ? 'https://sandbox.itunes.apple.com/verifyReceipt' : 'https://buy.itunes.apple.com/verifyReceipt';
+  if (!receiptData) return { ok: false, reason: 'missing_receipt' };
+  const body = { 'receipt-data': receiptData, password: password || process.env.APPLE_SHARED_SECRET, 'exclude-old-transactions': true };
+  try {
+    const res = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await res.json();
+    if (json?.status === 21007 && !useSandbox) {
+      // Retry in sandbox automatically
+      return verifyAppleReceipt({ receiptData, password, useSandbox: true });
+    }
+    // Determine active by checking latest_receipt_info or pending_renewal_info
+    let active = false;
+    let expiresMs = null;
+    let originalTransactionId = null;
+    const latest = json?.latest_receipt_info || json?.receipt?.in_app || [];
+    const now = Date.now();
+    for (const item of latest) {
+      const exp = Number(item.expires_date_ms || item.expires_date || 0);
+      if (!originalTransactionId && item.original_transaction_id) originalTransactionId = String(item.original_transaction_id);
+      if (exp && exp > now) {
+        active = true;
+        if (!expiresMs || exp > expiresMs) {
+          expiresMs = exp;
+          if (item.original_transaction_id) originalTransactionId = String(item.original_transaction_id);
+        }
+      }
+    }
+    const receiptCreatedMs = Number(json?.receipt?.receipt_creation_date_ms || 0) || null;
+    return { ok: true, active, expiryTimeMillis: expiresMs, originalTransactionId, receiptCreatedMs, raw: json };
+  } catch (e) {
+    console.warn('verifyAppleReceipt error', e);
+    return { ok: false, reason: 'exception', error: e?.message || String(e) };
+  }
+}
+
+/**
+ * ========================
+ * ENTITLEMENTS
+ * ========================
+ * entitlements/{uid} is the canonical premium state, derived only from verified purchases:
+ *
+ *   { uid, active, planTier: 'premium'|'free', premiumUntil: iso|null (null + active = lifetime),
+ *     sources: { '<platform>:<productId>': { platform, productId, active, expiresAt, receiptId,
+ *                                            status, verifiedAt, reason } },
+ *     updatedAt }
+ *
+ * Manual grants are a 'manual:grant' source written only by adminSetPremiumGrant, so they
+ * live in the same server-only doc and never depend on anything the user can write.
+ *
+ * planTier/premiumUntil are mirrored onto users/{uid} (planSource: 'entitlements') for display
+ * only; firestore.rules keeps clients from writing them and nothing server-side reads them.
+ * Use isPremium(db, uid) for all server-side premium checks.
+ */
+const ENTITLEMENTS_COLL = 'entitlements';
+const MANUAL_GRANT_SOURCE_KEY = 'manual:grant';
+
+function entitlementSourceKey(platform, productId) {
+  return `${String(platform)}:${String(productId)}`.replace(/[.\/]/g, '_');
+}
+
+function summarizeEntitlementSources(sources, now) {
+  let active = false;
+  let lifetime = false;
+  let untilMs = 0;
+  for (const src of Object.values(sources || {})) {
+    if (!src || src.active !== true) continue;
+    if (!src.expiresAt) { active = true; lifetime = true; continue; }
+    const ms = new Date(src.expiresAt).getTime();
+    if (isFinite(ms) && ms > now.getTime()) {
+      active = true;
+      if (ms > untilMs) untilMs = ms;
+    }
+  }
+  return {
+    active,
+    planTier: active ? 'premium' : 'free',
+    premiumUntil: active && !lifetime ? new Date(untilMs).toISOString() : null,
+  };
+}
+
+// Sets (source = object) or clears (source = null) one entitlement source, recomputes the
+// summary and refreshes the user mirror. Returns the new summary.
+async function writeEntitlementSource(db, uid, key, source) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const entRef = db.collection(ENTITLEMENTS_COLL).doc(uid);
+  const userRef = db.collection('users').doc(uid);
+  return db.runTransaction(async (tx) => {
+    const entSnap = await tx.get(entRef);
+    const ent = entSnap.exists ? (entSnap.data() || {}) : {};
+    const sources = { ...(ent.sources || {}) };
+    if (source) sources[key] = source;
+    else delete sources[key];
+    const summary = summarizeEntitlementSources(sources, now);
+    // Not merged: a cleared source has to disappear from the map
+    tx.set(entRef, { ...ent, uid, ...summary, sources, updatedAt: nowIso });
+    tx.set(userRef, {
+      planTier: summary.planTier,
+      premiumUntil: summary.premiumUntil,
+      planSource: 'entitlements',
+      updatedAt: nowIso,
+    }, { merge: true });
+    return summary;
+  });
+}
+
+/**
+ * Writes one verified purchase into entitlements/{uid} and mirrors the result onto the user.
+ * verification is the result of verifyAndroidPurchase/verifyAppleReceipt; unverified
+ * results (ok !== true) are ignored and return null.
+ */
+async function applyEntitlementFromVerification(db, uid, { platform, productId, receiptId, verification, reason, status, graceUntilMs }) {
+  if (!uid || !verification || verification.ok !== true) return null;
+  const expiryMs = Number(verification.expiryTimeMillis || 0);
+  // Grace keeps the source active past the store expiry (see reconcileEntitlement)
+  const graceMs = Number(graceUntilMs || 0);
+  return writeEntitlementSource(db, uid, entitlementSourceKey(platform, productId), {
+    platform: String(platform),
+    productId: String(productId),
+    active: verification.active === true,
+    expiresAt: graceMs > 0 ? new Date(graceMs).toISOString() : (expiryMs > 0 ? new Date(expiryMs).toISOString() : null),
+    storeExpiresAt: graceMs > 0 && expiryMs > 0 ? new Date(expiryMs).toISOString() : null,
+    receiptId: receiptId || null,
+    status: status || (verification.active ? 'active' : 'inactive'),
+    verifiedAt: new Date().toISOString(),
+    reason: reason || 'iap_verify',
+  });
+}
+
+/**
+ * Shared premium check: the active entitlement (verified purchases and manual grants) only.
+ */
+async function isPremium(db, uid) {
+  if (!uid) return false;
+  const now = new Date();
+  try {
+    const entSnap = await db.collection(ENTITLEMENTS_COLL).doc(uid).get();
+    if (!entSnap.exists) return false;
+    const ent = entSnap.data() || {};
+    return ent.active === true && (!ent.premiumUntil || new Date(ent.premiumUntil) > now);
+  } catch (e) {
+    console.warn('isPremium lookup failed', uid, e?.message || e);
+    return false;
+  }
+}
+
+/**
+ * ========================
+ * PURCHASE TOKEN OWNERSHIP
+ * ========================
+ * A verified purchase (Play purchaseToken / Apple originalTransactionId) may grant premium to
+ * one account only. The first uid to verify it owns it:
+ *
+ *   iapTokenOwners/{key} { platform, ownerUid, productId, claimedAt, updatedAt,
+ *                          transfers: [{ fromUid, toUid, at }], reuseCount, lastReuseUid, lastReuseAt }
+ *
+ * Verifying from another account fails with 'already-exists' (details.reason
+ * 'purchase_owned_by_other_account') and is counted on the token and flagged on the owner's
+ * entitlement (suspiciousReuse). Passing transfer: true to iapVerify is the explicit
+ * restore flow: ownership moves to the caller and the previous owner's source is revoked.
+ * A transfer additionally needs:
+ *  - a fresh store restore (isFreshStoreRestore): an App Store receipt generated within
+ *    IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES, or a Play purchase the store reports as active
+ *    (Play only hands the token to the device's own Play account);
+ *  - IAP_TOKEN_TRANSFER_COOLDOWN_DAYS since the token last moved.
+ * The previous owner gets an 'iap_transfer' push and entitlements.transferredAway records it.
+ */
+const IAP_TOKEN_OWNERS_COLL = 'iapTokenOwners';
+const IAP_TOKEN_TRANSFER_HISTORY_MAX = 20;
+const IAP_TOKEN_OWNED_ELSEWHERE = 'purchase_owned_by_other_account';
+const IAP_TOKEN_TRANSFER_COOLDOWN = 'purchase_transfer_cooldown';
+const IAP_TOKEN_RESTORE_REQUIRED = 'purchase_restore_required';
+const IAP_TOKEN_TRANSFER_COOLDOWN_DAYS = 30;
+const IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES = 15;
+
+function isFreshStoreRestore(platform, verification, now) {
+  if (!verification || verification.ok !== true || verification.active !== true) return false;
+  if (platform === 'android') return true;
+  if (platform === 'ios') {
+    const created = Number(verification.receiptCreatedMs || 0);
+    return created > 0 && now.getTime() - created <= IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES * 60 * 1000;
+  }
+  return false;
+}
+
+// Play tokens are long and may contain '/', so they are hashed into the doc id
+function iapTokenKey(platform, token) {
+  if (!token) return null;
+  if (platform === 'android') return `android_${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+  if (platform === 'ios') return `ios_${String(token).replace(/[\/]/g, '_')}`;
+  return null;
+}
+
+// Owner uid for a token, or null when it was never claimed
+async function getIapTokenOwner(db, platform, token) {
+  const key = iapTokenKey(platform, token);
+  if (!key) return null;
+  const snap = await db.collection(IAP_TOKEN_OWNERS_COLL).doc(key).get();
+  return snap.exists ? (snap.data().ownerUid || null) : null;
+}
+
+/**
+ * Claims token ownership for uid. Returns { key, claimed: true, previousOwner } when the caller
+ * owns it (new, already owned, or transferred), { claimed: false, ownerUid, reason } otherwise.
+ * reason: IAP_TOKEN_OWNED_ELSEWHERE | IAP_TOKEN_RESTORE_REQUIRED | IAP_TOKEN_TRANSFER_COOLDOWN
+ */
+async function claimIapToken(db, { platform, token, productId, uid, transfer, freshRestore }) {
+  const key = iapTokenKey(platform, token);
+  if (!key) return { key: null, claimed: true, previousOwner: null };
+  const ref = db.collection(IAP_TOKEN_OWNERS_COLL).doc(key);
+  const nowIso = new Date().toISOString();
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) {
+      tx.set(ref, { platform, ownerUid: uid, productId: String(productId), claimedAt: nowIso, updatedAt: nowIso, transfers: [], reuseCount: 0 });
+      return { key, claimed: true, previousOwner: null };
+    }
+    const cur = snap.data() || {};
+    if (cur.ownerUid === uid) return { key, claimed: true, previousOwner: null };
+    if (transfer === true) {
+      const history = Array.isArray(cur.transfers) ? cur.transfers : [];
+      const lastAtMs = history.length ? new Date(history[history.length - 1].at).getTime() : 0;
+      const availableAtMs = lastAtMs + IAP_TOKEN_TRANSFER_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+      if (!freshRestore) {
+        return { key, claimed: false, ownerUid: cur.ownerUid || null, reason: IAP_TOKEN_RESTORE_REQUIRED };
+      }
+      if (lastAtMs && availableAtMs > Date.now()) {
+        return { key, claimed: false, ownerUid: cur.ownerUid || null, reason: IAP_TOKEN_TRANSFER_COOLDOWN, retryAfter: new Date(availableAtMs).toISOString() };
+      }
+      const transfers = history
+        .concat([{ fromUid: cur.ownerUid || null, toUid: uid, at: nowIso }])
+        .slice(-IAP_TOKEN_TRANSFER_HISTORY_MAX);
+      tx.update(ref, { ownerUid: uid, productId: String(productId), transfers, updatedAt: nowIso });
+      if (cur.ownerUid) {
+        tx.set(db.collection(ENTITLEMENTS_COLL).doc(cur.ownerUid), {
+          transferredAway: { tokenKey: key, platform, productId: String(productId), at: nowIso },
+        }, { merge: true });
+      }
+      return { key, claimed: true, previousOwner: cur.ownerUid || null };
+    }
+    tx.update(ref, {
+      reuseCount: admin.firestore.FieldValue.increment(1),
+      lastReuseUid: uid,
+      lastReuseAt: nowIso,
+      updatedAt: nowIso,
+    });
+    if (cur.ownerUid) {
+      tx.set(db.collection(ENTITLEMENTS_COLL).doc(cur.ownerUid), {
+        suspiciousReuse: { count: admin.firestore.FieldValue.increment(1), lastUid: uid, lastAt: nowIso, tokenKey: key },
+      }, { merge: true });
+    }
+    return { key, claimed: false, ownerUid: cur.ownerUid || null, reason: IAP_TOKEN_OWNED_ELSEWHERE };
+  });
+}
+
+/**
+ * Callable: Record IAP payloads (server-side receipt log)
+ * - Stores purchase payloads for later verification and audit
+ * - Verified purchases update entitlements/{uid} (see ENTITLEMENTS above)
+ * - A purchase owned by another account is rejected unless data.transfer === true
+ *   (see PURCHASE TOKEN OWNERSHIP above)
+ */
+exports.iapVerify = onCall({ region: REGION, timeoutSeconds: 30, memory: '256MiB' }, async (request) => {
+  const { data, auth } = request;
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'Sign in required');
+  }
+  try {
+    const db = admin.firestore();
+    const {
+      platform, // 'ios' | 'android'
+      productId,
+      purchaseToken,
+      orderId,
+      signature,
+      receipt,
+      appVersion,
+      device,
+    } = data || {};
+
+    if (!platform || !productId) {
+      throw new HttpsError('invalid-argument', 'platform and productId are required');
+    }
+
+    // Stored on the receipt so later re-verification asks the store the same question
+    const isSubscription = androidProductIsSubscription(productId);
+    const packageName = platform === 'android' ? (data?.packageName || ANDROID_PACKAGE || null) : null;
+
+    // Optional advanced verification
+    let verification = null;
+    try {
+      if (platform === 'android' && purchaseToken && productId) {
+        verification = await verifyAndroidPurchase({ packageName, productId, purchaseToken, isSubscription });
+      } else if (platform === 'ios' && (receipt || data?.receiptData)) {
+        verification = await verifyAppleReceipt({ receiptData: receipt || data?.receiptData, password: process.env.APPLE_SHARED_SECRET, useSandbox: !!data?.sandbox });
+      }
+    } catch (ve) {
+      console.warn('iapVerify advanced verification failed', ve);
+    }
+
+    // Ownership is only claimed for purchases the store actually verified
+    const ownershipToken = platform === 'android' ? purchaseToken : verification?.originalTransactionId;
+    const claim = verification?.ok && ownershipToken
+      ? await claimIapToken(db, {
+        platform,
+        token: ownershipToken,
+        productId,
+        uid: auth.uid,
+        transfer: data?.transfer === true,
+        freshRestore: isFreshStoreRestore(platform, verification, new Date()),
+      })
+      : { key: null, claimed: true, previousOwner: null };
+
+    const nowIso = new Date().toISOString();
+    const doc = {
+      uid: auth.uid,
+      createdAt: nowIso,
+      platform: String(platform),
+      productId: String(productId),
+      orderId: orderId ? String(orderId) : null,
+      purchaseToken: purchaseToken ? String(purchaseToken) : null,
+      packageName: packageName ? String(packageName) : null,
+      isSubscription,
+      // Links App Store Server Notifications back to this receipt; only ever the store-verified id
+      originalTransactionId: verification?.ok && verification.originalTransactionId ? String(verification.originalTransactionId) : null,
+      signature: signature ? String(signature) : null,
+      // limit to avoid giant writes
+      receipt: receipt ? String(receipt).slice(0, 4000) : null,
+      status: !claim.claimed
+        ? (claim.reason === IAP_TOKEN_TRANSFER_COOLDOWN ? 'rejected_transfer_cooldown'
+          : claim.reason === IAP_TOKEN_RESTORE_REQUIRED ? 'rejected_stale_restore' : 'rejected_token_reuse')
+        : verification?.ok ? (verification.active ? 'verified_active' : 'verified_inactive') : 'recorded',
+      verification: verification || null,
+      tokenKey: claim.key,
+      transferredFrom: claim.previousOwner || null,
+      appVersion: appVersion || null,
+      device: device || null,
+    };
+    const receiptRef = await db.collection('iapReceipts').add(doc);
+
+    if (!claim.claimed) {
+      console.warn('iapVerify purchase reuse', { uid: auth.uid, ownerUid: claim.ownerUid, tokenKey: claim.key, reason: claim.reason });
+      if (claim.reason === IAP_TOKEN_TRANSFER_COOLDOWN) {
+        throw new HttpsError('resource-exhausted', 'This purchase was moved between accounts recently', {
+          reason: IAP_TOKEN_TRANSFER_COOLDOWN,
+          retryAfter: claim.retryAfter,
+        });
+      }
+      if (claim.reason === IAP_TOKEN_RESTORE_REQUIRED) {
+        throw new HttpsError('failed-precondition', 'Restore purchases from the store on this device, then try again', {
+          reason: IAP_TOKEN_RESTORE_REQUIRED,
+        });
+      }
+      throw new HttpsError('already-exists', 'This purchase is already linked to another account', {
+        reason: IAP_TOKEN_OWNED_ELSEWHERE,
+        canTransfer: true,
+      });
+    }
+
+    if (platform === 'android') {
+      try {
+        await acknowledgeReceiptIfNeeded(receiptRef, {
+          packageName,
+          productId,
+          purchaseToken,
+          isSubscription,
+          verification,
+        });
+      } catch (ae) {
+        console.error('iapVerify acknowledgement failed', ae);
+      }
+    }
+
+    // Transfer/restore: the previous owner loses this purchase
+    if (claim.previousOwner) {
+      try {
+        await applyEntitlementFromVerification(db, claim.previousOwner, {
+          platform,
+          productId,
+          receiptId: receiptRef.id,
+          verification: { ok: true, active: false, expiryTimeMillis: null },
+          reason: 'iap_transfer',
+          status: 'transferred',
+        });
+      } catch (te) {
+        console.error('iapVerify transfer downgrade failed', te);
+      }
+      try {
+        await sendNotificationsToUsers(db, [claim.previousOwner], 'Premium moved to another account',
+          'Your purchase was restored on a different account, so premium is no longer active here. Contact support if this wasn\'t you.',
+          { type: 'iap_transfer', productId: String(productId), click_action: 'FLUTTER_NOTIFICATION_CLICK' });
+      } catch (ne) {
+        console.warn('iapVerify transfer notify failed', ne?.message || ne);
+      }
+    }
+
+    let entitlement = null;
+    try {
+      entitlement = await applyEntitlementFromVerification(db, auth.uid, {
+        platform, productId, receiptId: receiptRef.id, verification, reason: 'iap_verify',
+      });
+    } catch (ee) {
+      console.error('iapVerify entitlement update failed', ee);
+    }
+    return { ok: true, status: doc.status, verification, entitlement, transferredFrom: claim.previousOwner || null };
+  } catch (e) {
+    if (e instanceof HttpsError) throw e;
+    console.error('iapVerify error', e);
+    throw new HttpsError('internal', e?.message || 'Unhandled error');
+  }
+});
+
+/**
+ * ========================
+ * GOOGLE PLAY REAL-TIME DEVELOPER NOTIFICATIONS
+ * ========================
+ * Play publishes subscription/one-time/voided purchase events to a Pub/Sub topic
+ * (PLAY_RTDN_TOPIC). Every message is first written to iapEvents/{eventId} (the replayable
+ * event log), then processed: the purchase token is looked up in iapReceipts, re-verified with
+ * verifyAndroidPurchase, and the owner's entitlement is updated.
+ *
+ *   iapEvents/{eventId} { source: 'play_rtdn', messageId, payload, status, result, attempts,
+ *                         nextAttemptAt, receivedAt, processedAt }
+ *   status: 'received' | 'processed' | 'ignored' | 'unmatched' | 'error'
+ *
+ * Two entry points share the same path: playRtdnPubSub (topic trigger) and playRtdnWebhook
+ * (HTTPS, Pub/Sub push format). The webhook only accepts pushes carrying a Google-signed OIDC
+ * token for PLAY_RTDN_PUSH_AUDIENCE issued to PLAY_RTDN_PUSH_SERVICE_ACCOUNT, and refuses
+ * everything while those are unset. Notifications for any package other than ANDROID_PACKAGE
+ * are ignored.
+ *
+ * A notification can arrive before iapVerify has recorded the purchase, so 'unmatched' events
+ * get a nextAttemptAt with exponential backoff and scheduledRetryUnmatchedIapEvents re-runs them
+ * (IAP_UNMATCHED_MAX_ATTEMPTS in total). Admins can re-run stored events with iapReplayEvents.
+ */
+const PLAY_RTDN_TOPIC = process.env.PLAY_RTDN_TOPIC || 'play-rtdn';
+const PLAY_RTDN_PUSH_AUDIENCE = process.env.PLAY_RTDN_PUSH_AUDIENCE || null;
+const PLAY_RTDN_PUSH_SERVICE_ACCOUNT = process.env.PLAY_RTDN_PUSH_SERVICE_ACCOUNT || null;
+const IAP_EVENTS_COLL = 'iapEvents';
+const IAP_UNMATCHED_MAX_ATTEMPTS = 8;
+const IAP_UNMATCHED_BASE_DELAY_MS = 5 * 60 * 1000;
+
+// Fields written when an event finishes one processing attempt; unmatched events are
+// scheduled for another try (5m, 10m, 20m, ... up to IAP_UNMATCHED_MAX_ATTEMPTS)
+function iapEventFinishFields(event, status, result, now) {
+  const attempts = (Number(event.attempts) || 0) + 1;
+  const retry = status === 'unmatched' && attempts < IAP_UNMATCHED_MAX_ATTEMPTS;
+  return {
+    status,
+    result: result || null,
+    processedAt: now.toISOString(),
+    attempts,
+    nextAttemptAt: retry ? new Date(now.getTime() + IAP_UNMATCHED_BASE_DELAY_MS * 2 ** (attempts - 1)).toISOString() : null,
+  };
+}
+
+// Verifies the Authorization: Bearer OIDC token Pub/Sub push attaches. Fails closed.
+async function verifyPubSubPushToken(req) {
+  if (!PLAY_RTDN_PUSH_AUDIENCE || !PLAY_RTDN_PUSH_SERVICE_ACCOUNT) return { ok: false, reason: 'not_configured' };
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.get('authorization') || ''));
+  if (!match) return { ok: false, reason: 'missing_token' };
+  try {
+    const { google } = await import('googleapis');
+    const client = new google.auth.OAuth2();
+    const ticket = await client.verifyIdToken({ idToken: match[1], audience: PLAY_RTDN_PUSH_AUDIENCE });
+    const claims = ticket.getPayload() || {};
+    if (claims.email !== PLAY_RTDN_PUSH_SERVICE_ACCOUNT || claims.email_verified !== true) {
+      return { ok: false, reason: 'wrong_service_account' };
+    }
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, reason: 'invalid_token', error: e?.message || String(e) };
+  }
+}
+
+// developer.android.com/google/play/billing/rtdn-reference
+const PLAY_SUBSCRIPTION_NOTIFICATION_TYPES = {
+  1: 'SUBSCRIPTION_RECOVERED', 2: 'SUBSCRIPTION_RENEWED', 3: 'SUBSCRIPTION_CANCELED',
+  4: 'SUBSCRIPTION_PURCHASED', 5: 'SUBSCRIPTION_ON_HOLD', 6: 'SUBSCRIPTION_IN_GRACE_PERIOD',
+  7: 'SUBSCRIPTION_RESTARTED', 8: 'SUBSCRIPTION_PRICE_CHANGE_CONFIRMED', 9: 'SUBSCRIPTION_DEFERRED',
+  10: 'SUBSCRIPTION_PAUSED', 11: 'SUBSCRIPTION_PAUSE_SCHEDULE_CHANGED', 12: 'SUBSCRIPTION_REVOKED',
+  13: 'SUBSCRIPTION_EXPIRED', 20: 'SUBSCRIPTION_PENDING_PURCHASE_CANCELED',
+};
+const PLAY_ONE_TIME_NOTIFICATION_TYPES = { 1: 'ONE_TIME_PRODUCT_PURCHASED', 2: 'ONE_TIME_PRODUCT_CANCELED' };
+
+function decodePlayRtdnData(data) {
+  if (!data) return null;
+  if (typeof data === 'object') return data;
+  try {
+    return JSON.parse(Buffer.from(String(data), 'base64').toString('utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Normalizes a DeveloperNotification into { kind, type, purchaseToken, productId, isSubscription }
+function describePlayRtdn(payload) {
+  if (!payload) return null;
+  if (payload.testNotification) return { kind: 'test', type: 'TEST' };
+  const sub = payload.subscriptionNotification;
+  if (sub) {
+    return {
+      kind: 'subscription',
+      type: PLAY_SUBSCRIPTION_NOTIFICATION_TYPES[sub.notificationType] || `SUBSCRIPTION_${sub.notificationType}`,
+      purchaseToken: sub.purchaseToken || null,
+      productId: sub.subscriptionId || null,
+      isSubscription: true,
+    };
+  }
+  const one = payload.oneTimeProductNotification;
+  if (one) {
+    return {
+      kind: 'one_time',
+      type: PLAY_ONE_TIME_NOTIFICATION_TYPES[one.notificationType] || `ONE_TIME_${one.notificationType}`,
+      purchaseToken: one.purchaseToken || null,
+      productId: one.sku || null,
+      isSubscription: false,
+    };
+  }
+  const voided = payload.voidedPurchaseNotification;
+  if (voided) {
+    return {
+      kind: 'voided',
+      type: 'VOIDED_PURCHASE',
+      purchaseToken: voided.purchaseToken || null,
+      productId: null, // taken from the stored receipt
+      isSubscription: Number(voided.productType) === 1,
+    };
+  }
+  return { kind: 'unknown', type: 'UNKNOWN' };
+}
+
+// Newest receipt recorded for a purchase token (iapVerify writes one per call), preferring the
+// token owner's. Receipts iapVerify rejected (e.g. rejected_token_reuse) never match.
+async function findReceiptByPurchaseToken(db, purchaseToken, ownerUid) {
+  const snap = await db.collection('iapReceipts').where('purchaseToken', '==', String(purchaseToken)).limit(20).get();
+  const docs = snap.docs
+    .filter(d => !String(d.data().status || '').startsWith('rejected_'))
+    .sort((a, b) => String(b.data().createdAt || '').localeCompare(String(a.data().createdAt || '')));
+  if (!docs.length) return null;
+  return (ownerUid && docs.find(d => d.data().uid === ownerUid)) || docs[0];
+}
+
+async function processPlayRtdnEvent(db, eventRef) {
+  const snap = await eventRef.get();
+  if (!snap.exists) return { status: 'missing' };
+  const event = snap.data() || {};
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const finish = async (status, result) => {
+    await eventRef.set(iapEventFinishFields(event, status, result, now), { merge: true });
+    return { status, ...(result || {}) };
+  };
+
+  try {
+    const info = describePlayRtdn(event.payload);
+    if (!info || info.kind === 'test' || info.kind === 'unknown' || !info.purchaseToken) {
+      return await finish('ignored', { type: info ? info.type : null });
+    }
+    if (!ANDROID_PACKAGE) return await finish('error', { type: info.type, reason: 'package_not_configured' });
+    const payloadPackage = event.payload && event.payload.packageName;
+    if (payloadPackage && payloadPackage !== ANDROID_PACKAGE) {
+      return await finish('ignored', { type: info.type, reason: 'package_mismatch' });
+    }
+    const tokenOwner = await getIapTokenOwner(db, 'android', info.purchaseToken);
+    const receiptDoc = await findReceiptByPurchaseToken(db, info.purchaseToken, tokenOwner);
+    if (!receiptDoc) return await finish('unmatched', { type: info.type });
+
+    const receipt = receiptDoc.data() || {};
+    const productId = info.productId || receipt.productId;
+    const verification = await verifyAndroidPurchase({
+      packageName: ANDROID_PACKAGE,
+      productId,
+      purchaseToken: info.purchaseToken,
+      isSubscription: info.isSubscription,
+    });
+    // A voided purchase stays revoked even if the store still reports it as purchased
+    if (info.kind === 'voided' && verification.ok) verification.active = false;
+
+    await receiptDoc.ref.set({
+      status: verification.ok ? (verification.active ? 'verified_active' : 'verified_inactive') : receipt.status || 'recorded',
+      verification,
+      lastRtdnType: info.type,
+      lastRtdnAt: nowIso,
+      updatedAt: nowIso,
+    }, { merge: true });
+
+    if (!verification.ok) return await finish('error', { type: info.type, reason: verification.reason || 'verify_failed' });
+    if (info.kind !== 'voided') {
+      await acknowledgeReceiptIfNeeded(receiptDoc.ref, {
+        packageName: ANDROID_PACKAGE,
+        productId,
+        purchaseToken: info.purchaseToken,
+        isSubscription: info.isSubscription,
+        verification,
+      });
+    }
+    const ownerUid = tokenOwner || receipt.uid;
+    const entitlement = await applyEntitlementFromVerification(db, ownerUid, {
+      platform: 'android',
+      productId,
+      receiptId: receiptDoc.id,
+      verification,
+      reason: `play_rtdn:${info.type}`,
+      status: info.kind === 'voided' ? 'voided' : undefined,
+    });
+    return await finish('processed', { type: info.type, uid: ownerUid || null, receiptId: receiptDoc.id, active: !!(entitlement && entitlement.active) });
+  } catch (e) {
+    console.error('processPlayRtdnEvent error', eventRef.id, e);
+    return finish('error', { reason: e?.message || String(e) });
+  }
+}
+
+// Idempotent on messageId: redelivered messages reuse the existing event doc
+async function recordAndProcessPlayRtdn(db, { messageId, data, publishTime, via }) {
+  const payload = decodePlayRtdnData(data);
+  const id = messageId
+    ? `play_${String(messageId).replace(/[\/]/g, '_')}`
+    : `play_${crypto.createHash('sha1').update(JSON.stringify(payload || data || '')).digest('hex')}`;
+  const eventRef = db.collection(IAP_EVENTS_COLL).doc(id);
+  const created = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(eventRef);
+    if (snap.exists && ['processed', 'ignored'].includes(snap.data().status)) return false;
+    if (!snap.exists) {
+      tx.set(eventRef, {
+        source: 'play_rtdn',
+        via,
+        messageId: messageId || null,
+        publishTime: publishTime || null,
+        payload: payload || null,
+        status: 'received',
+        attempts: 0,
+        receivedAt: new Date().toISOString(),
+      });
+    }
+    return true;
+  });
+  if (!created) return { status: 'duplicate', eventId: id };
+  const res = await processPlayRtdnEvent(db, eventRef);
+  return { ...res, eventId: id };
+}
+
+/**
+ * Pub/Sub Trigger: Google Play RTDN topic subscription
+ */
+exports.playRtdnPubSub = onMessagePublished({ topic: PLAY_RTDN_TOPIC, region: REGION, timeoutSeconds: 60, memory: '256MiB' }, async (event) => {
+  const message = (event.data && event.data.message) || {};
+  try {
+    const res = await recordAndProcessPlayRtdn(admin.firestore(), {
+      messageId: message.messageId || event.id,
+      data: message.data,
+      publishTime: message.publishTime || null,
+      via: 'pubsub',
+    });
+    console.log('playRtdnPubSub', res.eventId, res.status);
+  } catch (e) {
+    // Swallow so Pub/Sub doesn't retry forever; the event log keeps the failure for replay
+    console.error('playRtdnPubSub error', e);
+  }
+});
+
+/**
+ * HTTPS: Google Play RTDN in Pub/Sub push format ({ message: { data, messageId }, subscription }).
+ * Requires the push subscription's OIDC token (see verifyPubSubPushToken).
+ */
+exports.playRtdnWebhook = onRequest({ region: REGION, timeoutSeconds: 60, memory: '256MiB' }, async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+  const auth = await verifyPubSubPushToken(req);
+  if (!auth.ok) {
+    console.warn('playRtdnWebhook rejected push', auth.reason, auth.error || '');
+    res.status(auth.reason === 'not_configured' ? 503 : 403).json({ ok: false, error: 'forbidden' });
+    return;
+  }
+  const message = (req.body && req.body.message) || {};
+  if (!message.data) {
+    res.status(400).json({ ok: false, error: 'missing_message_data' });
+    return;
+  }
+  try {
+    const out = await recordAndProcessPlayRtdn(admin.firestore(), {
+      messageId: message.messageId || message.message_id || null,
+      data: message.data,
+      publishTime: message.publishTime || null,
+      via: 'https',
+    });
+    // 2xx acks the push; failures stay in iapEvents for replay
+    res.status(200).json({ ok: true, ...out });
+  } catch (e) {
+    console.error('playRtdnWebhook error', e);
+    res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+/**
+ * ========================
+ * APP STORE SERVER NOTIFICATIONS V2
+ * ========================
+ * Apple POSTs { signedPayload } (a JWS) to appStoreNotifications. The JWS header carries an
+ * x5c chain that must end in Apple Root CA - G3 (pinned by SHA-256 fingerprint, override with
+ * APPLE_ROOT_CA_SHA256), with Apple's OID markers on the leaf and intermediate. The nested
+ * signedTransactionInfo/signedRenewalInfo are verified the same way.
+ *
+ * Events are logged to iapEvents/apple_<notificationUUID> (idempotent on redelivery). The owner
+ * is the iapTokenOwners registry entry for the originalTransactionId (no owner yet = 'unmatched',
+ * retried), and the receipt is that owner's verified one. Apple doesn't guarantee delivery order,
+ * so a notification whose signedDate is older than the last one applied to that transaction
+ * (iapTokenOwners.lastSignedDate) is ignored as stale. Mapping onto entitlements:
+ *   DID_RENEW / SUBSCRIBED / DID_CHANGE_RENEWAL_* / OFFER_REDEEMED -> active until expiresDate
+ *   DID_FAIL_TO_RENEW (subtype GRACE_PERIOD)                       -> active until grace end
+ *   EXPIRED / GRACE_PERIOD_EXPIRED / REFUND / REVOKE                -> inactive
+ */
+const APPLE_ROOT_CA_SHA256 = (process.env.APPLE_ROOT_CA_SHA256 ||
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79')
+  .split(',').map(x => x.trim().toUpperCase()).filter(Boolean);
+const APPLE_BUNDLE_ID = process.env.APPLE_BUNDLE_ID || null;
+// DER-encoded OIDs: 1.2.840.113635.100.6.11.1 (leaf) and 1.2.840.113635.100.6.2.1 (intermediate)
+const APPLE_LEAF_OID = Buffer.from('060a2a864886f76364060b01', 'hex');
+const APPLE_INTERMEDIATE_OID = Buffer.from('060a2a864886f76364060201', 'hex');
+
+const APPLE_ACTIVE_TYPES = new Set(['DID_RENEW', 'SUBSCRIBED', 'DID_CHANGE_RENEWAL_PREF', 'DID_CHANGE_RENEWAL_STATUS', 'OFFER_REDEEMED', 'RENEWAL_EXTENDED']);
+const APPLE_INACTIVE_TYPES = { EXPIRED: 'expired', GRACE_PERIOD_EXPIRED: 'expired', REFUND: 'refunded', REVOKE: 'revoked' };
+
+function base64UrlDecode(str) {
+  return Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Verifies an App Store JWS (ES256 + x5c chain to the pinned Apple root) and returns its
+ * decoded payload. Throws on any failure.
+ */
+function verifyAppleJws(jws) {
+  const parts = String(jws || '').split('.');
+  if (parts.length !== 3) throw new Error('malformed_jws');
+  const header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+  if (header.alg !== 'ES256') throw new Error('unsupported_alg');
+  const chain = Array.isArray(header.x5c) ? header.x5c : [];
+  if (chain.length < 3) throw new Error('missing_x5c_chain');
+
+  const certs = chain.slice(0, 3).map(c => new crypto.X509Certificate(Buffer.from(c, 'base64')));
+  const [leaf, intermediate, root] = certs;
+  if (!APPLE_ROOT_CA_SHA256.includes(root.fingerprint256.toUpperCase())) throw new Error('untrusted_root');
+  const now = new Date();
+  for (const cert of certs) {
+    if (new Date(cert.validFrom) > now || new Date(cert.validTo) < now) throw new Error('certificate_expired');
+  }
+  if (!root.verify(root.publicKey)) throw new Error('bad_root_signature');
+  if (!intermediate.verify(root.publicKey) || !intermediate.checkIssued(root)) throw new Error('bad_intermediate');
+  if (!leaf.verify(intermediate.publicKey) || !leaf.checkIssued(intermediate)) throw new Error('bad_leaf');
+  if (!leaf.raw.includes(APPLE_LEAF_OID) || !intermediate.raw.includes(APPLE_INTERMEDIATE_OID)) throw new Error('missing_apple_oid');
+
+  const ok = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+    base64UrlDecode(parts[2])
+  );
+  if (!ok) throw new Error('bad_signature');
+  return JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+}
+
+// Maps a decoded notification onto the verification shape applyEntitlementFromVerification expects
+function appleNotificationToVerification(notification, transaction, renewal) {
+  const type = String(notification.notificationType || '');
+  const subtype = notification.subtype ? String(notification.subtype) : null;
+  const now = Date.now();
+  const expiresMs = Number(transaction.expiresDate || 0) || null;
+  const raw = { notificationType: type, subtype, transaction, renewal: renewal || null };
+
+  if (APPLE_INACTIVE_TYPES[type]) {
+    return { verification: { ok: true, active: false, expiryTimeMillis: expiresMs, raw }, status: APPLE_INACTIVE_TYPES[type] };
+  }
+  if (transaction.revocationDate) {
+    return { verification: { ok: true, active: false, expiryTimeMillis: expiresMs, raw }, status: 'revoked' };
+  }
+  if (type === 'DID_FAIL_TO_RENEW') {
+    const graceMs = Number((renewal && renewal.gracePeriodExpiresDate) || 0) || null;
+    const inGrace = subtype === 'GRACE_PERIOD' && graceMs && graceMs > now;
+    return {
+      verification: { ok: true, active: !!inGrace, expiryTimeMillis: inGrace ? graceMs : expiresMs, raw },
+      status: inGrace ? 'grace_period' : 'billing_retry',
+    };
+  }
+  if (APPLE_ACTIVE_TYPES.has(type)) {
+    const active = !expiresMs || expiresMs > now;
+    return { verification: { ok: true, active, expiryTimeMillis: expiresMs, raw }, status: active ? 'active' : 'expired' };
+  }
+  return null; // informational (PRICE_INCREASE, TEST, CONSUMPTION_REQUEST, ...)
+}
+
+// Records signedDate as the newest applied for the transaction; false when a newer one already was
+async function claimAppleSignedDate(db, originalTransactionId, signedDate) {
+  const ref = db.collection(IAP_TOKEN_OWNERS_COLL).doc(iapTokenKey('ios', originalTransactionId));
+  const ms = Number(signedDate) || 0;
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return false;
+    const last = Number(snap.data().lastSignedDate) || 0;
+    if (ms < last) return false;
+    tx.update(ref, { lastSignedDate: ms, updatedAt: new Date().toISOString() });
+    return true;
+  });
+}
+
+async function processAppStoreEvent(db, eventRef) {
+  const snap = await eventRef.get();
+  if (!snap.exists) return { status: 'missing' };
+  const event = snap.data() || {};
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const finish = async (status, result) => {
+    await eventRef.set(iapEventFinishFields(event, status, result, now), { merge: true });
+    return { status, ...(result || {}) };
+  };
+
+  try {
+    const notification = verifyAppleJws(event.signedPayload);
+    const nd = notification.data || {};
+    const type = String(notification.notificationType || '');
+    if (APPLE_BUNDLE_ID && nd.bundleId && nd.bundleId !== APPLE_BUNDLE_ID) return await finish('ignored', { type, reason: 'bundle_mismatch' });
+    if (!nd.signedTransactionInfo) return await finish('ignored', { type });
+
+    const transaction = verifyAppleJws(nd.signedTransactionInfo);
+    const renewal = nd.signedRenewalInfo ? verifyAppleJws(nd.signedRenewalInfo) : null;
+    const mapped = appleNotificationToVerification(notification, transaction, renewal);
+    if (!mapped) return await finish('ignored', { type });
+
+    const originalTransactionId = String(transaction.originalTransactionId || '');
+    if (!originalTransactionId) return await finish('ignored', { type, reason: 'missing_original_transaction_id' });
+    const ownerUid = await getIapTokenOwner(db, 'ios', originalTransactionId);
+    if (!ownerUid) return await finish('unmatched', { type, originalTransactionId });
+    const receiptSnap = await db.collection('iapReceipts')
+      .where('originalTransactionId', '==', originalTransactionId)
+      .where('uid', '==', ownerUid)
+      .limit(20)
+      .get();
+    const receiptDoc = receiptSnap.docs
+      .filter(d => !String(d.data().status || '').startsWith('rejected_'))
+      .sort((a, b) => String(b.data().createdAt || '').localeCompare(String(a.data().createdAt || '')))[0];
+    if (!receiptDoc) return await finish('unmatched', { type, originalTransactionId });
+    const receipt = receiptDoc.data() || {};
+    const productId = transaction.productId || receipt.productId;
+
+    if (!(await claimAppleSignedDate(db, originalTransactionId, notification.signedDate))) {
+      return await finish('ignored', { type, originalTransactionId, reason: 'stale_notification' });
+    }
+
+    await receiptDoc.ref.set({
+      status: mapped.verification.active ? 'verified_active' : 'verified_inactive',
+      lastNotificationType: type,
+      lastNotificationSubtype: notification.subtype || null,
+      lastNotificationAt: nowIso,
+      updatedAt: nowIso,
+    }, { merge: true });
+
+    const entitlement = await applyEntitlementFromVerification(db, ownerUid, {
+      platform: 'ios',
+      productId,
+      receiptId: receiptDoc.id,
+      verification: mapped.verification,
+      reason: `app_store:${type}${notification.subtype ? `:${notification.subtype}` : ''}`,
+      status: mapped.status,
+    });
+    return await finish('processed', { type, uid: ownerUid || null, receiptId: receiptDoc.id, active: !!(entitlement && entitlement.active) });
+  } catch (e) {
+    console.error('processAppStoreEvent error', eventRef.id, e?.message || e);
+    return finish('error', { reason: e?.message || String(e) });
+  }
+}
+
+/**
+ * HTTPS: App Store Server Notifications v2 endpoint.
+ * Signature failures get 400 (Apple stops retrying); processing errors are kept in
+ * iapEvents for replay and still acknowledged.
+ */
+exports.appStoreNotifications = onRequest({ region: REGION, timeoutSeconds: 60, memory: '256MiB' }, async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ ok: false, error: 'method_not_allowed' });
+    return;
+  }
+  const signedPayload = req.body && req.body.signedPayload;
+  if (!signedPayload) {
+    res.status(400).json({ ok: false, error: 'missing_signed_payload' });
+    return;
+  }
+  let notification;
+  try {
+    notification = verifyAppleJws(signedPayload);
+  } catch (e) {
+    console.warn('appStoreNotifications rejected payload', e?.message || e);
+    res.status(400).json({ ok: false, error: 'invalid_signature' });
+    return;
+  }
+  const uuid = String(notification.notificationUUID || '');
+  if (!uuid) {
+    res.status(400).json({ ok: false, error: 'missing_notification_uuid' });
+    return;
+  }
+
+  try {
+    const db = admin.firestore();
+    const eventRef = db.collection(IAP_EVENTS_COLL).doc(`apple_${uuid.replace(/[\/]/g, '_')}`);
+    const fresh = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(eventRef);
+      if (snap.exists && ['processed', 'ignored'].includes(snap.data().status)) return false;
+      if (!snap.exists) {
+        tx.set(eventRef, {
+          source: 'app_store',
+          notificationUUID: uuid,
+          notificationType: notification.notificationType || null,
+          subtype: notification.subtype || null,
+          environment: (notification.data && notification.data.environment) || null,
+          signedPayload: String(signedPayload),
+          status: 'received',
+          attempts: 0,
+          receivedAt: new Date().toISOString(),
+        });
+      }
+      return true;
+    });
+    if (!fresh) {
+      res.status(200).json({ ok: true, status: 'duplicate', eventId: eventRef.id });
+      return;
+    }
+    const out = await processAppStoreEvent(db, eventRef);
+    res.status(200).json({ ok: true, ...out, eventId: eventRef.id });
+  } catch (e) {
+    console.error('appStoreNotifications error', e);
+    res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+function iapEventProcessor(source) {
+  if (source === 'play_rtdn') return processPlayRtdnEvent;
+  if (source === 'app_store') return processAppStoreEvent;
+  return null;
+}
+
+/**
+ * Callable (owner/admin): Re-process stored iapEvents.
+ * - data.eventIds: specific events, or
+ * - data.status (default 'error'): up to data.limit (max 200) events in that status
+ */
+exports.iapReplayEvents = onCall({ region: REGION, timeoutSeconds: 300, memory: '256MiB' }, async (request) => {
+  const { data, auth } = request;
+  if (!auth) throw new HttpsError('unauthenticated', 'Sign in required');
+  const db = admin.firestore();
+  if (!(await isOwnerOrAdmin(db, auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+
+  let refs = [];
+  if (Array.isArray(data?.eventIds) && data.eventIds.length) {
+    refs = data.eventIds.slice(0, 200).map(id => db.collection(IAP_EVENTS_COLL).doc(String(id)));
+  } else {
+    const status = String(data?.status || 'error');
+    const limit = Math.max(1, Math.min(200, Number(data?.limit) || 50));
+    const snap = await db.collection(IAP_EVENTS_COLL).where('status', '==', status).limit(limit).get();
+    refs = snap.docs.map(d => d.ref);
+  }
+
+  const results = [];
+  for (const ref of refs) {
+    const snap = await ref.get();
+    const processor = iapEventProcessor(snap.exists ? snap.data().source : null);
+    if (!processor) {
+      results.push({ eventId: ref.id, status: snap.exists ? 'unsupported_source' : 'missing' });
+      continue;
+    }
+    const res = await processor(db, ref);
+    results.push({ eventId: ref.id, status: res.status });
+  }
+  return { ok: true, replayed: results.length, results };
+});
+
+/**
+ * Scheduled: Re-run unmatched store notifications whose nextAttemptAt has passed
+ * (the purchase may have been recorded by iapVerify since).
+ */
+exports.scheduledRetryUnmatchedIapEvents = onSchedule({ region: REGION, schedule: 'every 15 minutes', timeZone: 'Etc/UTC', timeoutSeconds: 300, memory: '256MiB' }, async () => {
+  const db = admin.firestore();
+  const stats = { scanned: 0, processed: 0, unmatched: 0, other: 0 };
+  try {
+    const snap = await db.collection(IAP_EVENTS_COLL)
+      .where('status', '==', 'unmatched')
+      .where('nextAttemptAt', '<=', new Date().toISOString())
+      .orderBy('nextAttemptAt')
+      .limit(100)
+      .get();
+    for (const doc of snap.docs) {
+      stats.scanned += 1;
+      const processor = iapEventProcessor(doc.data().source);
+      if (!processor) continue;
+      const res = await processor(db, doc.ref);
+      if (res.status === 'processed') stats.processed += 1;
+      else if (res.status === 'unmatched') stats.unmatched += 1;
+      else stats.other += 1;
+    }
+    console.log(`Unmatched IAP retry: scanned=${stats.scanned} processed=${stats.processed} stillUnmatched=${stats.unmatched} other=${stats.other}`);
+  } catch (e) {
+    console.error('scheduledRetryUnmatchedIapEvents error', e);
+  }
+});
+
+/**
+ * Callable (owner/admin): Grant or revoke premium by hand.
+ * data: { uid, until?: ISO date (omit for lifetime), revoke?: true, note?: string }
+ * Stored as the manual:grant source on entitlements/{uid}; store purchases are unaffected.
+ */
+exports.adminSetPremiumGrant = onCall({ region: REGION, timeoutSeconds: 30, memory: '256MiB' }, async (request) => {
+  const { data, auth } = request;
+  if (!auth) throw new HttpsError('unauthenticated', 'Sign in required');
+  const db = admin.firestore();
+  if (!(await isOwnerOrAdmin(db, auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+  const uid = data?.uid ? String(data.uid) : '';
+  if (!uid) throw new HttpsError('invalid-argument', 'uid is required');
+
+  if (data?.revoke === true) {
+    const summary = await writeEntitlementSource(db, uid, MANUAL_GRANT_SOURCE_KEY, null);
+    return { ok: true, revoked: true, ...summary };
+  }
+  let expiresAt = null;
+  if (data?.until) {
+    const until = new Date(String(data.until));
+    if (isNaN(until.getTime()) || until <= new Date()) throw new HttpsError('invalid-argument', 'until must be a future date');
+    expiresAt = until.toISOString();
+  }
+  const summary = await writeEntitlementSource(db, uid, MANUAL_GRANT_SOURCE_KEY, {
+    platform: 'manual',
+    productId: 'grant',
+    active: true,
+    expiresAt,
+    storeExpiresAt: null,
+    receiptId: null,
+    status: 'active',
+    grantedBy: auth.uid,
+    note: data?.note ? String(data.note).slice(0, 200) : null,
+    verifiedAt: new Date().toISOString(),
+    reason: 'manual_grant',
+  });
+  return { ok: true, revoked: false, ...summary };
+});
+
+/**
+ * Scheduled: Retry failed Android acknowledgements.
+ * Play refunds purchases left unacknowledged for three days, so receipts with
+ * acknowledgement.state 'failed' are re-verified and retried until then, oldest
+ * acknowledgement.nextAttemptAt first. Every run that doesn't succeed (verification error
+ * included) pushes nextAttemptAt back; purchases that are no longer active are marked
+ * 'not_needed'.
+ */
+exports.scheduledRetryAndroidAcknowledgements = onSchedule({ region: REGION, schedule: 'every 30 minutes', timeZone: 'Etc/UTC', timeoutSeconds: 300, memory: '256MiB' }, async () => {
+  const db = admin.firestore();
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const cutoffIso = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000).toISOString();
+  const stats = { retried: 0, fixed: 0, verifyFailed: 0, notNeeded: 0, abandoned: 0 };
+  try {
+    const snap = await db.collection('iapReceipts')
+      .where('acknowledgement.state', '==', 'failed')
+      .where('acknowledgement.nextAttemptAt', '<=', nowIso)
+      .orderBy('acknowledgement.nextAttemptAt')
+      .limit(100)
+      .get();
+    for (const doc of snap.docs) {
+      const r = doc.data() || {};
+      const prevAck = r.acknowledgement || {};
+      const retryRuns = (Number(prevAck.retryRuns) || 0) + 1;
+      if (String(r.createdAt || '') < cutoffIso) {
+        await doc.ref.set({ acknowledgement: { state: 'abandoned', nextAttemptAt: null, updatedAt: nowIso } }, { merge: true });
+        stats.abandoned += 1;
+        continue;
+      }
+      const isSubscription = typeof r.isSubscription === 'boolean' ? r.isSubscription : !!prevAck.isSubscription;
+      const packageName = r.packageName || ANDROID_PACKAGE;
+      const verification = await verifyAndroidPurchase({ packageName, productId: r.productId, purchaseToken: r.purchaseToken, isSubscription });
+      if (!verification.ok) {
+        await doc.ref.set({
+          acknowledgement: {
+            retryRuns,
+            error: verification.reason || 'verify_failed',
+            nextAttemptAt: androidAckNextAttemptAt(retryRuns, now),
+            updatedAt: nowIso,
+          },
+        }, { merge: true });
+        stats.verifyFailed += 1;
+        continue;
+      }
+      if (!verification.active) {
+        await doc.ref.set({ acknowledgement: { state: 'not_needed', nextAttemptAt: null, updatedAt: nowIso } }, { merge: true });
+        stats.notNeeded += 1;
+        continue;
+      }
+      const ack = await acknowledgeReceiptIfNeeded(doc.ref, { packageName, productId: r.productId, purchaseToken: r.purchaseToken, isSubscription, verification, retryRuns });
+      stats.retried += 1;
+      if (ack && ack.state !== 'failed') stats.fixed += 1;
+    }
+    console.log(`Android acknowledgement retry: retried=${stats.retried} fixed=${stats.fixed} verifyFailed=${stats.verifyFailed} notNeeded=${stats.notNeeded} abandoned=${stats.abandoned}`);
+  } catch (e) {
+    console.error('scheduledRetryAndroidAcknowledgements error', e);
+  }
+});
+
+/**
+ * ========================
+ * ENTITLEMENT RECONCILIATION
+ * ========================
+ * Store notifications can be missed, so scheduledReconcileEntitlements re-verifies active
+ * entitlements whose premiumUntil falls within ENTITLEMENT_RECONCILE_HORIZON_HOURS:
+ *  - store says active                 -> extended to the new expiry
+ *  - lapsed (or store unreachable) but within the grace period -> kept active until
+ *    storeExpiresAt + grace (status 'grace_period') so billing retries don't cut users off
+ *  - lapsed beyond grace               -> source deactivated; the user is downgraded
+ *  - verification error                -> source kept (plus grace) and retried next run; while
+ *    retries remain it is held ENTITLEMENT_REVERIFY_HOLD_HOURS ahead so it stays active and
+ *    inside the horizon query after grace runs out. Only after ENTITLEMENT_REVERIFY_MAX_FAILURES
+ *    consecutive errors (and once grace is over) is it 'lapsed_unverified'
+ *
+ * Re-verification uses the receipt's stored packageName and product type (isSubscription).
+ *
+ * Grace days default to ENTITLEMENT_GRACE_DAYS_DEFAULT; override with config/app.entitlementGraceDays.
+ * Progress uses the runFixCityFromAddressBatch checkpoint style in jobs/reconcile_entitlements
+ * (cursor, cumulative totals, heartbeat); each run also writes jobs/reconcile_entitlements/runs/{runId}.
+ */
+const ENTITLEMENT_GRACE_DAYS_DEFAULT = 3;
+const ENTITLEMENT_RECONCILE_HORIZON_HOURS = 24;
+const ENTITLEMENT_REVERIFY_MAX_FAILURES = 28; // a week of 6-hourly runs
+const ENTITLEMENT_REVERIFY_HOLD_HOURS = 12; // two runs, well inside the horizon
+
+async function getEntitlementGraceDays(db) {
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const v = Number(snap.exists ? (snap.data() || {}).entitlementGraceDays : NaN);
+    if (isFinite(v) && v >= 0 && v <= 30) return v;
+  } catch (_) {}
+  return ENTITLEMENT_GRACE_DAYS_DEFAULT;
+}
+
+async function reverifyEntitlementSource(db, source) {
+  if (!source.receiptId) return { ok: false, reason: 'missing_receipt' };
+  const rSnap = await db.collection('iapReceipts').doc(String(source.receiptId)).get();
+  if (!rSnap.exists) return { ok: false, reason: 'missing_receipt' };
+  const r = rSnap.data() || {};
+  if (source.platform === 'android' && r.purchaseToken) {
+    return verifyAndroidPurchase({
+      packageName: r.packageName || ANDROID_PACKAGE,
+      productId: source.productId,
+      purchaseToken: r.purchaseToken,
+      // Receipts from before isSubscription was stored fall back to the naming convention
+      isSubscription: typeof r.isSubscription === 'boolean' ? r.isSubscription : androidProductIsSubscription(source.productId),
+    });
+  }
+  if (source.platform === 'ios' && r.receipt) {
+    return verifyAppleReceipt({ receiptData: r.receipt, password: APPLE_SHARED_SECRET });
+  }
+  return { ok: false, reason: 'unsupported_source' };
+}
+
+// Returns 'extended' | 'grace' | 'retry' | 'downgraded' | 'unchanged' for one entitlement doc
+async function reconcileEntitlement(db, entDoc, { graceDays, horizonMs, now }) {
+  const ent = entDoc.data() || {};
+  const uid = ent.uid || entDoc.id;
+  const graceMs = graceDays * 24 * 60 * 60 * 1000;
+  let outcome = 'unchanged';
+
+  for (const [key, src] of Object.entries(ent.sources || {})) {
+    if (!src || src.active !== true || !src.expiresAt) continue;
+    if (new Date(src.expiresAt).getTime() > now.getTime() + horizonMs) continue;
+
+    // Manual grants have no store to ask; drop them once they've run out
+    if (key === MANUAL_GRANT_SOURCE_KEY) {
+      if (new Date(src.expiresAt).getTime() <= now.getTime()) {
+        const summary = await writeEntitlementSource(db, uid, key, { ...src, active: false, status: 'expired' });
+        if (summary && !summary.active) outcome = 'downgraded';
+      }
+      continue;
+    }
+
+    const verification = await reverifyEntitlementSource(db, src);
+    const base = { platform: src.platform, productId: src.productId, receiptId: src.receiptId, reason: 'reconcile' };
+    if (verification.ok && verification.active) {
+      await applyEntitlementFromVerification(db, uid, { ...base, verification });
+      outcome = 'extended';
+      continue;
+    }
+
+    const storeExpiryMs = new Date(src.storeExpiresAt || src.expiresAt).getTime();
+    const graceUntilMs = storeExpiryMs + graceMs;
+
+    // Store unreachable/erroring: keep what we have (grace included) and try again next run.
+    // The hold keeps the source active past grace until the retries run out; without it the
+    // entitlement would drop out of the active query and never reach the cap.
+    const failures = (Number(src.reverifyFailures) || 0) + 1;
+    const retrying = failures < ENTITLEMENT_REVERIFY_MAX_FAILURES;
+    const inGrace = graceMs > 0 && graceUntilMs > now.getTime();
+    if (!verification.ok && (retrying || inGrace)) {
+      const kept = { ...src, reverifyFailures: failures, reverifyError: verification.reason || 'verify_failed', reverifyAttemptAt: now.toISOString() };
+      const holdUntilMs = Math.max(inGrace ? graceUntilMs : 0, retrying ? now.getTime() + ENTITLEMENT_REVERIFY_HOLD_HOURS * 60 * 60 * 1000 : 0);
+      if (holdUntilMs > new Date(src.expiresAt).getTime()) {
+        kept.expiresAt = new Date(holdUntilMs).toISOString();
+        kept.storeExpiresAt = new Date(storeExpiryMs).toISOString();
+        kept.status = inGrace ? 'grace_period' : 'reverify_pending';
+      }
+      await writeEntitlementSource(db, uid, key, kept);
+      if (outcome === 'unchanged') outcome = 'retry';
+      continue;
+    }
+
+    if (graceMs > 0 && graceUntilMs > now.getTime()) {
+      await applyEntitlementFromVerification(db, uid, {
+        ...base,
+        verification: { ok: true, active: true, expiryTimeMillis: storeExpiryMs },
+        status: 'grace_period',
+        graceUntilMs,
+      });
+      if (outcome === 'unchanged') outcome = 'grace';
+      continue;
+    }
+
+    const summary = await applyEntitlementFromVerification(db, uid, {
+      ...base,
+      verification: { ok: true, active: false, expiryTimeMillis: storeExpiryMs },
+      status: verification.ok ? 'lapsed' : 'lapsed_unverified',
+    });
+    if (summary && !summary.active) outcome = 'downgraded';
+  }
+  return outcome;
+}
+
+async function runReconcileEntitlementsBatch(db, { pageSize = 200, resume = true, now = new Date() } = {}) {
+  pageSize = Math.max(20, Math.min(500, Number(pageSize) || 200));
+  const nowIso = now.toISOString();
+  const horizonMs = ENTITLEMENT_RECONCILE_HORIZON_HOURS * 60 * 60 * 1000;
+  const graceDays = await getEntitlementGraceDays(db);
+
+  const ckptRef = db.collection('jobs').doc('reconcile_entitlements');
+  // Cursor is the (premiumUntil, docId) pair as read, since reconciling moves premiumUntil
+  let cursor = null;
+  let totals = { pages: 0, scanned: 0, extended: 0, grace: 0, retry: 0, downgraded: 0, unchanged: 0, errors: 0 };
+  if (resume) {
+    try {
+      const ck = await ckptRef.get();
+      if (ck.exists) {
+        const d = ck.data() || {};
+        if (d.status === 'in_progress') {
+          cursor = d.lastDocId ? { premiumUntil: d.lastPremiumUntil, id: d.lastDocId } : null;
+          for (const k of Object.keys(totals)) totals[k] = Number(d[k] || 0);
+        }
+      }
+    } catch (_) {}
+  }
+
+  const horizonIso = new Date(now.getTime() + horizonMs).toISOString();
+  let base = db.collection(ENTITLEMENTS_COLL)
+    .where('active', '==', true)
+    .where('premiumUntil', '<=', horizonIso)
+    .orderBy('premiumUntil')
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (cursor) base = base.startAfter(cursor.premiumUntil, cursor.id);
+  const snap = await base.limit(pageSize).get();
+
+  const page = { scanned: 0, extended: 0, grace: 0, retry: 0, downgraded: 0, unchanged: 0, errors: 0 };
+  for (const doc of snap.docs) {
+    page.scanned += 1;
+    try {
+      page[await reconcileEntitlement(db, doc, { graceDays, horizonMs, now })] += 1;
+    } catch (e) {
+      page.errors += 1;
+      console.warn('reconcileEntitlement failed', doc.id, e?.message || e);
+    }
+  }
+
+  const isLast = snap.size < pageSize;
+  const lastDoc = snap.empty ? null : snap.docs[snap.docs.length - 1];
+  const newTotals = { pages: totals.pages + 1 };
+  for (const k of Object.keys(page)) newTotals[k] = totals[k] + page[k];
+  try {
+    await ckptRef.set({
+      status: isLast ? 'done' : 'in_progress',
+      lastDocId: isLast || !lastDoc ? null : lastDoc.id,
+      lastPremiumUntil: isLast || !lastDoc ? null : lastDoc.data().premiumUntil,
+      ...newTotals,
+      graceDays,
+      lastHeartbeatAt: nowIso,
+      completedAt: isLast ? nowIso : admin.firestore.FieldValue.delete(),
+    }, { merge: true });
+  } catch (_) {}
+
+  return { ...page, done: isLast, totals: newTotals, graceDays };
+}
+
+/**
+ * Scheduled: Re-verify entitlements near expiry, apply grace, downgrade lapsed users.
+ */
+exports.scheduledReconcileEntitlements = onSchedule({ region: REGION, schedule: 'every 6 hours', timeZone: 'Etc/UTC', timeoutSeconds: 540, memory: '256MiB' }, async () => {
+  const db = admin.firestore();
+  const ckptRef = db.collection('jobs').doc('reconcile_entitlements');
+  const startedAt = new Date();
+  const runId = startedAt.toISOString().replace(/[:.]/g, '-');
+  const budgetMs = 480_000;
+  let out = null;
+  let pages = 0;
+  try {
+    // A new run always starts a fresh pass; in-progress cursors only span pages of this run
+    await ckptRef.set({ status: 'in_progress', lastDocId: null, pages: 0, scanned: 0, extended: 0, grace: 0, retry: 0, downgraded: 0, unchanged: 0, errors: 0, lastRunId: runId, lastHeartbeatAt: startedAt.toISOString() }, { merge: true });
+    do {
+      out = await runReconcileEntitlementsBatch(db, { resume: true });
+      pages += 1;
+    } while (!out.done && (Date.now() - startedAt.getTime()) < budgetMs);
+
+    const finishedAt = new Date().toISOString();
+    await ckptRef.collection('runs').doc(runId).set({
+      startedAt: startedAt.toISOString(),
+      finishedAt,
+      status: out.done ? 'done' : 'paused',
+      pages,
+      ...out.totals,
+      graceDays: out.graceDays,
+    });
+    if (!out.done) await ckptRef.set({ lastHeartbeatAt: finishedAt, note: 'paused: time window reached' }, { merge: true });
+    console.log(`Entitlement reconcile ${runId}: ${JSON.stringify(out.totals)}`);
+  } catch (e) {
+    console.error('scheduledReconcileEntitlements error', e);
+    try {
+      await ckptRef.set({ status: 'error', error: e?.message || String(e), lastHeartbeatAt: new Date().toISOString() }, { merge: true });
+      await ckptRef.collection('runs').doc(runId).set({ startedAt: startedAt.toISOString(), status: 'error', error: e?.message || String(e), pages }, { merge: true });
+    } catch (_) {}
+  }
+});
+
+/**
+ * ========================
+ * IMAGE RENDITIONS
+ * ========================
+ * onImageFinalize turns every uploaded original into a set of renditions under
+ *   thumbnails/<rendition>/<original path>.<webp|jpg>
+ * plus a blurhash / dominant-color placeholder, then records the result in
+ * imageAssets/{assetId} (assetId = sha1 of the object path) and on the owning doc:
+ *
+ *   users/{uid}/profile.jpg        -> users/{uid}.photoRenditions / photoPlaceholder
+ *   parks/{parkId}/<file>          -> parks/{parkId}.photoRenditions.<fileKey>
+ *                                     (+ parks/{parkId}/photos docs whose storagePath matches;
+ *                                      onParkPhotoCreate derives storagePath from the doc's url)
+ *   reviews/{reviewId}/<file>      -> reviews/{reviewId}.photoRenditions.<fileKey>
+ *
+ * Rendition shape: { <name>: { webp: { url, path, width, height }, jpeg: {...} } }.
+ * Sizes/formats can be overridden with config/app.imagePipeline { renditions, formats }.
+ */
+const IMAGE_RENDITIONS_DEFAULT = [
+  { name: 'avatar', width: 128, height: 128, fit: 'cover' },
+  { name: 'card', width: 480 },
+  { name: 'medium', width: 1280 },
+  { name: 'full', width: 2048 },
+];
+const IMAGE_FORMATS_DEFAULT = ['webp', 'jpeg'];
+const IMAGE_FORMAT_OPTIONS = {
+  webp: { ext: 'webp', contentType: 'image/webp', opts: { quality: 78 } },
+  jpeg: { ext: 'jpg', contentType: 'image/jpeg', opts: { quality: 80, mozjpeg: true } },
+  avif: { ext: 'avif', contentType: 'image/avif', opts: { quality: 55 } },
+};
+const IMAGE_ASSETS_COLL = 'imageAssets';
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, s-maxage=31536000';
+
+async function getImagePipelineConfig(db) {
+  let renditions = IMAGE_RENDITIONS_DEFAULT;
+  let formats = IMAGE_FORMATS_DEFAULT;
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const cfg = (snap.exists ? (snap.data() || {}).imagePipeline : null) || {};
+    if (Array.isArray(cfg.renditions)) {
+      const valid = cfg.renditions.filter(r => r && /^[a-z0-9_]+$/i.test(String(r.name || '')) && Number(r.width) >= 16 && Number(r.width) <= 4096);
+      if (valid.length) renditions = valid.map(r => ({ name: String(r.name), width: Math.floor(Number(r.width)), height: r.height ? Math.floor(Number(r.height)) : undefined, fit: r.fit === 'cover' ? 'cover' : undefined }));
+    }
+    if (Array.isArray(cfg.formats)) {
+      const valid = cfg.formats.map(String).filter(f => IMAGE_FORMAT_OPTIONS[f]);
+      if (valid.length) formats = valid;
+    }
+  } catch (_) {}
+  return { renditions, formats };
+}
+
+function imageAssetId(filePath) {
+  return crypto.createHash('sha1').update(String(filePath)).digest('hex');
+}
+
+function renditionPath(filePath, renditionName, ext) {
+  return `${THUMB_PREFIX}${renditionName}/${filePath}.${ext}`;
+}
+
+// Firebase-style download URL (same format the client SDK returns from getDownloadURL)
+function storageDownloadUrl(bucketName, filePath, token) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(filePath)}?alt=media&token=${token}`;
+}
+
+// Which Firestore doc an upload belongs to (null for generic prefixes like uploads/)
+function imageOwnerForPath(filePath) {
+  const parts = String(filePath).split('/');
+  if (parts[0] === 'users' && parts.length === 3 && parts[1]) return { type: 'user', id: parts[1], fileKey: null };
+  if (parts[0] === 'parks' && parts.length === 3 && parts[1]) return { type: 'park', id: parts[1], fileKey: parts[2].replace(/[^A-Za-z0-9_-]/g, '_') };
+  if (parts[0] === 'reviews' && parts.length === 3 && parts[1]) return { type: 'review', id: parts[1], fileKey: parts[2].replace(/[^A-Za-z0-9_-]/g, '_') };
+  if (parts[0] === 'reports' && parts.length === 3 && parts[1]) return { type: 'report', id: parts[1], fileKey: parts[2].replace(/[^A-Za-z0-9_-]/g, '_') };
+  return null;
+}
+
+// ---- blurhash (https://github.com/woltapp/blurhash, encoder only) ----
+const BLURHASH_DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+function blurhashEncode83(value, length) {
+  let out = '';
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    out += BLURHASH_DIGITS[digit];
+  }
+  return out;
+}
+
+function srgbToLinear(v) {
+  const x = v / 255;
+  return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(v) {
+  const x = Math.max(0, Math.min(1, v));
+  return x <= 0.0031308 ? Math.round(x * 12.92 * 255 + 0.5) : Math.round((1.055 * Math.pow(x, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(v, exp) {
+  return Math.sign(v) * Math.pow(Math.abs(v), exp);
+}
+
+// pixels: RGB(A) Buffer; channels: 3 or 4
+function blurhashEncode(pixels, width, height, channels, componentsX = 4, componentsY = 3) {
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const norm = (i === 0 && j === 0) ? 1 : 2;
+      let r = 0, g = 0, b = 0;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const basis = norm * Math.cos((Math.PI * i * x) / width) * Math.cos((Math.PI * j * y) / height);
+          const idx = (y * width + x) * channels;
+          r += basis * srgbToLinear(pixels[idx]);
+          g += basis * srgbToLinear(pixels[idx + 1]);
+          b += basis * srgbToLinear(pixels[idx + 2]);
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const dc = factors[0];
+  const ac = factors.slice(1);
+  let hash = blurhashEncode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+  let maxValue = 1;
+  if (ac.length) {
+    const actualMax = Math.max(...ac.map(f => Math.max(Math.abs(f[0]), Math.abs(f[1]), Math.abs(f[2]))));
+    const quantisedMax = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMax * 166 - 0.5))));
+    maxValue = (quantisedMax + 1) / 166;
+    hash += blurhashEncode83(quantisedMax, 1);
+  } else {
+    hash += blurhashEncode83(0, 1);
+  }
+  hash += blurhashEncode83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+  for (const f of ac) {
+    const q = (v) => Math.floor(Math.max(0, Math.min(18, Math.floor(signPow(v / maxValue, 0.5) * 9 + 9.5))));
+    hash += blurhashEncode83(q(f[0]) * 19 * 19 + q(f[1]) * 19 + q(f[2]), 2);
+  }
+  return hash;
+}
+
+// source is an already-oriented sharp instance; it is cloned, not consumed
+async function imagePlaceholder(source) {
+  const { data, info } = await source.clone().resize(32, 32, { fit: 'inside' }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const stats = await source.clone().stats();
+  const d = stats.dominant || { r: 0, g: 0, b: 0 };
+  const hex = (n) => Number(n).toString(16).padStart(2, '0');
+  return {
+    blurhash: blurhashEncode(data, info.width, info.height, info.channels),
+    dominantColor: `#${hex(d.r)}${hex(d.g)}${hex(d.b)}`,
+  };
+}
+
+/**
+ * Writes every configured rendition of a local image file to the bucket.
+ * The original is decoded (and EXIF-rotated) once into raw pixels; every rendition and the
+ * placeholder are clones of that one pipeline.
+ * Returns { renditions, placeholder, width, height }.
+ */
+async function generateImageRenditions(bucket, filePath, localPath, { renditions, formats }) {
+  const sharp = (await import('sharp')).default;
+  const decoded = await sharp(localPath, { limitInputPixels: IMAGE_MAX_PIXELS }).rotate().raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = decoded.info;
+  const source = sharp(decoded.data, { raw: { width, height, channels } });
+
+  const out = {};
+  for (const r of renditions) {
+    out[r.name] = {};
+    for (const format of formats) {
+      const f = IMAGE_FORMAT_OPTIONS[format];
+      const { data, info } = await source.clone()
+        .resize({ width: r.width, height: r.height, fit: r.fit || 'inside', withoutEnlargement: true })
+        .toFormat(format, f.opts)
+        .toBuffer({ resolveWithObject: true });
+      const dest = renditionPath(filePath, r.name, f.ext);
+      const token = crypto.randomUUID();
+      await bucket.file(dest).save(data, {
+        resumable: false,
+        metadata: {
+          contentType: f.contentType,
+          cacheControl: IMMUTABLE_CACHE_CONTROL,
+          metadata: { firebaseStorageDownloadTokens: token, sourcePath: filePath },
+        },
+      });
+      out[r.name][format] = { url: storageDownloadUrl(bucket.name, dest, token), path: dest, width: info.width, height: info.height };
+    }
+  }
+  const placeholder = await imagePlaceholder(source);
+  return { renditions: out, placeholder, width: width || null, height: height || null };
+}
+
+// Records renditions on the Firestore doc that owns the upload (soft-fail per target)
+async function writeRenditionsToOwner(db, filePath, result) {
+  const owner = imageOwnerForPath(filePath);
+  if (!owner) return null;
+  const nowIso = new Date().toISOString();
+  const value = { renditions: result.renditions, placeholder: result.placeholder, width: result.width, height: result.height, sourcePath: filePath, updatedAt: nowIso };
+  const FieldPath = admin.firestore.FieldPath;
+  try {
+    if (owner.type === 'user') {
+      await db.collection('users').doc(owner.id).update({ photoRenditions: result.renditions, photoPlaceholder: result.placeholder, updatedAt: nowIso });
+    } else if (owner.type === 'park' || owner.type === 'review') {
+      const coll = owner.type === 'park' ? 'parks' : 'reviews';
+      await db.collection(coll).doc(owner.id).update(new FieldPath('photoRenditions', owner.fileKey), value);
+      if (owner.type === 'park') {
+        const photos = await db.collection('parks').doc(owner.id).collection('photos').where('storagePath', '==', filePath).get();
+        await Promise.all(photos.docs.map(d => d.ref.update({ renditions: result.renditions, placeholder: result.placeholder, width: result.width, height: result.height, updatedAt: nowIso })));
+      }
+    }
+  } catch (e) {
+    // Owner doc may not exist yet (e.g. review photo uploaded before the review is saved)
+    console.warn('writeRenditionsToOwner failed', filePath, e?.message || e);
+  }
+  return owner;
+}
+
+/**
+ * ========================
+ * UPLOAD SANITIZATION
+ * ========================
+ * Runs on the first finalize of every user upload, before renditions:
+ *  - rejects payloads over IMAGE_MAX_BYTES / IMAGE_MAX_PIXELS, and anything sharp can't decode
+ *    as an allowed format (so non-images uploaded with an image/* content type are caught)
+ *  - enforces per-user daily quotas in uploadQuotas/{uid} { day, count, bytes }
+ *    (defaults UPLOAD_QUOTA_DEFAULT; override with config/app.uploadQuota { count, bytes })
+ *  - rewrites the original without EXIF/XMP/ICC metadata (GPS included), keeping its download
+ *    token so existing URLs stay valid
+ * The rewrite finalizes again and that second event produces the renditions. Whether an object
+ * is our rewrite is decided server-side only: imageAssets/{assetId}.sanitizedMd5 is stored before
+ * the rewrite is saved and sanitizedGeneration right after (isSanitizedObject); client-supplied
+ * object metadata plays no part.
+ *
+ * Rejected uploads are deleted. The outcome is recorded as moderationStatus + moderationReason
+ * on imageAssets/{assetId} and the owning photo document; uploads that pass go to the
+ * moderation queue as 'pending' (see IMAGE MODERATION).
+ * The uploader is the uid in a users/{uid}/ path. Elsewhere it is custom metadata uploadedBy,
+ * which storage.rules only accepts when it equals the caller's auth uid.
+ *
+ * HEIC/HEIF isn't accepted: the prebuilt sharp can't decode HEVC, so such uploads are rejected
+ * as 'unsupported_format'. AVIF shares the HEIF container (sharp reports format 'heif' with
+ * compression 'av1') and is accepted.
+ */
+const IMAGE_MAX_BYTES = 15 * 1024 * 1024;
+const IMAGE_MAX_PIXELS = 50 * 1000 * 1000;
+const IMAGE_ALLOWED_FORMATS = new Set(['jpeg', 'png', 'webp', 'gif', 'avif']);
+const UPLOAD_QUOTA_DEFAULT = { count: 50, bytes: 200 * 1024 * 1024 };
+// Paths the app writes photos to; sanitized even when uploaded without an image/* content type
+const OWNED_IMAGE_PREFIXES = ['users/', 'parks/', 'reviews/', 'reports/'];
+
+// Upload format from sharp metadata, telling AVIF apart from HEVC-coded HEIF
+function imageUploadFormat(meta) {
+  if (!meta) return null;
+  if (meta.format === 'heif') return meta.compression === 'av1' ? 'avif' : 'heif';
+  return String(meta.format);
+}
+
+function imageUploaderUid(object) {
+  const owner = imageOwnerForPath(object.name || '');
+  if (owner && owner.type === 'user') return owner.id;
+  if (!owner) return null;
+  // Enforced equal to request.auth.uid by storage.rules for the owned prefixes
+  const custom = object.metadata || {};
+  return custom.uploadedBy ? String(custom.uploadedBy) : null;
+}
+
+// True when this object generation is the rewrite sanitizeUpload produced
+function isSanitizedObject(asset, object) {
+  if (!asset) return false;
+  const generation = String(object.generation || '');
+  if (asset.sanitizedGeneration && asset.sanitizedGeneration === generation) return true;
+  // The rewrite's finalize can arrive before sanitizedGeneration is stored; the content hash
+  // recorded ahead of the save covers that window
+  return !!(asset.sanitizedMd5 && object.md5Hash && asset.sanitizedMd5 === object.md5Hash);
+}
+
+async function getUploadQuota(db) {
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const q = (snap.exists ? (snap.data() || {}).uploadQuota : null) || {};
+    const count = Number(q.count);
+    const bytes = Number(q.bytes);
+    return {
+      count: isFinite(count) && count > 0 ? Math.floor(count) : UPLOAD_QUOTA_DEFAULT.count,
+      bytes: isFinite(bytes) && bytes > 0 ? Math.floor(bytes) : UPLOAD_QUOTA_DEFAULT.bytes,
+    };
+  } catch (_) {
+    return UPLOAD_QUOTA_DEFAULT;
+  }
+}
+
+// Counts one upload against the user's daily quota; false when it would exceed it
+async function reserveUploadQuota(db, uid, bytes) {
+  const quota = await getUploadQuota(db);
+  const day = new Date().toISOString().slice(0, 10);
+  const ref = db.collection('uploadQuotas').doc(uid);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const cur = snap.exists && snap.data().day === day ? snap.data() : { count: 0, bytes: 0 };
+    const count = Number(cur.count || 0) + 1;
+    const total = Number(cur.bytes || 0) + bytes;
+    if (count > quota.count || total > quota.bytes) return false;
+    tx.set(ref, { day, count, bytes: total, updatedAt: new Date().toISOString() });
+    return true;
+  });
+}
+
+// Records moderation state on the doc that owns the upload (soft-fail)
+async function writeModerationToOwner(db, filePath, status, reason) {
+  const owner = imageOwnerForPath(filePath);
+  if (!owner) return null;
+  const nowIso = new Date().toISOString();
+  const value = { status, reason: reason || null, updatedAt: nowIso };
+  const FieldPath = admin.firestore.FieldPath;
+  try {
+    if (owner.type === 'user') {
+      await db.collection('users').doc(owner.id).update({ photoModeration: value });
+    } else if (owner.type === 'park' || owner.type === 'review') {
+      const coll = owner.type === 'park' ? 'parks' : 'reviews';
+      await db.collection(coll).doc(owner.id).update(new FieldPath('photoModeration', owner.fileKey), value);
+      if (owner.type === 'park') {
+        const photos = await db.collection('parks').doc(owner.id).collection('photos').where('storagePath', '==', filePath).get();
+        await Promise.all(photos.docs.map(d => d.ref.update({ moderationStatus: status, moderationReason: reason || null, updatedAt: nowIso })));
+      }
+    }
+  } catch (e) {
+    console.warn('writeModerationToOwner failed', filePath, e?.message || e);
+  }
+  return owner;
+}
+
+async function rejectUpload(db, bucket, object, assetRef, reason, uploaderUid) {
+  const filePath = object.name;
+  console.warn('Rejected upload', filePath, reason);
+  try {
+    await bucket.file(filePath).delete({ ifGenerationMatch: object.generation });
+  } catch (e) {
+    console.warn('rejectUpload delete failed', filePath, e?.message || e);
+  }
+  const owner = await writeModerationToOwner(db, filePath, 'rejected', reason);
+  await assetRef.set({
+    path: filePath,
+    bucket: object.bucket,
+    generation: String(object.generation || ''),
+    contentType: object.contentType || null,
+    size: Number(object.size || 0),
+    uploadedBy: uploaderUid || null,
+    owner: owner ? { type: owner.type, id: owner.id } : null,
+    moderationStatus: 'rejected',
+    moderationReason: reason,
+    deletedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  }, { merge: true });
+}
+
+/**
+ * Validates and strips metadata from a freshly uploaded original.
+ * Returns true when the original was rewritten (renditions follow on the next finalize).
+ */
+async function sanitizeUpload(db, bucket, object, assetRef) {
+  const filePath = object.name;
+  const size = Number(object.size || 0);
+  const uploaderUid = imageUploaderUid(object);
+
+  if (size > IMAGE_MAX_BYTES) {
+    await rejectUpload(db, bucket, object, assetRef, 'too_large', uploaderUid);
+    return false;
+  }
+  if (uploaderUid && !(await reserveUploadQuota(db, uploaderUid, size))) {
+    await rejectUpload(db, bucket, object, assetRef, 'quota_exceeded', uploaderUid);
+    return false;
+  }
+
+  const sharp = (await import('sharp')).default;
+  const [input] = await bucket.file(filePath).download();
+  let meta;
+  try {
+    meta = await sharp(input, { limitInputPixels: IMAGE_MAX_PIXELS }).metadata();
+  } catch (_) {
+    meta = null;
+  }
+  const format = imageUploadFormat(meta);
+  if (!IMAGE_ALLOWED_FORMATS.has(format)) {
+    await rejectUpload(db, bucket, object, assetRef, format === 'heif' ? 'unsupported_format' : 'not_an_image', uploaderUid);
+    return false;
+  }
+  if (Number(meta.width) * Number(meta.height) > IMAGE_MAX_PIXELS) {
+    await rejectUpload(db, bucket, object, assetRef, 'too_many_pixels', uploaderUid);
+    return false;
+  }
+
+  // Re-encode in the same family; sharp drops all metadata unless withMetadata() is called.
+  // rotate() bakes the EXIF orientation into the pixels before it's discarded.
+  const animated = format === 'gif' || (format === 'webp' && Number(meta.pages) > 1);
+  let pipeline = sharp(input, { limitInputPixels: IMAGE_MAX_PIXELS, animated }).rotate();
+  let contentType;
+  if (format === 'png') { pipeline = pipeline.png(); contentType = 'image/png'; }
+  else if (format === 'gif') { pipeline = pipeline.gif(); contentType = 'image/gif'; }
+  else if (format === 'webp') { pipeline = pipeline.webp({ quality: 90 }); contentType = 'image/webp'; }
+  else if (format === 'avif') { pipeline = pipeline.avif({ quality: 70 }); contentType = 'image/avif'; }
+  else { pipeline = pipeline.jpeg({ quality: 90, mozjpeg: true }); contentType = 'image/jpeg'; }
+  let output;
+  try {
+    output = await pipeline.toBuffer();
+  } catch (_) {
+    await rejectUpload(db, bucket, object, assetRef, 'not_an_image', uploaderUid);
+    return false;
+  }
+
+  const custom = { ...(object.metadata || {}) };
+  delete custom.sanitized; // legacy client-settable marker
+  const sanitizedMd5 = crypto.createHash('md5').update(output).digest('base64');
+  await assetRef.set({ sanitizedMd5, sanitizedGeneration: null }, { merge: true });
+  const target = bucket.file(filePath);
+  await target.save(output, {
+    resumable: false,
+    preconditionOpts: { ifGenerationMatch: object.generation },
+    metadata: {
+      contentType,
+      cacheControl: object.cacheControl || undefined,
+      metadata: {
+        ...custom,
+        firebaseStorageDownloadTokens: custom.firebaseStorageDownloadTokens || crypto.randomUUID(),
+      },
+    },
+  });
+  let sanitizedGeneration = target.metadata && target.metadata.generation ? String(target.metadata.generation) : null;
+  if (!sanitizedGeneration) {
+    try {
+      const [md] = await target.getMetadata();
+      sanitizedGeneration = md && md.generation ? String(md.generation) : null;
+    } catch (_) {}
+  }
+
+  await assetRef.set({
+    path: filePath,
+    bucket: object.bucket,
+    uploadedBy: uploaderUid || null,
+    originalSize: size,
+    sanitizedSize: output.length,
+    sanitizedGeneration,
+    format,
+    moderationStatus: 'pending',
+    moderationReason: null,
+    sanitizedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  }, { merge: true });
+  try {
+    await submitImageForModeration(db, { filePath, assetId: assetRef.id, buffer: output, uploaderUid });
+  } catch (e) {
+    // The asset stays pending without a score; it can still be decided from the queue
+    console.warn('submitImageForModeration failed', filePath, e?.message || e);
+  }
+  return true;
+}
+
+/**
+ * ========================
+ * IMAGE MODERATION
+ * ========================
+ * Every sanitized upload and every new parks/{parkId}/photos doc starts as moderationStatus
+ * 'pending' and gets a moderationQueue item:
+ *
+ *   moderationQueue/{itemId} { kind, path, assetId, parkId, photoId, uploadedBy, score, labels,
+ *                              classifier, status: 'pending'|'approved'|'rejected', createdAt,
+ *                              decidedAt, decidedBy, reason }
+ *
+ * A classifier (IMAGE_CLASSIFIERS, chosen by config/app.imageModeration.classifier) scores the
+ * image from 0 (fine) to 1 (likely objectionable). Scores only order the queue unless
+ * imageModeration.autoApproveBelow / autoRejectAbove are configured. Admins decide with
+ * moderationQueueList / moderationApprove / moderationReject; decisions are mirrored onto
+ * imageAssets, the owning doc (writeModerationToOwner) and the park photo doc.
+ * onParkPhotoUpdate only auto-features approved photos.
+ */
+const MODERATION_QUEUE_COLL = 'moderationQueue';
+
+// Local heuristic: flags large skin-tone areas, blank frames and tiny images. Stand-in for a
+// hosted classifier; good enough to sort the queue, not to auto-reject.
+async function localHeuristicImageClassifier({ buffer }) {
+  const sharp = (await import('sharp')).default;
+  const meta = await sharp(buffer).metadata();
+  const { data, info } = await sharp(buffer).rotate().resize(64, 64, { fit: 'inside' }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  let skin = 0;
+  let sum = 0;
+  let sumSq = 0;
+  const n = info.width * info.height;
+  for (let i = 0; i < data.length; i += info.channels) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    if (r > 95 && g > 40 && b > 20 && Math.max(r, g, b) - Math.min(r, g, b) > 15 && Math.abs(r - g) > 15 && r > g && r > b) skin += 1;
+    const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+    sum += lum;
+    sumSq += lum * lum;
+  }
+  const skinRatio = n ? skin / n : 0;
+  const mean = n ? sum / n : 0;
+  const stdev = n ? Math.sqrt(Math.max(0, sumSq / n - mean * mean)) : 0;
+
+  const labels = [];
+  let score = 0.05;
+  if (skinRatio > 0.4) { labels.push('high_skin_ratio'); score = Math.max(score, Math.min(1, skinRatio * 1.2)); }
+  if (stdev < 8) { labels.push('mostly_blank'); score = Math.max(score, 0.3); }
+  if (Math.min(Number(meta.width) || 0, Number(meta.height) || 0) < 200) { labels.push('low_resolution'); score = Math.max(score, 0.2); }
+  return { score: Math.round(score * 1000) / 1000, labels, signals: { skinRatio: Math.round(skinRatio * 1000) / 1000, stdev: Math.round(stdev) } };
+}
+
+// Registry of classifiers: async ({ buffer, path }) => { score: 0..1, labels: string[] }
+const IMAGE_CLASSIFIERS = {
+  local: localHeuristicImageClassifier,
+  none: async () => ({ score: 0, labels: [] }),
+};
+
+async function getImageModerationConfig(db) {
+  const out = { classifier: process.env.IMAGE_CLASSIFIER || 'local', autoApproveBelow: null, autoRejectAbove: null };
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const cfg = (snap.exists ? (snap.data() || {}).imageModeration : null) || {};
+    if (cfg.classifier && IMAGE_CLASSIFIERS[cfg.classifier]) out.classifier = String(cfg.classifier);
+    const below = Number(cfg.autoApproveBelow);
+    const above = Number(cfg.autoRejectAbove);
+    if (isFinite(below) && below > 0 && below < 1) out.autoApproveBelow = below;
+    if (isFinite(above) && above > 0 && above < 1) out.autoRejectAbove = above;
+  } catch (_) {}
+  if (!IMAGE_CLASSIFIERS[out.classifier]) out.classifier = 'local';
+  return out;
+}
+
+// 'pending' unless an auto threshold is configured and the score clears it; reject wins
+function moderationStatusForScore(score, cfg) {
+  if (score === null) return 'pending';
+  if (cfg.autoRejectAbove !== null && score >= cfg.autoRejectAbove) return 'rejected';
+  if (cfg.autoApproveBelow !== null && score < cfg.autoApproveBelow) return 'approved';
+  return 'pending';
+}
+
+function moderationItemIdForAsset(assetId) {
+  return `asset_${assetId}`;
+}
+
+/**
+ * Scores a sanitized upload and files it in the moderation queue (or decides it when the
+ * configured auto thresholds apply).
+ */
+async function submitImageForModeration(db, { filePath, assetId, buffer, uploaderUid }) {
+  const cfg = await getImageModerationConfig(db);
+  let result = { score: null, labels: [] };
+  try {
+    result = await IMAGE_CLASSIFIERS[cfg.classifier]({ buffer, path: filePath });
+  } catch (e) {
+    console.warn('image classifier failed', cfg.classifier, e?.message || e);
+  }
+  const score = typeof result.score === 'number' ? result.score : null;
+  const status = moderationStatusForScore(score, cfg);
+
+  const owner = imageOwnerForPath(filePath);
+  const nowIso = new Date().toISOString();
+  const itemRef = db.collection(MODERATION_QUEUE_COLL).doc(moderationItemIdForAsset(assetId));
+  const item = {
+    kind: owner ? `${owner.type}_photo` : 'image',
+    path: filePath,
+    assetId,
+    parkId: owner && owner.type === 'park' ? owner.id : null,
+    ownerType: owner ? owner.type : null,
+    ownerId: owner ? owner.id : null,
+    uploadedBy: uploaderUid || null,
+    score,
+    labels: Array.isArray(result.labels) ? result.labels : [],
+    classifier: cfg.classifier,
+    status,
+    createdAt: nowIso,
+    updatedAt: nowIso,
+  };
+  await itemRef.set(item, { merge: true });
+  await db.collection(IMAGE_ASSETS_COLL).doc(assetId).set({ moderationScore: score, moderationLabels: item.labels }, { merge: true });
+  if (status !== 'pending') {
+    await applyModerationDecision(db, itemRef, { status, by: `auto:${cfg.classifier}`, reason: status === 'rejected' ? 'classifier_score' : null });
+  } else {
+    await writeModerationToOwner(db, filePath, 'pending', null);
+  }
+  return { status, score };
+}
+
+/**
+ * Photo docs carry a download URL (url/photoUrl/imageUrl) rather than the object path, so the
+ * path is derived from it and stored as storagePath. Renditions already generated for the
+ * upload (it may finalize before the doc is written) are copied over. Only objects under the
+ * park's own parks/{parkId}/ prefix are linked. Returns the storagePath or null.
+ */
+async function linkParkPhotoToUpload(db, photoRef, parkId, photo) {
+  const candidate = photo.storagePath || storagePathFromReference(photo.url || photo.photoUrl || photo.imageUrl);
+  if (!candidate || !String(candidate).startsWith(`parks/${parkId}/`)) return null;
+  const storagePath = String(candidate);
+  const update = {};
+  if (photo.storagePath !== storagePath) update.storagePath = storagePath;
+  try {
+    const asset = await db.collection(IMAGE_ASSETS_COLL).doc(imageAssetId(storagePath)).get();
+    const a = asset.exists ? (asset.data() || {}) : {};
+    if (a.renditions && !photo.renditions) {
+      Object.assign(update, { renditions: a.renditions, placeholder: a.placeholder || null, width: a.width || null, height: a.height || null });
+    }
+  } catch (_) {}
+  if (Object.keys(update).length) await photoRef.update({ ...update, updatedAt: new Date().toISOString() });
+  return storagePath;
+}
+
+/**
+ * Queues a parks/{parkId}/photos doc. Photos with a storagePath share the upload's queue item
+ * (and inherit a decision already made on it); others get their own item.
+ */
+async function enqueueParkPhotoForModeration(db, parkId, photoId, photo) {
+  const nowIso = new Date().toISOString();
+  const photoRef = db.collection('parks').doc(parkId).collection('photos').doc(photoId);
+  let itemRef = db.collection(MODERATION_QUEUE_COLL).doc(`parkphoto_${parkId}_${photoId}`);
+  let status = 'pending';
+  if (photo.storagePath) {
+    const assetId = imageAssetId(photo.storagePath);
+    itemRef = db.collection(MODERATION_QUEUE_COLL).doc(moderationItemIdForAsset(assetId));
+    const existing = await itemRef.get();
+    if (existing.exists && existing.data().status !== 'pending') status = existing.data().status;
+    await itemRef.set({ kind: 'park_photo', path: photo.storagePath, assetId, parkId, photoId, updatedAt: nowIso, ...(existing.exists ? {} : { status: 'pending', createdAt: nowIso, score: null, labels: [] }) }, { merge: true });
+  } else {
+    await itemRef.set({
+      kind: 'park_photo',
+      path: null,
+      url: photo.url || photo.photoUrl || null,
+      assetId: null,
+      parkId,
+      photoId,
+      uploadedBy: photo.userId || photo.uploadedBy || null,
+      score: null,
+      labels: [],
+      status: 'pending',
+      createdAt: nowIso,
+      updatedAt: nowIso,
+    }, { merge: true });
+  }
+  await photoRef.update({ moderationStatus: status, moderationItemId: itemRef.id, updatedAt: nowIso });
+}
+
+/**
+ * Applies an approve/reject decision to a queue item and everything it points at.
+ */
+async function applyModerationDecision(db, itemRef, { status, by, reason }) {
+  const nowIso = new Date().toISOString();
+  const snap = await itemRef.get();
+  if (!snap.exists) return null;
+  const item = snap.data() || {};
+  await itemRef.set({ status, decidedAt: nowIso, decidedBy: by || null, reason: reason || null, updatedAt: nowIso }, { merge: true });
+  if (item.assetId) {
+    await db.collection(IMAGE_ASSETS_COLL).doc(item.assetId).set({ moderationStatus: status, moderationReason: reason || null, updatedAt: nowIso }, { merge: true });
+  }
+  if (item.path) await writeModerationToOwner(db, item.path, status, reason || null);
+  if (item.parkId && item.photoId) {
+    const update = { moderationStatus: status, moderationReason: reason || null, updatedAt: nowIso };
+    if (status === 'rejected') update.featured = false;
+    try {
+      await db.collection('parks').doc(item.parkId).collection('photos').doc(item.photoId).update(update);
+    } catch (e) {
+      console.warn('moderation photo update failed', item.parkId, item.photoId, e?.message || e);
+    }
+  }
+  return { ...item, status };
+}
+
+async function requireModerator(auth) {
+  if (!auth) throw new HttpsError('unauthenticated', 'Sign in required');
+  if (!(await isOwnerOrAdmin(admin.firestore(), auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+}
+
+/**
+ * Callable (owner/admin): List moderation queue items, highest score first.
+ * data: { status = 'pending', limit = 50 (max 200) }
+ */
+exports.moderationQueueList = onCall({ region: REGION, timeoutSeconds: 30, memory: '256MiB' }, async (request) => {
+  await requireModerator(request.auth);
+  const db = admin.firestore();
+  const status = ['pending', 'approved', 'rejected'].includes(request.data?.status) ? request.data.status : 'pending';
+  const limit = Math.max(1, Math.min(200, Number(request.data?.limit) || 50));
+  // Unscored items (score null) sort after every scored one, oldest first among equals
+  const snap = await db.collection(MODERATION_QUEUE_COLL)
+    .where('status', '==', status)
+    .orderBy('score', 'desc')
+    .orderBy('createdAt', 'asc')
+    .limit(limit)
+    .get();
+  const items = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+  return { ok: true, items };
+});
+
+async function decideModerationItems(request, status) {
+  await requireModerator(request.auth);
+  const db = admin.firestore();
+  const ids = Array.isArray(request.data?.itemIds) ? request.data.itemIds : (request.data?.itemId ? [request.data.itemId] : []);
+  if (!ids.length) throw new HttpsError('invalid-argument', 'itemId or itemIds required');
+  const reason = request.data?.reason ? String(request.data.reason).slice(0, 200) : null;
+  const results = [];
+  for (const id of ids.slice(0, 100)) {
+    const out = await applyModerationDecision(db, db.collection(MODERATION_QUEUE_COLL).doc(String(id)), { status, by: request.auth.uid, reason });
+    results.push({ itemId: String(id), ok: !!out });
+  }
+  return { ok: true, status, results };
+}
+
+/**
+ * Callable (owner/admin): Approve queue items. data: { itemId } or { itemIds: [] }
+ */
+exports.moderationApprove = onCall({ region: REGION, timeoutSeconds: 60, memory: '256MiB' }, async (request) => {
+  return decideModerationItems(request, 'approved');
+});
+
+/**
+ * Callable (owner/admin): Reject queue items. data: { itemId } or { itemIds: [] }, reason?
+ */
+exports.moderationReject = onCall({ region: REGION, timeoutSeconds: 60, memory: '256MiB' }, async (request) => {
+  return decideModerationItems(request, 'rejected');
+});
+
+/**
+ * Storage Trigger: Sanitize new uploads, then generate renditions and placeholders
+ * - First finalize: sanitizeUpload() validates and rewrites the original (see UPLOAD SANITIZATION)
+ * - Finalize of the sanitized rewrite: renditions (see IMAGE RENDITIONS)
+ * - Skips non-images and our own thumbnails/ output
+ * - Idempotent per generation: imageAssets/{assetId}.generation guards re-runs
+ */
+exports.onImageFinalize = onObjectFinalized({ bucket: 'courthub-app.firebasestorage.app', region: REGION, timeoutSeconds: 300, memory: '1GiB' },
+  async (event) => {
+    let tmpSrc = null;
+    try {
+      const object = event.data || {};
+      const contentType = object.contentType || '';
+      const filePath = object.name || '';
+      if (!filePath || filePath.startsWith(THUMB_PREFIX) || filePath.includes('/thumbnails/')) return null;
+      if (!contentType.startsWith('image/') && !OWNED_IMAGE_PREFIXES.some(p => filePath.startsWith(p))) return null;
+
+      const db = admin.firestore();
+      const assetRef = db.collection(IMAGE_ASSETS_COLL).doc(imageAssetId(filePath));
+      const generation = String(object.generation || '');
+      const existing = await assetRef.get();
+      if (existing.exists && existing.data().generation === generation && existing.data().renditions) return null;
+
+      const bucket = admin.storage().bucket(object.bucket);
+      if (!isSanitizedObject(existing.exists ? existing.data() : null, object)) {
+        await sanitizeUpload(db, bucket, object, assetRef);
+        return null;
+      }
+
+      tmpSrc = path.join(os.tmpdir(), `src-${Date.now()}-${path.basename(filePath)}`);
+      await bucket.file(filePath).download({ destination: tmpSrc });
+
+      const config = await getImagePipelineConfig(db);
+      const result = await generateImageRenditions(bucket, filePath, tmpSrc, config);
+      const owner = await writeRenditionsToOwner(db, filePath, result);
+
+      await assetRef.set({
+        path: filePath,
+        bucket: object.bucket,
+        generation,
+        contentType,
+        size: Number(object.size || 0),
+        deletedAt: null,
+        owner: owner ? { type: owner.type, id: owner.id } : null,
+        width: result.width,
+        height: result.height,
+        renditions: result.renditions,
+        placeholder: result.placeholder,
+        updatedAt: new Date().toISOString(),
+      }, { merge: true });
+      return null;
+    } catch (e) {
+      console.error('onImageFinalize error', e);
+      return null;
+    } finally {
+      if (tmpSrc) { try { fs.unlinkSync(tmpSrc); } catch (_) {} }
+    }
+  }
+);
+
+/**
+ * ========================
+ * ORPHAN IMAGE GC
+ * ========================
+ * Mark-and-sweep over the app's upload prefixes, IMAGE_GC_DEFAULT_PREFIXES: the generic
+ * IMAGE_PREFIXES plus OWNED_IMAGE_PREFIXES (override: config/app.imageGc.prefixes). Every image reference in Firestore (park photo docs,
+ * parks.photoUrls, reviews.photoUrls, users.photoUrl, reports.screenshotUrl) is collected once
+ * per sweep cycle and stored in chunks under jobs/orphan_image_gc/referencedPaths, so later
+ * runs of the cycle only read those chunks. The set is rebuilt when a cycle starts or once it
+ * is IMAGE_GC_REFS_MAX_AGE_HOURS old. Runs then page through storage:
+ *
+ * - referenced objects are left alone (a stale orphanSince mark is cleared);
+ * - unreferenced objects younger than the grace period are skipped (upload still in flight);
+ * - other unreferenced objects get custom metadata orphanSince on first sight and are deleted,
+ *   together with their thumbnails/<rendition>/ files, once still orphaned a grace period later.
+ *
+ * Progress is checkpointed in jobs/orphan_image_gc { prefixIndex, pageToken, refsBuiltAt,
+ * refsChunks } so a cycle spans as many runs as it needs.
+ * config/app.imageGc { graceDays, maxObjectsPerRun, dryRun }.
+ */
+const IMAGE_GC_DEFAULT_PREFIXES = [...IMAGE_PREFIXES, ...OWNED_IMAGE_PREFIXES];
+const IMAGE_GC_GRACE_DAYS_DEFAULT = 7;
+const IMAGE_GC_MAX_OBJECTS_PER_RUN = 2000;
+const IMAGE_GC_PAGE_SIZE = 500;
+const IMAGE_GC_REFS_CHUNK_SIZE = 4000; // keeps each chunk doc well under 1 MiB
+const IMAGE_GC_REFS_MAX_AGE_HOURS = 24;
+
+async function getImageGcConfig(db) {
+  const out = { prefixes: IMAGE_GC_DEFAULT_PREFIXES, graceDays: IMAGE_GC_GRACE_DAYS_DEFAULT, maxObjectsPerRun: IMAGE_GC_MAX_OBJECTS_PER_RUN, dryRun: false };
+  try {
+    const snap = await db.collection('config').doc('app').get();
+    const cfg = (snap.exists ? (snap.data() || {}).imageGc : null) || {};
+    if (Array.isArray(cfg.prefixes)) {
+      // Never sweep renditions directly; they go with their original
+      const valid = cfg.prefixes.map(String).filter(p => p.endsWith('/') && !p.startsWith(THUMB_PREFIX));
+      if (valid.length) out.prefixes = valid;
+    }
+    const grace = Number(cfg.graceDays);
+    if (isFinite(grace) && grace >= 1) out.graceDays = grace;
+    const max = Number(cfg.maxObjectsPerRun);
+    if (isFinite(max) && max >= 1) out.maxObjectsPerRun = Math.min(20000, Math.floor(max));
+    out.dryRun = cfg.dryRun === true;
+  } catch (_) {}
+  return out;
+}
+
+// Object path for a download URL, gs:// URI or bare path; null for anything else
+function storagePathFromReference(ref) {
+  if (typeof ref !== 'string' || !ref) return null;
+  const value = ref.trim();
+  try {
+    if (value.startsWith('gs://')) {
+      const rest = value.slice(5);
+      const slash = rest.indexOf('/');
+      return slash > 0 ? rest.slice(slash + 1) : null;
+    }
+    if (/^https?:\/\//i.test(value)) {
+      const url = new URL(value);
+      const m = url.pathname.match(/\/v0\/b\/[^/]+\/o\/(.+)$/);
+      if (m) return decodeURIComponent(m[1]);
+      if (url.hostname === 'storage.googleapis.com') {
+        const parts = url.pathname.split('/').filter(Boolean);
+        return parts.length > 1 ? decodeURIComponent(parts.slice(1).join('/')) : null;
+      }
+      return null;
+    }
+  } catch (_) {
+    return null;
+  }
+  return value.replace(/^\/+/, '') || null;
+}
+
+// Pages through a query by document id, handing each selected doc to fn
+async function forEachDocPaged(query, fn, pageSize = 1000) {
+  let last = null;
+  for (;;) {
+    let q = query.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    snap.docs.forEach(d => fn(d.data() || {}));
+    if (snap.size < pageSize) return;
+    last = snap.docs[snap.docs.length - 1];
+  }
+}
+
+async function collectReferencedImagePaths(db) {
+  const refs = new Set();
+  const add = (v) => {
+    const p = storagePathFromReference(v);
+    if (p) refs.add(p);
+  };
+  const addAll = (arr) => { if (Array.isArray(arr)) arr.forEach(add); };
+
+  await forEachDocPaged(db.collectionGroup('photos').select('url', 'photoUrl', 'imageUrl', 'storagePath'), (d) => {
+    add(d.url); add(d.photoUrl); add(d.imageUrl); add(d.storagePath);
+  });
+  await forEachDocPaged(db.collection('parks').select('photoUrls'), (d) => addAll(d.photoUrls));
+  await forEachDocPaged(db.collection('reviews').select('photoUrls'), (d) => addAll(d.photoUrls));
+  await forEachDocPaged(db.collection('users').select('photoUrl'), (d) => add(d.photoUrl));
+  await forEachDocPaged(db.collection('reports').select('screenshotUrl'), (d) => add(d.screenshotUrl));
+  return refs;
+}
+
+// Stores the cycle's reference set as chunk docs; returns the chunk count
+async function saveReferencedImagePaths(ckptRef, refs, previousChunks) {
+  const paths = Array.from(refs);
+  const chunks = Math.ceil(paths.length / IMAGE_GC_REFS_CHUNK_SIZE);
+  const coll = ckptRef.collection('referencedPaths');
+  for (let i = 0; i < chunks; i++) {
+    await coll.doc(`chunk_${i}`).set({ paths: paths.slice(i * IMAGE_GC_REFS_CHUNK_SIZE, (i + 1) * IMAGE_GC_REFS_CHUNK_SIZE) });
+  }
+  for (let i = chunks; i < previousChunks; i++) {
+    await coll.doc(`chunk_${i}`).delete();
+  }
+  return chunks;
+}
+
+// Loads the stored reference set; null when a chunk is missing (caller rebuilds)
+async function loadReferencedImagePaths(ckptRef, chunks) {
+  const refs = new Set();
+  if (!chunks) return refs;
+  const coll = ckptRef.collection('referencedPaths');
+  const snaps = await ckptRef.firestore.getAll(...Array.from({ length: chunks }, (_, i) => coll.doc(`chunk_${i}`)));
+  for (const snap of snaps) {
+    if (!snap.exists) return null;
+    const paths = (snap.data() || {}).paths;
+    if (Array.isArray(paths)) paths.forEach(p => refs.add(p));
+  }
+  return refs;
+}
+
+// Deletes an original and every rendition generated from it
+async function deleteImageWithRenditions(db, bucket, file, pipelineConfig) {
+  const filePath = file.name;
+  await file.delete({ ifGenerationMatch: file.metadata.generation });
+
+  const assetRef = db.collection(IMAGE_ASSETS_COLL).doc(imageAssetId(filePath));
+  const targets = new Set();
+  for (const r of pipelineConfig.renditions) {
+    for (const f of Object.values(IMAGE_FORMAT_OPTIONS)) targets.add(renditionPath(filePath, r.name, f.ext));
+  }
+  try {
+    const asset = await assetRef.get();
+    const renditions = asset.exists ? (asset.data().renditions || {}) : {};
+    for (const byFormat of Object.values(renditions)) {
+      for (const out of Object.values(byFormat || {})) if (out && out.path) targets.add(out.path);
+    }
+  } catch (_) {}
+  let removed = 0;
+  for (const target of targets) {
+    try {
+      await bucket.file(target).delete();
+      removed += 1;
+    } catch (e) {
+      if (e?.code !== 404) console.warn('rendition delete failed', target, e?.message || e);
+    }
+  }
+  await assetRef.set({ path: filePath, deletedAt: new Date().toISOString(), deletedReason: 'orphan_gc' }, { merge: true });
+  return removed;
+}
+
+/**
+ * One resumable GC pass (up to maxObjectsPerRun objects).
+ */
+async function runOrphanImageGcBatch(db) {
+  const cfg = await getImageGcConfig(db);
+  const bucket = admin.storage().bucket();
+  const ckptRef = db.collection('jobs').doc('orphan_image_gc');
+  const ckptSnap = await ckptRef.get();
+  const ckpt = ckptSnap.exists ? (ckptSnap.data() || {}) : {};
+  let prefixIndex = Number(ckpt.prefixIndex) || 0;
+  let pageToken = ckpt.pageToken || null;
+  if (prefixIndex >= cfg.prefixes.length) { prefixIndex = 0; pageToken = null; }
+  const startingCycle = prefixIndex === 0 && !pageToken;
+  const nowMs = Date.now();
+
+  // References change far more slowly than a cycle runs; reuse the cycle's set while it is fresh
+  const refsChunks = Number(ckpt.refsChunks) || 0;
+  const refsBuiltMs = ckpt.refsBuiltAt ? new Date(ckpt.refsBuiltAt).getTime() : 0;
+  let refs = null;
+  if (!startingCycle && refsBuiltMs && nowMs - refsBuiltMs < IMAGE_GC_REFS_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    refs = await loadReferencedImagePaths(ckptRef, refsChunks);
+  }
+  let refsUpdate = {};
+  if (!refs) {
+    refs = await collectReferencedImagePaths(db);
+    const chunks = await saveReferencedImagePaths(ckptRef, refs, refsChunks);
+    refsUpdate = { refsBuiltAt: new Date(nowMs).toISOString(), refsChunks: chunks };
+  }
+  const pipelineConfig = await getImagePipelineConfig(db);
+  const graceMs = cfg.graceDays * 24 * 60 * 60 * 1000;
+  const stats = { scanned: 0, referenced: 0, fresh: 0, marked: 0, unmarked: 0, deleted: 0, renditionsDeleted: 0, errors: 0 };
+
+  while (stats.scanned < cfg.maxObjectsPerRun && prefixIndex < cfg.prefixes.length) {
+    const query = { prefix: cfg.prefixes[prefixIndex], autoPaginate: false, maxResults: Math.min(IMAGE_GC_PAGE_SIZE, cfg.maxObjectsPerRun - stats.scanned) };
+    if (pageToken) query.pageToken = pageToken;
+    const [files, nextQuery] = await bucket.getFiles(query);
+    for (const file of files) {
+      stats.scanned += 1;
+      if (file.name.endsWith('/')) continue;
+      const custom = file.metadata.metadata || {};
+      try {
+        if (refs.has(file.name)) {
+          stats.referenced += 1;
+          if (custom.orphanSince && !cfg.dryRun) {
+            await file.setMetadata({ metadata: { orphanSince: null } });
+            stats.unmarked += 1;
+          }
+          continue;
+        }
+        const createdMs = new Date(file.metadata.timeCreated || file.metadata.updated || 0).getTime();
+        if (!createdMs || nowMs - createdMs < graceMs) { stats.fresh += 1; continue; }
+        const orphanSinceMs = custom.orphanSince ? new Date(custom.orphanSince).getTime() : 0;
+        if (!orphanSinceMs) {
+          if (!cfg.dryRun) await file.setMetadata({ metadata: { orphanSince: new Date(nowMs).toISOString() } });
+          stats.marked += 1;
+        } else if (nowMs - orphanSinceMs >= graceMs) {
+          if (!cfg.dryRun) stats.renditionsDeleted += await deleteImageWithRenditions(db, bucket, file, pipelineConfig);
+          stats.deleted += 1;
+        }
+      } catch (e) {
+        stats.errors += 1;
+        console.warn('orphan gc object failed', file.name, e?.message || e);
+      }
+    }
+    if (nextQuery && nextQuery.pageToken) {
+      pageToken = nextQuery.pageToken;
+    } else {
+      prefixIndex += 1;
+      pageToken = null;
+    }
+  }
+
+  const cycleDone = prefixIndex >= cfg.prefixes.length;
+  const nowIso = new Date().toISOString();
+  await ckptRef.set({
+    prefixIndex: cycleDone ? 0 : prefixIndex,
+    pageToken: cycleDone ? null : pageToken,
+    prefixes: cfg.prefixes,
+    dryRun: cfg.dryRun,
+    ...(startingCycle ? { cycleStartedAt: nowIso } : {}),
+    ...(cycleDone ? { cycleCompletedAt: nowIso } : {}),
+    referencedPaths: refs.size,
+    ...refsUpdate,
+    lastRun: stats,
+    lastRunAt: nowIso,
+  }, { merge: true });
+  return { ...stats, cycleDone };
+}
+
+/**
+ * Scheduled: Reference-aware orphan image GC (see ORPHAN IMAGE GC)
+ */
+exports.scheduledOrphanImageGc = onSchedule({ region: REGION, schedule: 'every 2 hours', timeZone: 'Etc/UTC', timeoutSeconds: 540, memory: '512MiB' }, async (event) => {
+  try {
+    const res = await runOrphanImageGcBatch(admin.firestore());
+    console.log('scheduledOrphanImageGc', JSON.stringify(res));
+    return null;
+  } catch (e) {
+    console.warn('scheduledOrphanImageGc error', e);
+    return null;
+  }
+});
+
+/**
+ * Scheduled: Prune legacy thumbnails older than 30 days (limits to ~400 deletions/run)
+ */
+exports.pruneOldImages = onSchedule({ region: REGION, schedule: 'every 24 hours', timeZone: 'Etc/UTC' }, async (event) => {
+  const bucket = admin.storage().bucket();
+  let totalDeleted = 0;
+  try {
+    for (const cfg of PREFIX_TTLS) {
+      const prefix = cfg.prefix;
+      const cutoff = Date.now() - (cfg.days * 24 * 60 * 60 * 1000);
+      const [files] = await bucket.getFiles({ prefix });
+      let deleted = 0;
+      for (const f of files) {
+        if (deleted >= 400) break; // per-prefix safety cap
+        try {
+          const [meta] = await f.getMetadata();
+          const t = new Date(meta.timeCreated || meta.updated || 0).getTime();
+          if (t && t < cutoff) {
+            await f.delete();
+            deleted += 1;
+            totalDeleted += 1;
+          }
+        } catch (_) {}
+      }
+      console.log(`pruneOldImages: prefix=${prefix} deleted=${deleted}`);
+    }
+    console.log(`pruneOldImages: totalDeleted=${totalDeleted}`);
+    return null;
+  } catch (e) {
+    console.warn('pruneOldImages error', e);
+    return null;
+  }
+});
+
+/**
+ * ========================
+ * NEARBY PARKS (GEOHASH)
+ * ========================
+ * parks/{parkId} carries fields maintained by indexParkGeohashOnWrite:
+ *
+ *   geohash: 'dr5regw3p'                       (precision GEOHASH_PRECISION)
+ *   geoFacets: { sports: ['basketball', ...], hasLighting, indoor }
+ *   liveActive: true when any court has players or a non-empty gotNextQueue (activity tiles)
+ *
+ * parksNearby covers the search circle with a handful of geohash prefixes, runs one range
+ * query per prefix (select()ing only summary fields), then filters by exact haversine distance
+ * and facets. Each prefix query stops at NEARBY_MAX_CANDIDATES in geohash order (not distance
+ * order), so the radius is capped to keep the cover small enough that truncation is rare; when
+ * it does happen the response says truncated. Existing parks are indexed with the
+ * parksGeohashBackfill admin callable.
+ */
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+const NEARBY_MAX_RADIUS_MILES = 25;
+const NEARBY_DEFAULT_RADIUS_MILES = 5;
+const NEARBY_MAX_CELLS = 16;
+const NEARBY_MAX_CANDIDATES = 500;
+const NEARBY_SUMMARY_FIELDS = ['name', 'address', 'city', 'state', 'latitude', 'longitude', 'approved', 'reviewStatus', 'geohash', 'geoFacets', 'averageRating', 'totalReviews', 'photoUrls'];
+
+function geohashEncode(lat, lng, precision = GEOHASH_PRECISION) {
+  let latMin = -90, latMax = 90;
+  let lngMin = -180, lngMax = 180;
+  let hash = '';
+  let bit = 0;
+  let ch = 0;
+  let even = true;
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) { ch = (ch << 1) | 1; lngMin = mid; } else { ch <<= 1; lngMax = mid; }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) { ch = (ch << 1) | 1; latMin = mid; } else { ch <<= 1; latMax = mid; }
+    }
+    even = !even;
+    if (++bit === 5) {
+      hash += GEOHASH_BASE32[ch];
+      bit = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+// Cell size in degrees for a geohash precision
+function geohashCellSize(precision) {
+  const bits = precision * 5;
+  return { lat: 180 / Math.pow(2, Math.floor(bits / 2)), lng: 360 / Math.pow(2, Math.ceil(bits / 2)) };
+}
+
+function normalizeLng(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Geohash prefixes whose cells together cover a lat/lng box: the longest precision that
+ * needs at most NEARBY_MAX_CELLS cells. Longitudes may run past +/-180 (wrapped per cell).
+ */
+function geohashCoverBox(minLat, maxLat, minLng, maxLng) {
+  for (let precision = GEOHASH_PRECISION; precision >= 1; precision--) {
+    const cell = geohashCellSize(precision);
+    const rows = Math.floor((maxLat - minLat) / cell.lat) + 2;
+    const cols = Math.floor((maxLng - minLng) / cell.lng) + 2;
+    if (rows * cols > NEARBY_MAX_CELLS && precision > 1) continue;
+    const out = new Set();
+    const lats = [];
+    for (let la = minLat; la < maxLat; la += cell.lat) lats.push(la);
+    lats.push(maxLat);
+    const lngs = [];
+    for (let lo = minLng; lo < maxLng; lo += cell.lng) lngs.push(lo);
+    lngs.push(maxLng);
+    for (const la of lats) {
+      for (const lo of lngs) out.add(geohashEncode(Math.min(89.999999, la), normalizeLng(lo), precision));
+    }
+    return Array.from(out);
+  }
+  return [''];
+}
+
+function geohashCoverPrefixes(lat, lng, radiusMiles) {
+  const latDelta = radiusMiles / 69.0;
+  const cosLat = Math.max(0.01, Math.cos(lat * Math.PI / 180));
+  const lngDelta = Math.min(180, radiusMiles / (69.172 * cosLat));
+  return geohashCoverBox(Math.max(-90, lat - latDelta), Math.min(90, lat + latDelta), lng - lngDelta, lng + lngDelta);
+}
+
+function parkGeoFacets(park) {
+  const courts = Array.isArray(park.courts) ? park.courts : [];
+  const sports = Array.from(new Set(courts.map(c => String((c && c.sportType) || 'basketball')))).sort();
+  const hasLighting = courts.some(c => c && c.hasLighting === true) || park.hasLighting === true;
+  const amenities = Array.isArray(park.amenities) ? park.amenities.map(a => String(a).toLowerCase()) : [];
+  const indoor = park.indoor === true || amenities.some(a => a.includes('indoor')) || courts.some(c => c && (c.indoor === true || c.isIndoor === true));
+  return { sports, hasLighting, indoor };
+}
+
+function parkGeoFields(park) {
+  const lat = Number(park.latitude);
+  const lng = Number(park.longitude);
+  const hasCoords = isFinite(lat) && isFinite(lng) && !(lat === 0 && lng === 0) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+  const courts = Array.isArray(park.courts) ? park.courts : [];
+  const liveActive = courts.some(c => c && ((Number(c.playerCount) || 0) > 0 || (Array.isArray(c.gotNextQueue) && c.gotNextQueue.length > 0)));
+  return { geohash: hasCoords ? geohashEncode(lat, lng) : null, geoFacets: parkGeoFacets(park), liveActive };
+}
+
+// Field by field: a stored map can come back from Firestore with its keys in another order
+function geoFacetsEqual(a, b) {
+  if (!a || !b) return a === b;
+  const sports = (f) => (Array.isArray(f.sports) ? f.sports.join(',') : '');
+  return sports(a) === sports(b) && a.hasLighting === b.hasLighting && a.indoor === b.indoor;
+}
+
+function parkGeoFieldsChanged(park, next) {
+  return park.geohash !== next.geohash ||
+    !geoFacetsEqual(park.geoFacets || null, next.geoFacets || null) ||
+    park.liveActive !== next.liveActive;
+}
+
+function parkIsPubliclyVisible(park) {
+  if (park.approved === false) return false;
+  const status = park.reviewStatus || 'approved';
+  return status === 'approved';
+}
+
+/**
+ * Firestore Trigger: Keep parks.geohash / geoFacets / liveActive in sync with coordinates and courts.
+ * Writes only when the derived values change, so its own update is a no-op on re-trigger.
+ */
+exports.indexParkGeohashOnWrite = functions.firestore
+  .document('parks/{parkId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) return null;
+    try {
+      const park = change.after.data() || {};
+      const next = parkGeoFields(park);
+      if (!parkGeoFieldsChanged(park, next)) return null;
+      await change.after.ref.update(next);
+      return null;
+    } catch (e) {
+      console.warn('indexParkGeohashOnWrite error', e?.message || e);
+      return null;
+    }
+  });
+
+/**
+ * Callable (owner/admin): Backfill geohash/geoFacets/liveActive for one page of parks.
+ * Cursor lives in jobs/backfill_geohash; call repeatedly until done: true.
+ * data: { pageSize = 500, restart = false }
+ */
+exports.parksGeohashBackfill = onCall({ region: REGION, timeoutSeconds: 540, memory: '512MiB' }, async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in required');
+  const db = admin.firestore();
+  if (!(await isOwnerOrAdmin(db, request.auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+  const pageSize = Math.max(50, Math.min(1000, Number(request.data?.pageSize) || 500));
+  const ckptRef = db.collection('jobs').doc('backfill_geohash');
+  const ckpt = request.data?.restart ? {} : ((await ckptRef.get()).data() || {});
+
+  let q = db.collection('parks').orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+  if (ckpt.lastDocId) q = q.startAfter(ckpt.lastDocId);
+  const snap = await q.get();
+  let updated = 0;
+  let batch = db.batch();
+  let writes = 0;
+  for (const doc of snap.docs) {
+    const park = doc.data() || {};
+    const next = parkGeoFields(park);
+    if (!parkGeoFieldsChanged(park, next)) continue;
+    batch.update(doc.ref, next);
+    writes += 1;
+    updated += 1;
+    if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
+  }
+  if (writes > 0) await batch.commit();
+
+  const done = snap.size < pageSize;
+  const totals = {
+    scanned: Number(ckpt.scanned || 0) + snap.size,
+    updated: Number(ckpt.updated || 0) + updated,
+  };
+  await ckptRef.set({
+    status: done ? 'done' : 'in_progress',
+    lastDocId: done ? null : snap.docs[snap.docs.length - 1].id,
+    ...totals,
+    lastHeartbeatAt: new Date().toISOString(),
+    ...(done ? { completedAt: new Date().toISOString() } : {}),
+  }, { merge: true });
+  return { ok: true, done, pageScanned: snap.size, pageUpdated: updated, ...totals };
+});
+
+function encodeNearbyCursor(distance, id) {
+  return Buffer.from(JSON.stringify({ d: distance, id })).toString('base64url');
+}
+
+function decodeNearbyCursor(token) {
+  if (!token) return null;
+  try {
+    const c = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    return (typeof c.d === 'number' && typeof c.id === 'string') ? c : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// 'pickleball' matches pickleballSingles/pickleballDoubles, etc.
+function sportMatches(sports, wanted) {
+  const w = String(wanted).toLowerCase();
+  return sports.some(s => String(s).toLowerCase().startsWith(w));
+}
+
+/**
+ * Callable: Parks within a radius, nearest first. Requires sign-in or App Check and is rate
+ * limited (see GEO RATE LIMITS).
+ * data: {
+ *   latitude, longitude, radiusMiles = 5 (max 25),
+ *   sport?: 'basketball' | 'pickleball' | 'tennis' | exact sportType,
+ *   hasLighting?: true, indoor?: boolean,
+ *   includeUnapproved?: boolean (owner/admin only),
+ *   limit = 25 (max 100), pageToken?
+ * }
+ * Returns { parks: [{ id, name, ..., distanceMiles }], nextPageToken, truncated }.
+ */
+exports.parksNearby = onCall({ region: REGION, timeoutSeconds: 30, memory: '512MiB' }, async (request) => {
+  if (!request.auth && !request.app) throw new HttpsError('unauthenticated', 'Sign in or App Check required');
+  const data = request.data || {};
+  const lat = Number(data.latitude);
+  const lng = Number(data.longitude);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new HttpsError('invalid-argument', 'latitude and longitude are required');
+  }
+  const radiusMiles = Math.max(0.1, Math.min(NEARBY_MAX_RADIUS_MILES, Number(data.radiusMiles) || NEARBY_DEFAULT_RADIUS_MILES));
+  const limit = Math.max(1, Math.min(100, Number(data.limit) || 25));
+  const cursor = decodeNearbyCursor(data.pageToken);
+  if (data.pageToken && !cursor) throw new HttpsError('invalid-argument', 'Bad pageToken');
+
+  const db = admin.firestore();
+  await enforceGeoRateLimit(db, 'parksNearby', request);
+  let includeUnapproved = false;
+  if (data.includeUnapproved === true) {
+    if (!request.auth || !(await isOwnerOrAdmin(db, request.auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+    includeUnapproved = true;
+  }
+
+  const prefixes = geohashCoverPrefixes(lat, lng, radiusMiles);
+  const snaps = await Promise.all(prefixes.map(prefix => db.collection('parks')
+    .orderBy('geohash')
+    .startAt(prefix)
+    .endAt(`${prefix}~`)
+    .select(...NEARBY_SUMMARY_FIELDS)
+    .limit(NEARBY_MAX_CANDIDATES)
+    .get()));
+
+  const seen = new Set();
+  let truncated = false;
+  const matches = [];
+  for (const snap of snaps) {
+    if (snap.size >= NEARBY_MAX_CANDIDATES) truncated = true;
+    for (const doc of snap.docs) {
+      if (seen.has(doc.id)) continue;
+      seen.add(doc.id);
+      const p = doc.data() || {};
+      if (!includeUnapproved && !parkIsPubliclyVisible(p)) continue;
+      const distanceMiles = haversineMiles(lat, lng, Number(p.latitude), Number(p.longitude));
+      if (!(distanceMiles <= radiusMiles)) continue;
+      const facets = p.geoFacets || { sports: [], hasLighting: false, indoor: false };
+      if (data.sport && !sportMatches(facets.sports || [], data.sport)) continue;
+      if (data.hasLighting === true && !facets.hasLighting) continue;
+      if (typeof data.indoor === 'boolean' && !!facets.indoor !== data.indoor) continue;
+      matches.push({
+        id: doc.id,
+        name: p.name || '',
+        address: p.address || '',
+        city: p.city || '',
+        state: p.state || '',
+        latitude: Number(p.latitude),
+        longitude: Number(p.longitude),
+        averageRating: Number(p.averageRating || 0),
+        totalReviews: Number(p.totalReviews || 0),
+        photoUrl: Array.isArray(p.photoUrls) && p.photoUrls.length ? p.photoUrls[0] : null,
+        sports: facets.sports || [],
+        hasLighting: !!facets.hasLighting,
+        indoor: !!facets.indoor,
+        approved: parkIsPubliclyVisible(p),
+        distanceMiles: Math.round(distanceMiles * 100) / 100,
+        _d: distanceMiles,
+      });
+    }
+  }
+
+  matches.sort((a, b) => (a._d - b._d) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const start = cursor ? matches.findIndex(m => m._d > cursor.d || (m._d === cursor.d && m.id > cursor.id)) : 0;
+  const page = start < 0 ? [] : matches.slice(start, start + limit);
+  const hasMore = start >= 0 && start + limit < matches.length;
+  const last = page[page.length - 1];
+  return {
+    ok: true,
+    radiusMiles,
+    parks: page.map(({ _d, ...rest }) => rest),
+    nextPageToken: hasMore && last ? encodeNearbyCursor(last._d, last.id) : null,
+    truncated,
+  };
+});
+
+/**
+ * ========================
+ * COURT ACTIVITY TILES
+ * ========================
+ * "Where people are playing right now" for the map, as slippy-map tiles:
+ *
+ *   GET /courtActivityTiles/{z}/{x}/{y}  ->  { z, x, y, minute, totals, cells: [...] }
+ *
+ * Each tile is split into ACTIVITY_TILE_GRID x ACTIVITY_TILE_GRID cells (tile coordinates at
+ * zoom z + log2(grid)); a cell reports players (sum of courts[].playerCount), queued (active
+ * gotNextQueue entries), parks, and the activity-weighted centroid. Only parks flagged
+ * liveActive (see NEARBY PARKS) inside the tile's geohash cover are read.
+ *
+ * Each geohash prefix query stops at NEARBY_MAX_CANDIDATES live parks; a tile that hit the cap
+ * is returned with truncated: true so the map can ask for a closer zoom.
+ *
+ * Non-empty tiles are cached per UTC minute in activityTiles/{z}_{x}_{y} { minute, tile,
+ * computedAt, expiresAt } and pruned by pruneActivityTiles once ACTIVITY_TILE_CACHE_TTL_MINUTES
+ * have passed; empty tiles are not stored. Responses carry a 60s Cache-Control so the CDN
+ * absorbs repeat requests either way.
+ */
+const ACTIVITY_TILES_COLL = 'activityTiles';
+const ACTIVITY_TILE_CACHE_TTL_MINUTES = 10;
+const ACTIVITY_TILE_GRID = 8;
+const ACTIVITY_TILE_MIN_ZOOM = 3;
+const ACTIVITY_TILE_MAX_ZOOM = 16;
+const ACTIVITY_QUEUE_ENTRY_TTL_MINUTES = 60; // matches QueuePlayer.isExpired in the app
+
+function tileToLng(x, z) {
+  return x / Math.pow(2, z) * 360 - 180;
+}
 
-// Region and IAP/image pipeline constants (env-driven; safe defaults)
-const REGION = process.env.FUNCTIONS_REGION || 'us-central1';
-const ANDROID_PACKAGE = process.env.ANDROID_PACKAGE || process.env.ANDROID_PACKAGE_NAME || null;
-const APPLE_SHARED_SECRET = process.env.APPLE_SHARED_SECRET || null;
+function tileToLat(y, z) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+  return 180 / Math.PI * Math.atan(Math.sinh(n));
+}
 
-// Image pipeline constants and TTLs
-const THUMB_PREFIX = 'thumbnails/';
-// Adjust these prefixes as needed to match your storage layout
-const IMAGE_PREFIXES = ['uploads/', 'attachments/', 'images/'];
-const TTL_DEFAULT_DAYS = 30; // generic assets + thumbnails
-const TTL_ATTACHMENTS_DAYS = 14; // shorter retention for attachments
-// Only prune thumbnails by default. We do NOT touch user attachments.
-const PREFIX_TTLS = [
-  { prefix: THUMB_PREFIX, days: TTL_DEFAULT_DAYS },
-];
+function lngLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+  const rad = clampedLat * Math.PI / 180;
+  const x = Math.floor((lng + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+  return { x: Math.max(0, Math.min(n - 1, x)), y: Math.max(0, Math.min(n - 1, y)) };
+}
 
-// Google Play advanced verification using googleapis (dynamic import)
-async function verifyAndroidPurchase({ packageName, productId, purchaseToken, isSubscription }) {
-  try {
-    const { google } = await import('googleapis');
-    const auth = await google.auth.getClient({ scopes: ['https://www.googleapis.com/auth/androidpublisher'] });
-    const androidpublisher = google.androidpublisher({ version: 'v3', auth });
-    const pkg = packageName || ANDROID_PACKAGE;
-    if (!pkg) return { ok: false, reason: 'missing_package_name' };
+function activeQueueLength(court, nowMs) {
+  const q = court && Array.isArray(court.gotNextQueue) ? court.gotNextQueue : [];
+  const ttlMs = ACTIVITY_QUEUE_ENTRY_TTL_MINUTES * 60 * 1000;
+  return q.filter((p) => {
+    const t = new Date((p && (p.lastActivity || p.joinedAt)) || 0).getTime();
+    return t && nowMs - t < ttlMs;
+  }).length;
+}
 
-    // Try v3 subscriptionsv2 first when subscription
-    if (isSubscription) {
-      try {
-        const v2 = await androidpublisher.purchases.subscriptionsv2.get({
-          packageName: pkg,
-          token: purchaseToken,
-        });
-        const line = v2?.data?.lineItems?.[0];
-        const expiry = Number(line?.expiryTime || 0);
-        const now = Date.now();
-        const active = expiry > now;
-        return { ok: true, active, expiryTimeMillis: expiry || null, raw: v2.data };
-      } catch (_) {
-        // fall back to v3 purchases.subscriptions.get
-      }
-      const res = await androidpublisher.purchases.subscriptions.get({
-        packageName: pkg,
-        subscriptionId: productId,
-        token: purchaseToken,
-      });
-      const expiry = Number(res?.data?.expiryTimeMillis || 0);
-      const cancelReason = res?.data?.cancelReason;
-      const paymentState = res?.data?.paymentState; // 1: received, 2: free trial, etc.
-      const now = Date.now();
-      const active = expiry > now && cancelReason == null;
-      return { ok: true, active, expiryTimeMillis: expiry || null, paymentState, raw: res.data };
+async function computeActivityTile(db, z, x, y) {
+  const north = tileToLat(y, z);
+  const south = tileToLat(y + 1, z);
+  const west = tileToLng(x, z);
+  const east = tileToLng(x + 1, z);
+  const prefixes = geohashCoverBox(south, north, west, east);
+  const snaps = await Promise.all(prefixes.map(prefix => db.collection('parks')
+    .where('liveActive', '==', true)
+    .orderBy('geohash')
+    .startAt(prefix)
+    .endAt(`${prefix}~`)
+    .select('latitude', 'longitude', 'courts', 'approved', 'reviewStatus')
+    .limit(NEARBY_MAX_CANDIDATES)
+    .get()));
+
+  const nowMs = Date.now();
+  const subZoom = z + Math.log2(ACTIVITY_TILE_GRID);
+  const cells = new Map();
+  const totals = { players: 0, queued: 0, parks: 0 };
+  const seen = new Set();
+  let truncated = false;
+  for (const snap of snaps) {
+    if (snap.size >= NEARBY_MAX_CANDIDATES) truncated = true;
+    for (const doc of snap.docs) {
+      if (seen.has(doc.id)) continue;
+      seen.add(doc.id);
+      const p = doc.data() || {};
+      if (!parkIsPubliclyVisible(p)) continue;
+      const lat = Number(p.latitude);
+      const lng = Number(p.longitude);
+      if (!(lat <= north && lat > south && lng >= west && lng < east)) continue;
+      const courts = Array.isArray(p.courts) ? p.courts : [];
+      const players = courts.reduce((sum, c) => sum + Math.max(0, Number(c && c.playerCount) || 0), 0);
+      const queued = courts.reduce((sum, c) => sum + activeQueueLength(c, nowMs), 0);
+      if (players + queued === 0) continue;
+
+      const sub = lngLatToTile(lng, lat, subZoom);
+      const key = `${sub.x}_${sub.y}`;
+      const cell = cells.get(key) || { x: sub.x, y: sub.y, z: subZoom, players: 0, queued: 0, parks: 0, latSum: 0, lngSum: 0, weight: 0 };
+      const w = players + queued;
+      cell.players += players;
+      cell.queued += queued;
+      cell.parks += 1;
+      cell.latSum += lat * w;
+      cell.lngSum += lng * w;
+      cell.weight += w;
+      cells.set(key, cell);
+      totals.players += players;
+      totals.queued += queued;
+      totals.parks += 1;
     }
-
-    // One-time product purchase
-    const prod = await androidpublisher.purchases.products.get({
-      packageName: pkg,
-      productId,
-      token: purchaseToken,
-    });
-    const purchaseState = prod?.data?.purchaseState; // 0 purchased, 1 canceled, 2 pending
-    const acknowledged = !!prod?.data?.acknowledgementState === 1;
-    const consumed = !!prod?.data?.consumptionState;
-    const valid = purchaseState === 0; // purchased
-    return { ok: true, active: valid, acknowledged, consumed, raw: prod.data };
-  } catch (e) {
-    console.warn('verifyAndroidPurchase error', e);
-    return { ok: false, reason: 'exception', error: e?.message || String(e) };
   }
+  return {
+    z, x, y,
+    totals,
+    truncated,
+    cells: Array.from(cells.values()).map(c => ({
+      x: c.x, y: c.y, z: c.z,
+      players: c.players,
+      queued: c.queued,
+      parks: c.parks,
+      latitude: Math.round((c.latSum / c.weight) * 1e5) / 1e5,
+      longitude: Math.round((c.lngSum / c.weight) * 1e5) / 1e5,
+    })),
+  };
 }
 
-// Apple advanced receipt verification
-async function verifyAppleReceipt({ receiptData, password, useSandbox }) {
-  const endpoint = useSandbox ? 'https://sandbox.itunes.apple.com/verifyReceipt' : 'https://buy.itunes.apple.com/verifyReceipt';
-  if (!receiptData) return { ok: false, reason: 'missing_receipt' };
-  const body = { 'receipt-data': receiptData, password: password || process.env.APPLE_SHARED_SECRET, 'exclude-old-transactions': true };
+// Tile for the current minute, from cache when another request already computed it
+async function getActivityTile(db, z, x, y) {
+  const minute = new Date().toISOString().slice(0, 16);
+  const ref = db.collection(ACTIVITY_TILES_COLL).doc(`${z}_${x}_${y}`);
   try {
-    const res = await fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
-    const json = await res.json();
-    if (json?.status === 21007 && !useSandbox) {
-      // Retry in sandbox automatically
-      return verifyAppleReceipt({ receiptData, password, useSandbox: true });
-    }
-    // Determine active by checking latest_receipt_info or pending_renewal_info
-    let active = false;
-    let expiresMs = null;
-    const latest = json?.latest_receipt_info || json?.receipt?.in_app || [];
-    const now = Date.now();
-    for (const item of latest) {
-      const exp = Number(item.expires_date_ms || item.expires_date || 0);
-      if (exp && exp > now) {
-        active = true;
-        if (!expiresMs || exp > expiresMs) expiresMs = exp;
-      }
+    const snap = await ref.get();
+    if (snap.exists && snap.data().minute === minute) return { ...snap.data().tile, minute, cached: true };
+  } catch (_) {}
+  const tile = await computeActivityTile(db, z, x, y);
+  // Most of the map is empty; storing those tiles would only grow the collection
+  if (tile.totals.parks > 0) {
+    try {
+      const expiresAt = new Date(Date.parse(`${minute}:00Z`) + ACTIVITY_TILE_CACHE_TTL_MINUTES * 60 * 1000).toISOString();
+      await ref.set({ minute, tile, computedAt: new Date().toISOString(), expiresAt });
+    } catch (e) {
+      console.warn('activity tile cache write failed', ref.id, e?.message || e);
     }
-    return { ok: true, active, expiryTimeMillis: expiresMs, raw: json };
-  } catch (e) {
-    console.warn('verifyAppleReceipt error', e);
-    return { ok: false, reason: 'exception', error: e?.message || String(e) };
   }
+  return { ...tile, minute, cached: false };
 }
 
 /**
- * Callable: Record IAP payloads (server-side receipt log)
- * - Stores purchase payloads for later verification and audit
- * - Does NOT perform full Apple/Google verification in this version
+ * HTTPS: Live court-activity tile. GET /{z}/{x}/{y} (also ?z=&x=&y=)
  */
-exports.iapVerify = onCall({ region: REGION, timeoutSeconds: 30, memory: '256MiB' }, async (request) => {
-  const { data, auth } = request;
-  if (!auth) {
-    throw new HttpsError('unauthenticated', 'Sign in required');
+exports.courtActivityTiles = onRequest({ region: REGION, timeoutSeconds: 30, memory: '512MiB', cors: true }, async (req, res) => {
+  if (req.method !== 'GET') { res.status(405).json({ ok: false, error: 'GET only' }); return; }
+  const parts = String(req.path || '').split('/').filter(Boolean);
+  const raw = parts.length >= 3 ? parts.slice(-3) : [req.query.z, req.query.x, req.query.y];
+  const [z, x, y] = raw.map(v => Number(String(v).replace(/\.json$/, '')));
+  const n = Math.pow(2, z);
+  if (![z, x, y].every(Number.isInteger) || z < ACTIVITY_TILE_MIN_ZOOM || z > ACTIVITY_TILE_MAX_ZOOM || x < 0 || y < 0 || x >= n || y >= n) {
+    res.status(400).json({ ok: false, error: `Expected /z/x/y with ${ACTIVITY_TILE_MIN_ZOOM} <= z <= ${ACTIVITY_TILE_MAX_ZOOM}` });
+    return;
   }
   try {
-    const db = admin.firestore();
-    const {
-      platform, // 'ios' | 'android'
-      productId,
-      purchaseToken,
-      orderId,
-      signature,
-      receipt,
-      appVersion,
-      device,
-    } = data || {};
-
-    if (!platform || !productId) {
-      throw new HttpsError('invalid-argument', 'platform and productId are required');
-    }
+    const tile = await getActivityTile(admin.firestore(), z, x, y);
+    res.set('Cache-Control', 'public, max-age=60, s-maxage=60');
+    res.status(200).json({ ok: true, ...tile });
+  } catch (e) {
+    console.error('courtActivityTiles error', e);
+    res.status(500).json({ ok: false, error: 'Tile unavailable' });
+  }
+});
 
-    // Optional advanced verification
-    let verification = null;
-    try {
-      if (platform === 'android' && purchaseToken && productId) {
-        const isSub = /sub/i.test(productId) || /monthly|year|week/i.test(productId);
-        verification = await verifyAndroidPurchase({ packageName: data?.packageName || ANDROID_PACKAGE, productId, purchaseToken, isSubscription: isSub });
-      } else if (platform === 'ios' && (receipt || data?.receiptData)) {
-        verification = await verifyAppleReceipt({ receiptData: receipt || data?.receiptData, password: process.env.APPLE_SHARED_SECRET, useSandbox: !!data?.sandbox });
-      }
-    } catch (ve) {
-      console.warn('iapVerify advanced verification failed', ve);
+/**
+ * Scheduled: Drop cached activity tiles past their expiresAt (see COURT ACTIVITY TILES)
+ */
+exports.pruneActivityTiles = onSchedule({ region: REGION, schedule: 'every 1 hours', timeZone: 'Etc/UTC' }, async (event) => {
+  const db = admin.firestore();
+  const nowIso = new Date().toISOString();
+  let pruned = 0;
+  try {
+    for (;;) {
+      const snap = await db.collection(ACTIVITY_TILES_COLL).where('expiresAt', '<', nowIso).limit(400).get();
+      if (snap.empty) break;
+      const batch = db.batch();
+      snap.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+      pruned += snap.size;
+      if (snap.size < 400) break;
     }
-
-    const nowIso = new Date().toISOString();
-    const doc = {
-      uid: auth.uid,
-      createdAt: nowIso,
-      platform: String(platform),
-      productId: String(productId),
-      orderId: orderId ? String(orderId) : null,
-      purchaseToken: purchaseToken ? String(purchaseToken) : null,
-      signature: signature ? String(signature) : null,
-      // limit to avoid giant writes
-      receipt: receipt ? String(receipt).slice(0, 4000) : null,
-      status: verification?.ok ? (verification.active ? 'verified_active' : 'verified_inactive') : 'recorded',
-      verification: verification || null,
-      appVersion: appVersion || null,
-      device: device || null,
-    };
-    await db.collection('iapReceipts').add(doc);
-    return { ok: true, status: doc.status, verification };
+    console.log(`pruneActivityTiles: pruned=${pruned}`);
+    return null;
   } catch (e) {
-    console.error('iapVerify error', e);
-    throw new HttpsError('internal', e?.message || 'Unhandled error');
+    console.warn('pruneActivityTiles error', e);
+    return null;
   }
 });
 
 /**
- * Storage Trigger: Generate medium thumbnail on new image upload
- * - Skips non-images and already-generated thumbnails
- * - Writes to thumbnails/medium-<filename>.jpg with long cache headers
+ * ========================
+ * PARK SEARCH INDEX
+ * ========================
+ * Our own catalogue answers text searches before Google Places is consulted.
+ *
+ *   parkSearch/{parkId} { parkId, name, address, city, state, latitude, longitude, geohash,
+ *                         tokens: [...], keys: [...], visible, updatedAt }
+ *
+ * tokens are normalized words from name, parkAliases aliases, city and state. keys add every
+ * prefix (PARK_SEARCH_MIN_PREFIX+ chars) and, for longer words, every single-character
+ * deletion, so one array-contains-any query finds prefix matches and one-edit typos
+ * (symmetric-deletion matching). Candidates are re-scored with edit distance in memory.
+ * With a location bias the query is narrowed to the geohash cover of the bias circle (see
+ * NEARBY PARKS) and only parks inside it are returned, so a strong hit across the country
+ * can't stand in for a local one and keep Google from being asked.
+ * Entries indexed before geohash was stored need a parkSearchBackfill run with restart: true.
+ *
+ * Maintained by indexParkSearchOnWrite / indexParkSearchOnAliasWrite; existing parks are
+ * indexed with the parkSearchBackfill admin callable.
  */
-exports.onImageFinalize = onObjectFinalized({ bucket: 'courthub-app.firebasestorage.app', region: REGION, timeoutSeconds: 120, memory: '1GiB' },
-  async (event) => {
-    try {
-      const object = event.data || {};
-      const contentType = object.contentType || '';
-      if (!contentType.startsWith('image/')) return null;
-      const filePath = object.name || '';
-      if (!filePath || filePath.includes('/thumbnails/')) return null;
-      // If you want to restrict which folders get thumbnails, uncomment the next line
-      // if (!IMAGE_PREFIXES.some(p => filePath.startsWith(p))) return null;
+const PARK_SEARCH_COLL = 'parkSearch';
+const PARK_SEARCH_MIN_PREFIX = 2;
+const PARK_SEARCH_MAX_TOKEN = 12;
+const PARK_SEARCH_TYPO_MIN_LEN = 5;
+const PARK_SEARCH_CANDIDATES = 200;
+const PARK_SEARCH_MIN_LOCAL_RESULTS = 5; // fewer strong local hits -> also ask Google
+const PARK_SEARCH_STRONG_SCORE = 0.75;
+// Words that don't identify a park on their own; never used as the query anchor
+const PARK_SEARCH_STOPWORDS = new Set(['the', 'of', 'at', 'and', 'park', 'parks', 'court', 'courts', 'basketball', 'tennis', 'pickleball', 'near', 'in']);
+
+function parkSearchTokens(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(t => t.slice(0, PARK_SEARCH_MAX_TOKEN));
+}
 
-      const bucket = admin.storage().bucket(object.bucket);
-      const fileName = path.basename(filePath);
-      const destPath = `${THUMB_PREFIX}medium-${fileName}.jpg`;
+function tokenDeletions(token) {
+  const out = [];
+  for (let i = 0; i < token.length; i++) out.push(token.slice(0, i) + token.slice(i + 1));
+  return out;
+}
+
+function parkSearchKeys(tokens) {
+  const keys = new Set();
+  for (const t of tokens) {
+    for (let n = PARK_SEARCH_MIN_PREFIX; n <= t.length; n++) keys.add(t.slice(0, n));
+    if (t.length >= PARK_SEARCH_TYPO_MIN_LEN) tokenDeletions(t).forEach(d => keys.add(d));
+  }
+  return Array.from(keys);
+}
 
-      // Idempotency: if exists, skip
-      const [exists] = await bucket.file(destPath).exists();
-      if (exists) return null;
+// Optimal-string-alignment distance (adjacent swaps count as one edit), capped at max + 1
+function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
 
-      const tmpSrc = path.join(os.tmpdir(), `src-${Date.now()}-${fileName}`);
-      const tmpDst = path.join(os.tmpdir(), `dst-${Date.now()}-${fileName}.jpg`);
+// 1 exact, 0.85 prefix (query still being typed), 0.6/0.4 for one/two edits, else 0
+function tokenMatchScore(queryToken, docToken) {
+  if (queryToken === docToken) return 1;
+  if (queryToken.length >= PARK_SEARCH_MIN_PREFIX && docToken.startsWith(queryToken)) return 0.85;
+  if (queryToken.length < 4) return 0;
+  const d = editDistance(queryToken, docToken, 2);
+  if (d === 1) return 0.6;
+  if (d === 2 && queryToken.length >= 8) return 0.4;
+  return 0;
+}
 
-      await bucket.file(filePath).download({ destination: tmpSrc });
+async function buildParkSearchEntry(db, parkId, park) {
+  const aliases = [];
+  try {
+    const snap = await db.collection('parkAliases').where('parkId', '==', parkId).limit(20).get();
+    snap.forEach(d => { if (d.get('alias')) aliases.push(String(d.get('alias'))); });
+  } catch (_) {}
+  const tokens = Array.from(new Set([
+    ...parkSearchTokens(park.name),
+    ...aliases.flatMap(parkSearchTokens),
+    ...parkSearchTokens(park.city),
+    ...parkSearchTokens(park.state),
+  ]));
+  return {
+    parkId,
+    name: String(park.name || ''),
+    address: String(park.address || ''),
+    city: String(park.city || ''),
+    state: String(park.state || ''),
+    latitude: Number(park.latitude),
+    longitude: Number(park.longitude),
+    geohash: isFinite(Number(park.latitude)) && isFinite(Number(park.longitude)) ? geohashEncode(Number(park.latitude), Number(park.longitude)) : null,
+    tokens,
+    keys: parkSearchKeys(tokens),
+    visible: parkIsPubliclyVisible(park) && !park.dupOf,
+    updatedAt: new Date().toISOString(),
+  };
+}
 
-      // Lazy import sharp to avoid cold start overhead in unrelated functions
-      const sharp = (await import('sharp')).default;
-      await sharp(tmpSrc)
-        .rotate()
-        .resize({ width: 1280, withoutEnlargement: true })
-        .jpeg({ quality: 80 })
-        .toFile(tmpDst);
+async function indexParkForSearch(db, parkId, park) {
+  const ref = db.collection(PARK_SEARCH_COLL).doc(parkId);
+  if (!park) {
+    await ref.delete().catch(() => {});
+    return;
+  }
+  await ref.set(await buildParkSearchEntry(db, parkId, park));
+}
 
-      await bucket.upload(tmpDst, {
-        destination: destPath,
-        metadata: {
-          contentType: 'image/jpeg',
-          cacheControl: 'public, max-age=31536000, s-maxage=31536000',
-        },
-      });
+function parkSearchSignature(park) {
+  if (!park) return null;
+  return JSON.stringify([park.name, park.address, park.city, park.state, park.latitude, park.longitude, park.approved, park.reviewStatus, park.dupOf || null]);
+}
 
-      try { fs.unlinkSync(tmpSrc); } catch (_) {}
-      try { fs.unlinkSync(tmpDst); } catch (_) {}
-      return null;
+/**
+ * Firestore Trigger: Re-index a park for search when its searchable fields change.
+ */
+exports.indexParkSearchOnWrite = functions.firestore
+  .document('parks/{parkId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    if (parkSearchSignature(before) === parkSearchSignature(after)) return null;
+    try {
+      await indexParkForSearch(admin.firestore(), context.params.parkId, after);
     } catch (e) {
-      console.error('onImageFinalize error', e);
-      return null;
+      console.warn('indexParkSearchOnWrite error', e?.message || e);
     }
-  }
-);
+    return null;
+  });
 
 /**
- * Scheduled: Prune thumbnails older than 30 days (limits to ~400 deletions/run)
+ * Firestore Trigger: Re-index the aliased park when a parkAliases doc changes.
  */
-exports.pruneOldImages = onSchedule({ region: REGION, schedule: 'every 24 hours', timeZone: 'Etc/UTC' }, async (event) => {
-  const bucket = admin.storage().bucket();
-  let totalDeleted = 0;
-  try {
-    for (const cfg of PREFIX_TTLS) {
-      const prefix = cfg.prefix;
-      const cutoff = Date.now() - (cfg.days * 24 * 60 * 60 * 1000);
-      const [files] = await bucket.getFiles({ prefix });
-      let deleted = 0;
-      for (const f of files) {
-        if (deleted >= 400) break; // per-prefix safety cap
-        try {
-          const [meta] = await f.getMetadata();
-          const t = new Date(meta.timeCreated || meta.updated || 0).getTime();
-          if (t && t < cutoff) {
-            await f.delete();
-            deleted += 1;
-            totalDeleted += 1;
-          }
-        } catch (_) {}
+exports.indexParkSearchOnAliasWrite = functions.firestore
+  .document('parkAliases/{aliasId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : {};
+    const after = change.after.exists ? change.after.data() : {};
+    if (before.alias === after.alias && before.parkId === after.parkId) return null;
+    const db = admin.firestore();
+    const parkIds = new Set([before.parkId, after.parkId].filter(Boolean).map(String));
+    for (const parkId of parkIds) {
+      try {
+        const snap = await db.collection('parks').doc(parkId).get();
+        await indexParkForSearch(db, parkId, snap.exists ? snap.data() : null);
+      } catch (e) {
+        console.warn('indexParkSearchOnAliasWrite error', parkId, e?.message || e);
       }
-      console.log(`pruneOldImages: prefix=${prefix} deleted=${deleted}`);
     }
-    console.log(`pruneOldImages: totalDeleted=${totalDeleted}`);
-    return null;
-  } catch (e) {
-    console.warn('pruneOldImages error', e);
     return null;
+  });
+
+/**
+ * Callable (owner/admin): Build parkSearch entries for one page of parks.
+ * Cursor lives in jobs/backfill_park_search; call repeatedly until done: true.
+ * data: { pageSize = 300, restart = false }
+ */
+exports.parkSearchBackfill = onCall({ region: REGION, timeoutSeconds: 540, memory: '512MiB' }, async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in required');
+  const db = admin.firestore();
+  if (!(await isOwnerOrAdmin(db, request.auth.uid))) throw new HttpsError('permission-denied', 'Admin only');
+  const pageSize = Math.max(50, Math.min(500, Number(request.data?.pageSize) || 300));
+  const ckptRef = db.collection('jobs').doc('backfill_park_search');
+  const ckpt = request.data?.restart ? {} : ((await ckptRef.get()).data() || {});
+
+  let q = db.collection('parks').orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+  if (ckpt.lastDocId) q = q.startAfter(ckpt.lastDocId);
+  const snap = await q.get();
+  let batch = db.batch();
+  let writes = 0;
+  for (const doc of snap.docs) {
+    batch.set(db.collection(PARK_SEARCH_COLL).doc(doc.id), await buildParkSearchEntry(db, doc.id, doc.data() || {}));
+    writes += 1;
+    if (writes >= 400) { await batch.commit(); batch = db.batch(); writes = 0; }
   }
+  if (writes > 0) await batch.commit();
+
+  const done = snap.size < pageSize;
+  const indexed = Number(ckpt.indexed || 0) + snap.size;
+  await ckptRef.set({
+    status: done ? 'done' : 'in_progress',
+    lastDocId: done ? null : snap.docs[snap.docs.length - 1].id,
+    indexed,
+    lastHeartbeatAt: new Date().toISOString(),
+    ...(done ? { completedAt: new Date().toISOString() } : {}),
+  }, { merge: true });
+  return { ok: true, done, pageIndexed: snap.size, indexed };
 });
+
+/**
+ * Candidate entries for the anchor keys; inside the bias circle only when biasMiles is given
+ */
+async function parkSearchCandidates(db, keys, bias, biasMiles) {
+  const base = db.collection(PARK_SEARCH_COLL).where('keys', 'array-contains-any', keys.slice(0, 30));
+  if (!biasMiles) return (await base.limit(PARK_SEARCH_CANDIDATES).get()).docs;
+  const snaps = await Promise.all(geohashCoverPrefixes(bias.lat, bias.lng, biasMiles).map(prefix => base
+    .orderBy('geohash')
+    .startAt(prefix)
+    .endAt(`${prefix}~`)
+    .limit(PARK_SEARCH_CANDIDATES)
+    .get()));
+  const seen = new Set();
+  return snaps.flatMap(snap => snap.docs).filter(doc => !seen.has(doc.id) && seen.add(doc.id));
+}
+
+// Average best match per query token (0..1); 0 when the anchor token matches nothing
+function parkSearchTextScore(tokens, anchor, docTokens) {
+  let total = 0;
+  let anchorScore = 0;
+  for (const qt of tokens) {
+    const best = docTokens.reduce((m, dt) => Math.max(m, tokenMatchScore(qt, dt)), 0);
+    if (qt === anchor) anchorScore = best;
+    // Generic words the park doesn't contain shouldn't sink an otherwise good match
+    total += (best === 0 && PARK_SEARCH_STOPWORDS.has(qt)) ? 0.5 : best;
+  }
+  return anchorScore === 0 ? 0 : total / tokens.length;
+}
+
+/**
+ * Searches the local catalogue. Returns places in the gateway's standard shape
+ * ({ id, displayName, formattedAddress, location, provider }) plus parkId/score,
+ * best first. bias ({ lat, lng, radius? meters, default 25 miles, max NEARBY_MAX_RADIUS_MILES })
+ * restricts results to parks within the radius and nudges nearer ones up.
+ */
+async function searchParkCatalog(db, text, bias, limit = 20) {
+  const tokens = parkSearchTokens(text);
+  const meaningful = tokens.filter(t => !PARK_SEARCH_STOPWORDS.has(t));
+  const anchor = (meaningful.length ? meaningful : tokens).slice().sort((a, b) => b.length - a.length)[0];
+  if (!anchor || anchor.length < PARK_SEARCH_MIN_PREFIX) return [];
+
+  const keys = new Set([anchor]);
+  if (anchor.length >= PARK_SEARCH_TYPO_MIN_LEN) tokenDeletions(anchor).forEach(d => keys.add(d));
+  const hasBias = !!bias && isFinite(bias.lat) && isFinite(bias.lng);
+  const biasMiles = hasBias ? Math.min(NEARBY_MAX_RADIUS_MILES, bias.radius ? Math.max(1, bias.radius / 1609.34) : 25) : 0;
+  const docs = await parkSearchCandidates(db, Array.from(keys), bias, biasMiles);
+
+  const scored = [];
+  docs.forEach((doc) => {
+    const d = doc.data() || {};
+    if (!d.visible) return;
+    let miles = null;
+    if (hasBias) {
+      miles = haversineMiles(bias.lat, bias.lng, Number(d.latitude), Number(d.longitude));
+      if (!(miles <= biasMiles)) return;
+    }
+    let score = parkSearchTextScore(tokens, anchor, Array.isArray(d.tokens) ? d.tokens : []);
+    if (score === 0) return;
+    if (miles !== null) score += 0.15 * Math.max(0, 1 - miles / biasMiles);
+    scored.push({
+      id: `park:${doc.id}`,
+      displayName: d.name,
+      formattedAddress: d.address || [d.city, d.state].filter(Boolean).join(', '),
+      location: { latitude: d.latitude, longitude: d.longitude },
+      provider: 'local',
+      parkId: doc.id,
+      aliasParkId: doc.id,
+      aliasMatch: true,
+      score: Math.round(score * 1000) / 1000,
+    });
+  });
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit);
+}
+
+function localSearchIsSufficient(localPlaces, wanted = PARK_SEARCH_MIN_LOCAL_RESULTS) {
+  return localPlaces.filter(p => p.score >= PARK_SEARCH_STRONG_SCORE).length >= wanted;
+}
+
+// Local parks first, then provider results that don't link to one of them
+function mergeLocalAndProviderPlaces(localPlaces, providerPlaces) {
+  const localIds = new Set(localPlaces.map(p => p.parkId));
+  const rest = (providerPlaces || []).filter(p => !(p.aliasParkId && localIds.has(p.aliasParkId)));
+  return [...localPlaces, ...rest];
+}
+
+// Module-private helpers, exposed to the unit tests in test/ only
+if (process.env.NODE_ENV === 'test') {
+  exports._test = {
+    geohashEncode,
+    geohashCellSize,
+    geohashCoverPrefixes,
+    haversineMiles,
+    localHourIn,
+    isInQuietHours,
+    preferenceBlockReason,
+    parkGeoFields,
+    parkGeoFieldsChanged,
+    NEARBY_MAX_CELLS,
+    NEARBY_MAX_RADIUS_MILES,
+    parkSearchTokens,
+    parkSearchKeys,
+    editDistance,
+    tokenMatchScore,
+    parkSearchTextScore,
+    buildParkSearchEntry,
+    searchParkCatalog,
+    localSearchIsSufficient,
+    PARK_SEARCH_STRONG_SCORE,
+    takeBucketToken,
+    rateLimitIdentity,
+    lastForwardedHop,
+    enforceGeoRateLimit,
+    GEO_PROVIDERS,
+    geoProviderCall,
+    recordGeoProviderOutcome,
+    geoProviderHealthCache,
+    GEO_PROVIDER_FAILURE_THRESHOLD,
+    queueMaxLengthForCourt,
+    isQueueEntryStale,
+    QUEUE_TIMEOUT_MINUTES,
+    gameRoster,
+    gameMaxPlayers,
+    rosterUpdate,
+    GAME_WAITLIST_MAX,
+    summarizeEntitlementSources,
+    entitlementSourceKey,
+    writeEntitlementSource,
+    isPremium,
+    reconcileEntitlement,
+    runReconcileEntitlementsBatch,
+    MANUAL_GRANT_SOURCE_KEY,
+    iapEventFinishFields,
+    verifyPubSubPushToken,
+    findReceiptByPurchaseToken,
+    recordAndProcessPlayRtdn,
+    iapTokenKey,
+    IAP_UNMATCHED_MAX_ATTEMPTS,
+    claimAppleSignedDate,
+    isFreshStoreRestore,
+    claimIapToken,
+    IAP_TOKEN_OWNED_ELSEWHERE,
+    IAP_TOKEN_TRANSFER_COOLDOWN,
+    IAP_TOKEN_RESTORE_REQUIRED,
+    IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES,
+    androidProductIsSubscription,
+    ENTITLEMENT_REVERIFY_MAX_FAILURES,
+    androidAckNextAttemptAt,
+    acknowledgeReceiptIfNeeded,
+    imageUploadFormat,
+    imageUploaderUid,
+    isSanitizedObject,
+    sanitizeUpload,
+    IMAGE_MAX_BYTES,
+    renditionPath,
+    imageOwnerForPath,
+    getImagePipelineConfig,
+    generateImageRenditions,
+    IMAGE_RENDITIONS_DEFAULT,
+    getImageModerationConfig,
+    moderationStatusForScore,
+    submitImageForModeration,
+    applyModerationDecision,
+    photoAutoFeatureCandidate,
+    tileToLat,
+    tileToLng,
+    lngLatToTile,
+    activeQueueLength,
+    computeActivityTile,
+    getActivityTile,
+    storagePathFromReference,
+    IMAGE_GC_DEFAULT_PREFIXES,
+  };
+}
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { tileToLat, tileToLng, lngLatToTile, activeQueueLength, computeActivityTile, getActivityTile, geohashEncode } = internals;
+
+const MINUTE = 60000;
+
+test('lngLatToTile matches the slippy-map scheme', () => {
+  assert.deepEqual(lngLatToTile(-74.006, 40.7128, 10), { x: 301, y: 385 });
+  assert.deepEqual(lngLatToTile(0, 0, 3), { x: 4, y: 4 });
+  // Poles and the antimeridian clamp into the grid
+  assert.deepEqual(lngLatToTile(180, 89.9, 3), { x: 7, y: 0 });
+  assert.deepEqual(lngLatToTile(-180, -89.9, 3), { x: 0, y: 7 });
+});
+
+test('a point falls inside the bounds of its own tile', () => {
+  for (const [lng, lat, z] of [[-74.006, 40.7128, 13], [151.2093, -33.8688, 9], [-0.1276, 51.5072, 16]]) {
+    const { x, y } = lngLatToTile(lng, lat, z);
+    assert.ok(lat <= tileToLat(y, z) && lat > tileToLat(y + 1, z), `lat ${lat} at z${z}`);
+    assert.ok(lng >= tileToLng(x, z) && lng < tileToLng(x + 1, z), `lng ${lng} at z${z}`);
+  }
+});
+
+test('activeQueueLength ignores stale and undated entries', () => {
+  const now = Date.parse('2026-01-15T18:00:00Z');
+  const iso = (ms) => new Date(ms).toISOString();
+  const court = { gotNextQueue: [
+    { joinedAt: iso(now - 5 * MINUTE) },
+    { joinedAt: iso(now - 90 * MINUTE), lastActivity: iso(now - 10 * MINUTE) },
+    { joinedAt: iso(now - 61 * MINUTE) },
+    {},
+  ] };
+  assert.equal(activeQueueLength(court, now), 2);
+  assert.equal(activeQueueLength({}, now), 0);
+});
+
+async function seedPark(id, lat, lng, fields) {
+  await admin.firestore().collection('parks').doc(id).set({ latitude: lat, longitude: lng, geohash: geohashEncode(lat, lng), liveActive: true, ...fields });
+}
+
+test('parks are aggregated per cell; idle, hidden and outside parks are left out', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const { x, y } = lngLatToTile(-74.006, 40.7128, 13);
+  await seedPark('a', 40.71, -74.01, { courts: [{ playerCount: 3 }] });
+  await seedPark('b', 40.7101, -74.0101, { courts: [{ playerCount: 0, gotNextQueue: [{ joinedAt: new Date().toISOString() }] }] });
+  await seedPark('idle', 40.69, -74.04, { courts: [{ playerCount: 0 }] });
+  await seedPark('hidden', 40.7, -74.02, { approved: false, courts: [{ playerCount: 5 }] });
+  await seedPark('outside', 40.75, -73.98, { courts: [{ playerCount: 7 }] });
+
+  const tile = await computeActivityTile(db, 13, x, y);
+  assert.deepEqual(tile.totals, { players: 3, queued: 1, parks: 2 });
+  assert.equal(tile.truncated, false);
+  assert.equal(tile.cells.length, 1);
+  const [cell] = tile.cells;
+  assert.deepEqual([cell.z, cell.x, cell.y], [16, ...Object.values(lngLatToTile(-74.01, 40.71, 16))]);
+  assert.deepEqual([cell.players, cell.queued, cell.parks], [3, 1, 2]);
+  // Centroid weighted by players + queued
+  assert.equal(cell.latitude, Math.round(((40.71 * 3 + 40.7101) / 4) * 1e5) / 1e5);
+  assert.equal(cell.longitude, Math.round(((-74.01 * 3 - 74.0101) / 4) * 1e5) / 1e5);
+});
+
+test('empty tiles are not cached; busy ones are reused within the minute', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const { x, y } = lngLatToTile(-74.006, 40.7128, 13);
+
+  const empty = await getActivityTile(db, 13, x, y);
+  assert.equal(empty.totals.parks, 0);
+  assert.equal((await db.collection('activityTiles').doc(`13_${x}_${y}`).get()).exists, false);
+
+  await seedPark('a', 40.71, -74.01, { courts: [{ playerCount: 2 }] });
+  const first = await getActivityTile(db, 13, x, y);
+  assert.equal(first.cached, false);
+  assert.equal((await db.collection('activityTiles').doc(`13_${x}_${y}`).get()).exists, true);
+  const second = await getActivityTile(db, 13, x, y);
+  // Can roll over to a new minute between the two calls
+  if (second.minute === first.minute) assert.equal(second.cached, true);
+  assert.deepEqual(second.totals, first.totals);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { androidAckNextAttemptAt, acknowledgeReceiptIfNeeded } = internals;
+
+const MINUTE = 60000;
+
+test('androidAckNextAttemptAt doubles from 15 minutes up to 6 hours', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const delay = (runs) => (Date.parse(androidAckNextAttemptAt(runs, now)) - now.getTime()) / MINUTE;
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 10].map(delay), [15, 30, 60, 120, 240, 360, 360]);
+  assert.equal(delay(-3), 15);
+});
+
+test('acknowledgeReceiptIfNeeded skips unverified or inactive purchases', async () => {
+  const ref = { get: () => { throw new Error('should not read'); }, set: () => { throw new Error('should not write'); } };
+  assert.equal(await acknowledgeReceiptIfNeeded(ref, { productId: 'p', purchaseToken: 't', verification: { ok: false } }), null);
+  assert.equal(await acknowledgeReceiptIfNeeded(ref, { productId: 'p', purchaseToken: 't', verification: { ok: true, active: false } }), null);
+  assert.equal(await acknowledgeReceiptIfNeeded(ref, { productId: 'p', verification: { ok: true, active: true } }), null);
+});
+
+test('acknowledgeReceiptIfNeeded records purchases Play already acknowledged', emulatorOnly, async () => {
+  await clearFirestore();
+  const ref = admin.firestore().collection('iapReceipts').doc('r1');
+  await ref.set({ purchaseToken: 't', productId: 'premium_monthly', acknowledgement: { state: 'failed', totalAttempts: 4 } });
+  const ack = await acknowledgeReceiptIfNeeded(ref, {
+    productId: 'premium_monthly', purchaseToken: 't', isSubscription: true, retryRuns: 2,
+    verification: { ok: true, active: true, acknowledged: true },
+  });
+  assert.equal(ack.state, 'already_acknowledged');
+  const saved = (await ref.get()).data().acknowledgement;
+  assert.deepEqual([saved.state, saved.totalAttempts, saved.retryRuns, saved.nextAttemptAt], ['already_acknowledged', 4, 2, null]);
+});
+
+test('the acknowledgement retry job abandons receipts past the refund window only when due', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const old = new Date(Date.now() - 4 * 24 * 60 * MINUTE).toISOString();
+  const due = new Date(Date.now() - MINUTE).toISOString();
+  const later = new Date(Date.now() + 60 * MINUTE).toISOString();
+  await db.collection('iapReceipts').doc('due').set({ createdAt: old, acknowledgement: { state: 'failed', nextAttemptAt: due } });
+  await db.collection('iapReceipts').doc('later').set({ createdAt: old, acknowledgement: { state: 'failed', nextAttemptAt: later } });
+
+  await fns.scheduledRetryAndroidAcknowledgements.run({});
+
+  const state = async (id) => (await db.collection('iapReceipts').doc(id).get()).data().acknowledgement.state;
+  assert.equal(await state('due'), 'abandoned');
+  assert.equal(await state('later'), 'failed');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { reconcileEntitlement, runReconcileEntitlementsBatch, entitlementSourceKey, androidProductIsSubscription, ENTITLEMENT_REVERIFY_MAX_FAILURES } = internals;
+
+const HOUR = 3600000;
+const key = entitlementSourceKey('android', 'premium_monthly');
+
+// Android source whose receipt is missing, so re-verification fails without calling Play
+async function seedExpiring(source) {
+  const db = admin.firestore();
+  await db.collection('entitlements').doc('u1').set({
+    uid: 'u1',
+    active: true,
+    sources: { [key]: { platform: 'android', productId: 'premium_monthly', active: true, receiptId: 'gone', status: 'active', ...source } },
+  });
+  return db.collection('entitlements').doc('u1').get();
+}
+
+async function readSource() {
+  return (await admin.firestore().collection('entitlements').doc('u1').get()).data().sources[key];
+}
+
+test('androidProductIsSubscription follows the product naming convention', () => {
+  assert.equal(androidProductIsSubscription('premium_monthly'), true);
+  assert.equal(androidProductIsSubscription('premium_yearly'), true);
+  assert.equal(androidProductIsSubscription('hoopsight_sub_1'), true);
+  assert.equal(androidProductIsSubscription('premium_lifetime'), false);
+});
+
+test('a verify error keeps the source, extends into grace and counts the failure', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const storeExpiry = Date.now() - HOUR;
+  const entDoc = await seedExpiring({ expiresAt: new Date(storeExpiry).toISOString() });
+
+  const outcome = await reconcileEntitlement(db, entDoc, { graceDays: 3, horizonMs: 24 * HOUR, now: new Date() });
+  assert.equal(outcome, 'retry');
+  const src = await readSource();
+  assert.deepEqual([src.active, src.status, src.reverifyFailures, src.reverifyError], [true, 'grace_period', 1, 'missing_receipt']);
+  assert.equal(Date.parse(src.storeExpiresAt), storeExpiry);
+  assert.ok(Date.parse(src.expiresAt) > Date.now());
+  const ent = (await db.collection('entitlements').doc('u1').get()).data();
+  assert.equal(ent.active, true);
+});
+
+test('a source that stays unverifiable past grace lapses as unverified', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const expired = new Date(Date.now() - 10 * 24 * HOUR).toISOString();
+  const entDoc = await seedExpiring({ expiresAt: expired, reverifyFailures: ENTITLEMENT_REVERIFY_MAX_FAILURES - 1 });
+
+  const outcome = await reconcileEntitlement(db, entDoc, { graceDays: 3, horizonMs: 24 * HOUR, now: new Date() });
+  assert.equal(outcome, 'downgraded');
+  const src = await readSource();
+  assert.deepEqual([src.active, src.status], [false, 'lapsed_unverified']);
+  assert.equal((await db.collection('entitlements').doc('u1').get()).data().active, false);
+});
+
+test('retries keep an unverifiable source in the reconcile query until the failure cap', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const start = Date.now();
+  const expiresAt = new Date(start - HOUR).toISOString();
+  await seedExpiring({ expiresAt });
+  await db.collection('entitlements').doc('u1').set({ premiumUntil: expiresAt }, { merge: true });
+
+  // One pass per 6-hourly run; the 3-day grace runs out long before the cap
+  let runs = 0;
+  let attempts = 0;
+  let src = await readSource();
+  while (src.status !== 'lapsed_unverified' && runs < 60) {
+    const out = await runReconcileEntitlementsBatch(db, { resume: false, now: new Date(start + runs * 6 * HOUR) });
+    runs += 1;
+    attempts += out.scanned;
+    src = await readSource();
+    if (src.status !== 'lapsed_unverified') assert.equal(src.active, true, `lapsed early on run ${runs}`);
+  }
+  assert.equal(src.status, 'lapsed_unverified');
+  assert.equal(src.active, false);
+  assert.equal(attempts, ENTITLEMENT_REVERIFY_MAX_FAILURES);
+  assert.ok(runs * 6 > 3 * 24, 'capped before grace was over');
+  assert.equal((await db.collection('entitlements').doc('u1').get()).data().active, false);
+});
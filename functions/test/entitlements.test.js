@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, admin, emulatorOnly, clearFirestore, httpsError } = require('./helpers');
+
+const {
+  summarizeEntitlementSources, entitlementSourceKey, writeEntitlementSource, isPremium,
+  reconcileEntitlement, MANUAL_GRANT_SOURCE_KEY,
+} = internals;
+
+const now = new Date('2026-06-01T00:00:00Z');
+const inDays = (d) => new Date(now.getTime() + d * 86400000).toISOString();
+
+test('summarizeEntitlementSources takes the latest active expiry', () => {
+  assert.deepEqual(summarizeEntitlementSources({}, now), { active: false, planTier: 'free', premiumUntil: null });
+  assert.deepEqual(summarizeEntitlementSources({
+    a: { active: true, expiresAt: inDays(3) },
+    b: { active: true, expiresAt: inDays(10) },
+    c: { active: false, expiresAt: inDays(30) },
+    d: { active: true, expiresAt: inDays(-1) },
+  }, now), { active: true, planTier: 'premium', premiumUntil: inDays(10) });
+});
+
+test('summarizeEntitlementSources treats an active source without expiry as lifetime', () => {
+  assert.deepEqual(summarizeEntitlementSources({
+    a: { active: true, expiresAt: inDays(3) },
+    [MANUAL_GRANT_SOURCE_KEY]: { active: true, expiresAt: null },
+  }, now), { active: true, planTier: 'premium', premiumUntil: null });
+});
+
+test('entitlementSourceKey keeps keys usable as map fields', () => {
+  assert.equal(entitlementSourceKey('android', 'com.courthub.premium/monthly'), 'android:com_courthub_premium_monthly');
+});
+
+test('entitlement sources drive isPremium and the user mirror', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  await db.collection('users').doc('u1').set({ displayName: 'U1', planTier: 'premium', premiumUntil: inDays(999) });
+  assert.equal(await isPremium(db, 'u1'), false, 'user doc fields are display only');
+
+  const key = entitlementSourceKey('android', 'premium_monthly');
+  const expiresAt = new Date(Date.now() + 86400000).toISOString();
+  const summary = await writeEntitlementSource(db, 'u1', key, { platform: 'android', productId: 'premium_monthly', active: true, expiresAt });
+  assert.deepEqual(summary, { active: true, planTier: 'premium', premiumUntil: expiresAt });
+  assert.equal(await isPremium(db, 'u1'), true);
+  const user = (await db.collection('users').doc('u1').get()).data();
+  assert.deepEqual([user.planTier, user.premiumUntil, user.planSource, user.displayName], ['premium', expiresAt, 'entitlements', 'U1']);
+
+  await writeEntitlementSource(db, 'u1', key, null);
+  assert.equal(await isPremium(db, 'u1'), false);
+  const ent = (await db.collection('entitlements').doc('u1').get()).data();
+  assert.deepEqual(ent.sources, {});
+});
+
+test('adminSetPremiumGrant is admin only and grants or revokes the manual source', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  await db.collection('users').doc('admin1').set({ isAdmin: true });
+  const call = (uid, data) => fns.adminSetPremiumGrant.run({ auth: uid ? { uid } : undefined, data });
+
+  await assert.rejects(call(null, { uid: 'u1' }), httpsError('unauthenticated'));
+  await assert.rejects(call('u1', { uid: 'u1' }), httpsError('permission-denied'));
+  await assert.rejects(call('admin1', { uid: 'u1', until: '2000-01-01' }), httpsError('invalid-argument'));
+
+  const granted = await call('admin1', { uid: 'u1', note: 'tournament prize' });
+  assert.deepEqual([granted.active, granted.premiumUntil], [true, null]);
+  const src = (await db.collection('entitlements').doc('u1').get()).data().sources[MANUAL_GRANT_SOURCE_KEY];
+  assert.deepEqual([src.grantedBy, src.note], ['admin1', 'tournament prize']);
+  assert.equal(await isPremium(db, 'u1'), true);
+
+  const revoked = await call('admin1', { uid: 'u1', revoke: true });
+  assert.deepEqual([revoked.revoked, revoked.active], [true, false]);
+  assert.equal(await isPremium(db, 'u1'), false);
+});
+
+test('reconcileEntitlement expires a lapsed manual grant without asking a store', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const past = new Date(Date.now() - 60000).toISOString();
+  await db.collection('entitlements').doc('u1').set({
+    uid: 'u1', active: true, planTier: 'premium', premiumUntil: past,
+    sources: { [MANUAL_GRANT_SOURCE_KEY]: { platform: 'manual', productId: 'grant', active: true, expiresAt: past } },
+  });
+  const entDoc = await db.collection('entitlements').doc('u1').get();
+  const outcome = await reconcileEntitlement(db, entDoc, { graceDays: 3, horizonMs: 86400000, now: new Date() });
+  assert.equal(outcome, 'downgraded');
+  const ent = (await db.collection('entitlements').doc('u1').get()).data();
+  assert.deepEqual([ent.active, ent.sources[MANUAL_GRANT_SOURCE_KEY].status], [false, 'expired']);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, admin, emulatorOnly, clearFirestore, httpsError } = require('./helpers');
+
+const { gameRoster, gameMaxPlayers, rosterUpdate, GAME_WAITLIST_MAX } = internals;
+
+const ctx = (uid) => ({ auth: { uid, token: { name: `Player ${uid}` } } });
+
+async function seedGame(game = {}) {
+  await admin.firestore().collection('games').doc('g1').set({
+    organizerId: 'org',
+    parkName: 'Test Park',
+    status: 'scheduled',
+    maxPlayers: 3,
+    playerIds: ['org'],
+    playerNames: ['Organizer'],
+    ...game,
+  });
+}
+
+async function readGame() {
+  return (await admin.firestore().collection('games').doc('g1').get()).data();
+}
+
+test('gameRoster pairs ids with names and tolerates missing names', () => {
+  assert.deepEqual(gameRoster({ playerIds: ['a', 'b'], playerNames: ['A'] }), [
+    { userId: 'a', userName: 'A' },
+    { userId: 'b', userName: '' },
+  ]);
+  assert.deepEqual(gameRoster({}), []);
+});
+
+test('gameMaxPlayers defaults to the app default', () => {
+  assert.equal(gameMaxPlayers({ maxPlayers: 4 }), 4);
+  assert.equal(gameMaxPlayers({ maxPlayers: '6' }), 6);
+  assert.equal(gameMaxPlayers({ maxPlayers: 0 }), 10);
+  assert.equal(gameMaxPlayers({}), 10);
+});
+
+test('rosterUpdate keeps ids, names and waitlistIds aligned', () => {
+  const out = rosterUpdate([{ userId: 'a', userName: 'A' }], [{ userId: 'w', userName: 'W', joinedAt: 't' }], 'now');
+  assert.deepEqual(out, {
+    playerIds: ['a'],
+    playerNames: ['A'],
+    waitlist: [{ userId: 'w', userName: 'W', joinedAt: 't' }],
+    waitlistIds: ['w'],
+    updatedAt: 'now',
+  });
+});
+
+test('gameJoin and gameLeave require auth and a gameId', async () => {
+  await assert.rejects(fns.gameJoin.run({ gameId: 'g1' }, {}), httpsError('unauthenticated'));
+  await assert.rejects(fns.gameLeave.run({}, ctx('u1')), httpsError('invalid-argument'));
+});
+
+test('concurrent gameJoin calls never exceed maxPlayers', emulatorOnly, async () => {
+  await clearFirestore();
+  await seedGame();
+  const uids = ['u1', 'u2', 'u3', 'u4', 'u5'];
+  const results = await Promise.all(uids.map(uid => fns.gameJoin.run({ gameId: 'g1' }, ctx(uid))));
+  assert.equal(results.filter(r => r.status === 'joined').length, 2);
+  assert.deepEqual(results.filter(r => r.status === 'waitlisted').map(r => r.waitlistPosition).sort(), [1, 2, 3]);
+
+  const game = await readGame();
+  assert.equal(game.playerIds.length, 3);
+  assert.equal(game.playerNames.length, 3);
+  assert.deepEqual(game.waitlistIds, game.waitlist.map(w => w.userId));
+  assert.equal(new Set([...game.playerIds, ...game.waitlistIds]).size, 6);
+
+  const again = await fns.gameJoin.run({ gameId: 'g1' }, ctx(game.waitlistIds[1]));
+  assert.deepEqual([again.status, again.alreadyJoined, again.waitlistPosition], ['waitlisted', true, 2]);
+});
+
+test('gameLeave promotes the waitlist in order', emulatorOnly, async () => {
+  await clearFirestore();
+  await seedGame({
+    playerIds: ['org', 'p1', 'p2'],
+    playerNames: ['Organizer', 'P1', 'P2'],
+    waitlist: [{ userId: 'w1', userName: 'W1', joinedAt: 't1' }, { userId: 'w2', userName: 'W2', joinedAt: 't2' }],
+    waitlistIds: ['w1', 'w2'],
+  });
+
+  const left = await fns.gameLeave.run({ gameId: 'g1' }, ctx('p1'));
+  assert.deepEqual([left.removed, left.promoted], [true, ['w1']]);
+  let game = await readGame();
+  assert.deepEqual(game.playerIds, ['org', 'p2', 'w1']);
+  assert.deepEqual(game.playerNames, ['Organizer', 'P2', 'W1']);
+  assert.deepEqual(game.waitlistIds, ['w2']);
+
+  const unwait = await fns.gameLeave.run({ gameId: 'g1' }, ctx('w2'));
+  assert.deepEqual([unwait.removed, unwait.promoted], [true, []]);
+  game = await readGame();
+  assert.deepEqual(game.waitlistIds, []);
+
+  assert.equal((await fns.gameLeave.run({ gameId: 'g1' }, ctx('nobody'))).removed, false);
+});
+
+test('gameJoin refuses closed games and a full waitlist', emulatorOnly, async () => {
+  await clearFirestore();
+  await seedGame({ status: 'completed' });
+  await assert.rejects(fns.gameJoin.run({ gameId: 'g1' }, ctx('u1')), httpsError('failed-precondition'));
+
+  const waitlist = Array.from({ length: GAME_WAITLIST_MAX }, (_, i) => ({ userId: `w${i}`, userName: '', joinedAt: 't' }));
+  await seedGame({ maxPlayers: 1, waitlist, waitlistIds: waitlist.map(w => w.userId) });
+  await assert.rejects(fns.gameJoin.run({ gameId: 'g1' }, ctx('u1')), httpsError('resource-exhausted'));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { GEO_PROVIDERS, geoProviderCall, recordGeoProviderOutcome, geoProviderHealthCache, GEO_PROVIDER_FAILURE_THRESHOLD } = internals;
+
+const envOrder = process.env.GEO_PROVIDERS;
+const stubCalls = { flaky: 0, backup: 0 };
+
+// flaky always throws; backup answers every query with one place
+GEO_PROVIDERS.flaky = {
+  name: 'flaky',
+  usageField: 'calls',
+  isConfigured: () => true,
+  monthlyCap: () => null,
+  async textSearch() {
+    stubCalls.flaky += 1;
+    throw new Error('flaky is down');
+  },
+};
+GEO_PROVIDERS.backup = {
+  name: 'backup',
+  usageField: 'calls',
+  isConfigured: () => true,
+  monthlyCap: () => null,
+  async textSearch({ text }) {
+    stubCalls.backup += 1;
+    return { result: [{ id: `backup:${text}`, displayName: text }], calls: 1 };
+  },
+};
+
+test.after(() => {
+  delete GEO_PROVIDERS.flaky;
+  delete GEO_PROVIDERS.backup;
+  if (envOrder === undefined) delete process.env.GEO_PROVIDERS;
+  else process.env.GEO_PROVIDERS = envOrder;
+});
+
+async function reset(order) {
+  await clearFirestore();
+  geoProviderHealthCache.clear();
+  stubCalls.flaky = 0;
+  stubCalls.backup = 0;
+  process.env.GEO_PROVIDERS = order;
+}
+
+test('the local provider answers from the fixture', async () => {
+  const { result } = await GEO_PROVIDERS.local.textSearch({ text: 'rucker park' });
+  assert.equal(result[0].id, 'local:rucker-park');
+  assert.equal(result[0].provider, 'local');
+  const none = await GEO_PROVIDERS.local.textSearch({ text: 'zzqx vvqk' });
+  assert.deepEqual(none.result, []);
+});
+
+test('an erroring provider falls through to the next in order', emulatorOnly, async () => {
+  await reset('flaky,local');
+  const db = admin.firestore();
+  const out = await geoProviderCall(db, 'textSearch', { text: 'rucker park' });
+  assert.equal(out.provider, 'local');
+  assert.equal(out.result[0].id, 'local:rucker-park');
+  assert.equal(stubCalls.flaky, 1);
+  const health = (await db.collection('geoProviderHealth').doc('flaky').get()).data();
+  assert.equal(health.consecutiveFailures, 1);
+  assert.equal(health.openUntil, null);
+});
+
+test('a provider over its monthly cap is skipped', emulatorOnly, async () => {
+  await reset('local,backup');
+  const db = admin.firestore();
+  await db.collection('config').doc('app').set({ geoProviders: { local: { monthlyCap: 0 } } });
+  const out = await geoProviderCall(db, 'textSearch', { text: 'rucker park' });
+  assert.equal(out.provider, 'backup');
+  assert.equal(stubCalls.backup, 1);
+
+  process.env.GEO_PROVIDERS = 'local';
+  assert.deepEqual(await geoProviderCall(db, 'textSearch', { text: 'rucker park' }), { result: null, provider: null });
+});
+
+test('repeated failures open the circuit and a success closes it', emulatorOnly, async () => {
+  await reset('flaky,backup');
+  const db = admin.firestore();
+  for (let i = 0; i < GEO_PROVIDER_FAILURE_THRESHOLD; i++) {
+    assert.equal((await geoProviderCall(db, 'textSearch', { text: 'court' })).provider, 'backup');
+  }
+  assert.equal(stubCalls.flaky, GEO_PROVIDER_FAILURE_THRESHOLD);
+  const opened = (await db.collection('geoProviderHealth').doc('flaky').get()).data();
+  assert.ok(Date.parse(opened.openUntil) > Date.now());
+
+  // While open the provider isn't called at all
+  await geoProviderCall(db, 'textSearch', { text: 'court' });
+  assert.equal(stubCalls.flaky, GEO_PROVIDER_FAILURE_THRESHOLD);
+
+  await recordGeoProviderOutcome(db, 'flaky', true);
+  const closed = (await db.collection('geoProviderHealth').doc('flaky').get()).data();
+  assert.deepEqual([closed.consecutiveFailures, closed.openUntil], [0, null]);
+  await geoProviderCall(db, 'textSearch', { text: 'court' });
+  assert.equal(stubCalls.flaky, GEO_PROVIDER_FAILURE_THRESHOLD + 1);
+});
+
+test('an empty result falls through; all empty returns no provider', emulatorOnly, async () => {
+  await reset('local,backup');
+  const db = admin.firestore();
+  const out = await geoProviderCall(db, 'textSearch', { text: 'zzqx vvqk' });
+  assert.equal(out.provider, 'backup');
+  assert.equal(out.result[0].id, 'backup:zzqx vvqk');
+  const usage = await db.collection('billing').doc('usage').collection('local').get();
+  assert.equal(usage.docs[0].data().calls, 1);
+
+  process.env.GEO_PROVIDERS = 'local';
+  assert.deepEqual(await geoProviderCall(db, 'textSearch', { text: 'zzqx vvqk' }), { result: null, provider: null });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, httpsError } = require('./helpers');
+
+const { geohashEncode, geohashCoverPrefixes, haversineMiles, parkGeoFields, parkGeoFieldsChanged, NEARBY_MAX_CELLS, NEARBY_MAX_RADIUS_MILES } = internals;
+
+test('geohashEncode matches known hashes', () => {
+  assert.equal(geohashEncode(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(geohashEncode(40.7128, -74.006, 5), 'dr5re');
+  assert.equal(geohashEncode(-33.8688, 151.2093).length, 9);
+});
+
+test('geohashCoverPrefixes covers every point inside the radius', () => {
+  const centers = [
+    { lat: 40.7128, lng: -74.006 },
+    { lat: 64.8378, lng: -147.7164 }, // high latitude: wide longitude span
+    { lat: 0.0001, lng: 179.99 }, // antimeridian
+  ];
+  for (const c of centers) {
+    for (const radius of [0.5, 5, NEARBY_MAX_RADIUS_MILES]) {
+      const prefixes = geohashCoverPrefixes(c.lat, c.lng, radius);
+      assert.ok(prefixes.length <= NEARBY_MAX_CELLS, `${prefixes.length} cells for ${radius} mi`);
+      for (let bearing = 0; bearing < 360; bearing += 15) {
+        for (const f of [0, 0.5, 0.99]) {
+          const d = radius * f / 69.0;
+          const lat = c.lat + d * Math.cos(bearing * Math.PI / 180);
+          let lng = c.lng + d * Math.sin(bearing * Math.PI / 180) / Math.cos(c.lat * Math.PI / 180);
+          if (lng > 180) lng -= 360;
+          if (haversineMiles(c.lat, c.lng, lat, lng) > radius) continue;
+          const hash = geohashEncode(lat, lng);
+          assert.ok(prefixes.some(p => hash.startsWith(p)), `${hash} not covered (${radius} mi from ${c.lat},${c.lng})`);
+        }
+      }
+    }
+  }
+});
+
+test('haversineMiles measures great-circle distance', () => {
+  assert.equal(haversineMiles(40, -74, 40, -74), 0);
+  const nycToLa = haversineMiles(40.7128, -74.006, 34.0522, -118.2437);
+  assert.ok(Math.abs(nycToLa - 2445) < 10, String(nycToLa));
+});
+
+test('parksNearby requires sign-in or App Check', async () => {
+  await assert.rejects(
+    fns.parksNearby.run({ data: { latitude: 40.7, longitude: -74 }, rawRequest: { headers: {} } }),
+    httpsError('unauthenticated'),
+  );
+});
+
+test('parkGeoFieldsChanged ignores the key order of stored geoFacets', () => {
+  const park = { latitude: 40.7128, longitude: -74.006, courts: [{ sportType: 'tennis', hasLighting: true }, { sportType: 'basketball' }] };
+  const next = parkGeoFields(park);
+  const stored = { ...park, geohash: next.geohash, liveActive: false, geoFacets: { indoor: false, hasLighting: true, sports: ['basketball', 'tennis'] } };
+  assert.equal(parkGeoFieldsChanged(stored, next), false);
+  assert.equal(parkGeoFieldsChanged({ ...stored, geoFacets: { ...stored.geoFacets, sports: ['basketball'] } }, next), true);
+  assert.equal(parkGeoFieldsChanged({ ...stored, geoFacets: { ...stored.geoFacets, indoor: true } }, next), true);
+  assert.equal(parkGeoFieldsChanged({ ...stored, geoFacets: undefined }, next), true);
+});
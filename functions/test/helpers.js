@@ -0,0 +1,25 @@
+// Shared setup for the functions tests. Run with `npm test`; the Firestore-backed tests only
+// run against the emulator (`npm run test:emulator`) and are skipped otherwise.
+process.env.NODE_ENV = 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-courthub';
+process.env.ANDROID_PACKAGE = process.env.ANDROID_PACKAGE || 'com.example.courthub';
+
+const fns = require('../index.js');
+const admin = require('firebase-admin');
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || null;
+const emulatorOnly = emulatorHost ? {} : { skip: 'FIRESTORE_EMULATOR_HOST not set' };
+
+// Wipes every document in the emulator's default database
+async function clearFirestore() {
+  const url = `http://${emulatorHost}/emulator/v1/projects/${process.env.GCLOUD_PROJECT}/databases/(default)/documents`;
+  const res = await fetch(url, { method: 'DELETE' });
+  if (!res.ok) throw new Error(`clearFirestore failed: ${res.status}`);
+}
+
+// Rejection matcher for HttpsError codes
+function httpsError(code) {
+  return (e) => e && e.code === code;
+}
+
+module.exports = { fns, internals: fns._test, admin, emulatorOnly, clearFirestore, httpsError };
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const {
+  iapEventFinishFields, verifyPubSubPushToken, findReceiptByPurchaseToken, recordAndProcessPlayRtdn,
+  iapTokenKey, IAP_UNMATCHED_MAX_ATTEMPTS, claimAppleSignedDate,
+} = internals;
+
+const rtdn = (purchaseToken, extra = {}) => ({
+  version: '1.0',
+  packageName: process.env.ANDROID_PACKAGE,
+  subscriptionNotification: { version: '1.0', notificationType: 2, purchaseToken, subscriptionId: 'premium_monthly' },
+  ...extra,
+});
+
+test('iapEventFinishFields backs unmatched events off exponentially, then gives up', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const first = iapEventFinishFields({}, 'unmatched', null, now);
+  assert.deepEqual([first.attempts, first.nextAttemptAt], [1, '2026-06-01T00:05:00.000Z']);
+  const third = iapEventFinishFields({ attempts: 2 }, 'unmatched', null, now);
+  assert.equal(third.nextAttemptAt, '2026-06-01T00:20:00.000Z');
+  const last = iapEventFinishFields({ attempts: IAP_UNMATCHED_MAX_ATTEMPTS - 1 }, 'unmatched', null, now);
+  assert.equal(last.nextAttemptAt, null);
+  assert.equal(iapEventFinishFields({}, 'processed', { uid: 'u1' }, now).nextAttemptAt, null);
+});
+
+test('verifyPubSubPushToken fails closed while the push audience is unset', async () => {
+  const req = { get: () => 'Bearer anything' };
+  assert.deepEqual(await verifyPubSubPushToken(req), { ok: false, reason: 'not_configured' });
+});
+
+test('findReceiptByPurchaseToken skips rejected receipts and prefers the owner', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const receipts = db.collection('iapReceipts');
+  await receipts.doc('owner_old').set({ purchaseToken: 't1', uid: 'owner', status: 'verified_active', createdAt: '2026-01-01T00:00:00Z' });
+  await receipts.doc('other_new').set({ purchaseToken: 't1', uid: 'other', status: 'recorded', createdAt: '2026-02-01T00:00:00Z' });
+  await receipts.doc('other_rejected').set({ purchaseToken: 't1', uid: 'other', status: 'rejected_token_reuse', createdAt: '2026-03-01T00:00:00Z' });
+
+  assert.equal((await findReceiptByPurchaseToken(db, 't1', 'owner')).id, 'owner_old');
+  assert.equal((await findReceiptByPurchaseToken(db, 't1', null)).id, 'other_new');
+  assert.equal(await findReceiptByPurchaseToken(db, 'missing', 'owner'), null);
+});
+
+test('RTDN for an unrecorded purchase is kept as unmatched with a retry time', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const data = Buffer.from(JSON.stringify(rtdn('unknown-token'))).toString('base64');
+  const res = await recordAndProcessPlayRtdn(db, { messageId: 'm1', data, publishTime: null, via: 'test' });
+  assert.equal(res.status, 'unmatched');
+  const event = (await db.collection('iapEvents').doc(res.eventId).get()).data();
+  assert.deepEqual([event.status, event.attempts], ['unmatched', 1]);
+  assert.ok(Date.parse(event.nextAttemptAt) > Date.now());
+
+  const again = await recordAndProcessPlayRtdn(db, { messageId: 'm1', data, publishTime: null, via: 'test' });
+  assert.equal(again.status, 'unmatched');
+  assert.equal((await db.collection('iapEvents').doc(res.eventId).get()).data().attempts, 2, 'redelivery reuses the event');
+});
+
+test('RTDN for another package is ignored before any lookup', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  await db.collection('iapTokenOwners').doc(iapTokenKey('android', 't1')).set({ ownerUid: 'owner' });
+  const res = await recordAndProcessPlayRtdn(db, { messageId: 'm2', data: rtdn('t1', { packageName: 'com.someone.else' }), via: 'test' });
+  assert.deepEqual([res.status, res.reason], ['ignored', 'package_mismatch']);
+});
+
+test('claimAppleSignedDate only lets newer App Store notifications through', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  assert.equal(await claimAppleSignedDate(db, '1000001', 100), false, 'unclaimed transactions are not applied');
+
+  const ref = db.collection('iapTokenOwners').doc(iapTokenKey('ios', '1000001'));
+  await ref.set({ platform: 'ios', ownerUid: 'owner' });
+  assert.equal(await claimAppleSignedDate(db, '1000001', 200), true);
+  assert.equal(await claimAppleSignedDate(db, '1000001', 100), false, 'older notification is stale');
+  assert.equal(await claimAppleSignedDate(db, '1000001', 200), true, 'a redelivery of the newest one still applies');
+  assert.equal((await ref.get()).data().lastSignedDate, 200);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const {
+  iapTokenKey, isFreshStoreRestore, claimIapToken,
+  IAP_TOKEN_OWNED_ELSEWHERE, IAP_TOKEN_TRANSFER_COOLDOWN, IAP_TOKEN_RESTORE_REQUIRED, IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES,
+} = internals;
+
+test('iapTokenKey hashes Play tokens and escapes Apple ids', () => {
+  assert.match(iapTokenKey('android', 'a/b.c'), /^android_[0-9a-f]{64}$/);
+  assert.equal(iapTokenKey('ios', '2000/1'), 'ios_2000_1');
+  assert.equal(iapTokenKey('web', 'x'), null);
+  assert.equal(iapTokenKey('ios', ''), null);
+});
+
+test('isFreshStoreRestore wants an active purchase and, on iOS, a just-generated receipt', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const minutesAgo = (m) => now.getTime() - m * 60000;
+  assert.equal(isFreshStoreRestore('android', { ok: true, active: true }, now), true);
+  assert.equal(isFreshStoreRestore('android', { ok: true, active: false }, now), false);
+  assert.equal(isFreshStoreRestore('ios', { ok: true, active: true, receiptCreatedMs: minutesAgo(2) }, now), true);
+  assert.equal(isFreshStoreRestore('ios', { ok: true, active: true, receiptCreatedMs: minutesAgo(IAP_TRANSFER_RESTORE_MAX_AGE_MINUTES + 1) }, now), false);
+  assert.equal(isFreshStoreRestore('ios', { ok: true, active: true }, now), false);
+  assert.equal(isFreshStoreRestore('ios', { ok: false, active: true, receiptCreatedMs: minutesAgo(1) }, now), false);
+});
+
+test('claimIapToken gives a purchase to one account and flags reuse', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const claim = (uid, extra = {}) => claimIapToken(db, { platform: 'android', token: 'tok', productId: 'premium_monthly', uid, ...extra });
+
+  assert.deepEqual(await claim('a'), { key: iapTokenKey('android', 'tok'), claimed: true, previousOwner: null });
+  assert.equal((await claim('a')).claimed, true, 'the owner can verify again');
+
+  const reuse = await claim('b');
+  assert.deepEqual([reuse.claimed, reuse.ownerUid, reuse.reason], [false, 'a', IAP_TOKEN_OWNED_ELSEWHERE]);
+  const owner = (await db.collection('iapTokenOwners').doc(reuse.key).get()).data();
+  assert.deepEqual([owner.reuseCount, owner.lastReuseUid], [1, 'b']);
+  const ent = (await db.collection('entitlements').doc('a').get()).data();
+  assert.deepEqual([ent.suspiciousReuse.count, ent.suspiciousReuse.lastUid], [1, 'b']);
+});
+
+test('claimIapToken transfers only on a fresh restore and not again within the cooldown', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const claim = (uid, extra = {}) => claimIapToken(db, { platform: 'ios', token: '3000001', productId: 'premium_yearly', uid, ...extra });
+  await claim('a');
+
+  const stale = await claim('b', { transfer: true, freshRestore: false });
+  assert.deepEqual([stale.claimed, stale.reason], [false, IAP_TOKEN_RESTORE_REQUIRED]);
+
+  const moved = await claim('b', { transfer: true, freshRestore: true });
+  assert.deepEqual([moved.claimed, moved.previousOwner], [true, 'a']);
+  const owner = (await db.collection('iapTokenOwners').doc(moved.key).get()).data();
+  assert.equal(owner.ownerUid, 'b');
+  assert.deepEqual(owner.transfers.map(t => [t.fromUid, t.toUid]), [['a', 'b']]);
+  const away = (await db.collection('entitlements').doc('a').get()).data().transferredAway;
+  assert.deepEqual([away.tokenKey, away.platform], [moved.key, 'ios']);
+
+  const back = await claim('a', { transfer: true, freshRestore: true });
+  assert.deepEqual([back.claimed, back.ownerUid, back.reason], [false, 'b', IAP_TOKEN_TRANSFER_COOLDOWN]);
+  assert.ok(Date.parse(back.retryAfter) > Date.now());
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers');
+
+const { storagePathFromReference, IMAGE_GC_DEFAULT_PREFIXES } = internals;
+
+test('the GC sweeps the generic upload prefixes as well as the owned ones', () => {
+  for (const p of ['uploads/', 'attachments/', 'images/', 'users/', 'parks/', 'reviews/', 'reports/']) {
+    assert.ok(IMAGE_GC_DEFAULT_PREFIXES.includes(p), p);
+  }
+  assert.ok(!IMAGE_GC_DEFAULT_PREFIXES.some(p => p.startsWith('thumbnails/')));
+});
+
+test('storagePathFromReference decodes Firebase download URLs', () => {
+  const url = 'https://firebasestorage.googleapis.com/v0/b/demo-courthub.appspot.com/o/parks%2Fp1%2Fphoto%201.jpg?alt=media&token=abc';
+  assert.equal(storagePathFromReference(url), 'parks/p1/photo 1.jpg');
+  assert.equal(storagePathFromReference('http://127.0.0.1:9199/v0/b/demo-courthub.appspot.com/o/uploads%2Fa.png?alt=media'), 'uploads/a.png');
+});
+
+test('storagePathFromReference strips the bucket from gs:// URIs', () => {
+  assert.equal(storagePathFromReference('gs://demo-courthub.appspot.com/users/u1/avatar.webp'), 'users/u1/avatar.webp');
+  assert.equal(storagePathFromReference('gs://demo-courthub.appspot.com'), null);
+});
+
+test('storagePathFromReference reads storage.googleapis.com URLs', () => {
+  assert.equal(storagePathFromReference('https://storage.googleapis.com/demo-courthub.appspot.com/reviews/r1/a%20b.jpg'), 'reviews/r1/a b.jpg');
+  assert.equal(storagePathFromReference('https://storage.googleapis.com/demo-courthub.appspot.com'), null);
+});
+
+test('storagePathFromReference keeps bare paths and rejects anything else', () => {
+  assert.equal(storagePathFromReference('/images/x.jpg'), 'images/x.jpg');
+  assert.equal(storagePathFromReference(' attachments/y.pdf '), 'attachments/y.pdf');
+  assert.equal(storagePathFromReference('https://example.com/images/x.jpg'), null);
+  assert.equal(storagePathFromReference(''), null);
+  assert.equal(storagePathFromReference(null), null);
+  assert.equal(storagePathFromReference(42), null);
+});
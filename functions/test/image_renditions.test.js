@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const sharp = require('sharp');
+const { internals } = require('./helpers');
+
+const { renditionPath, imageOwnerForPath, getImagePipelineConfig, generateImageRenditions, IMAGE_RENDITIONS_DEFAULT } = internals;
+
+// Minimal db whose config/app doc holds imagePipeline
+function configDb(imagePipeline) {
+  const snap = { exists: imagePipeline !== undefined, data: () => ({ imagePipeline }) };
+  return { collection: () => ({ doc: () => ({ get: async () => snap }) }) };
+}
+
+// Records what generateImageRenditions saves
+function recordingBucket() {
+  const saved = new Map();
+  return {
+    name: 'test-bucket',
+    saved,
+    file: (name) => ({ save: async (data, options) => { saved.set(name, { data, metadata: options.metadata }); } }),
+  };
+}
+
+test('renditions live under thumbnails/<name>/ next to the original path', () => {
+  assert.equal(renditionPath('parks/p1/court.jpg', 'card', 'webp'), 'thumbnails/card/parks/p1/court.jpg.webp');
+  assert.equal(renditionPath('users/u1/profile.jpg', 'avatar', 'jpg'), 'thumbnails/avatar/users/u1/profile.jpg.jpg');
+});
+
+test('imageOwnerForPath maps owned prefixes and ignores generic ones', () => {
+  assert.deepEqual(imageOwnerForPath('users/u1/profile.jpg'), { type: 'user', id: 'u1', fileKey: null });
+  assert.deepEqual(imageOwnerForPath('parks/p1/court 1.jpg'), { type: 'park', id: 'p1', fileKey: 'court_1_jpg' });
+  assert.equal(imageOwnerForPath('uploads/x.jpg'), null);
+  assert.equal(imageOwnerForPath('parks/p1/nested/x.jpg'), null);
+});
+
+test('the pipeline config keeps known formats and valid renditions only', async () => {
+  assert.deepEqual(await getImagePipelineConfig(configDb(undefined)), { renditions: IMAGE_RENDITIONS_DEFAULT, formats: ['webp', 'jpeg'] });
+
+  const cfg = await getImagePipelineConfig(configDb({
+    formats: ['avif', 'gif', 'jpeg'],
+    renditions: [{ name: 'tiny', width: 8 }, { name: 'bad name', width: 100 }, { name: 'hero', width: 1600.7, height: 900, fit: 'cover' }],
+  }));
+  assert.deepEqual(cfg.formats, ['avif', 'jpeg']);
+  assert.deepEqual(cfg.renditions, [{ name: 'hero', width: 1600, height: 900, fit: 'cover' }]);
+
+  // Nothing valid falls back to the defaults
+  const fallback = await getImagePipelineConfig(configDb({ formats: ['gif'], renditions: [{ name: 'x', width: 5000 }] }));
+  assert.deepEqual(fallback, { renditions: IMAGE_RENDITIONS_DEFAULT, formats: ['webp', 'jpeg'] });
+});
+
+test('generateImageRenditions writes each rendition in each selected format', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renditions-'));
+  try {
+    const localPath = path.join(dir, 'court.png');
+    await sharp({ create: { width: 600, height: 300, channels: 3, background: '#c06030' } }).png().toFile(localPath);
+    const bucket = recordingBucket();
+    const renditions = [{ name: 'avatar', width: 64, height: 64, fit: 'cover' }, { name: 'card', width: 200 }, { name: 'full', width: 2048 }];
+
+    const out = await generateImageRenditions(bucket, 'parks/p1/court.png', localPath, { renditions, formats: ['webp', 'jpeg'] });
+
+    assert.deepEqual([...bucket.saved.keys()].sort(), [
+      'thumbnails/avatar/parks/p1/court.png.jpg', 'thumbnails/avatar/parks/p1/court.png.webp',
+      'thumbnails/card/parks/p1/court.png.jpg', 'thumbnails/card/parks/p1/court.png.webp',
+      'thumbnails/full/parks/p1/court.png.jpg', 'thumbnails/full/parks/p1/court.png.webp',
+    ]);
+    assert.equal(bucket.saved.get('thumbnails/card/parks/p1/court.png.webp').metadata.contentType, 'image/webp');
+    assert.equal(bucket.saved.get('thumbnails/card/parks/p1/court.png.jpg').metadata.contentType, 'image/jpeg');
+    assert.equal((await sharp(bucket.saved.get('thumbnails/card/parks/p1/court.png.webp').data).metadata()).format, 'webp');
+
+    assert.deepEqual([out.renditions.avatar.webp.width, out.renditions.avatar.webp.height], [64, 64]);
+    assert.deepEqual([out.renditions.card.jpeg.width, out.renditions.card.jpeg.height], [200, 100]);
+    // Never upscaled past the original
+    assert.deepEqual([out.renditions.full.webp.width, out.renditions.full.webp.height], [600, 300]);
+    assert.equal(out.renditions.card.webp.path, 'thumbnails/card/parks/p1/court.png.webp');
+    assert.deepEqual([out.width, out.height], [600, 300]);
+    assert.match(out.placeholder.dominantColor, /^#[0-9a-f]{6}$/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { getImageModerationConfig, moderationStatusForScore, submitImageForModeration, applyModerationDecision, photoAutoFeatureCandidate } = internals;
+
+// Minimal db whose config/app doc holds imageModeration
+function configDb(imageModeration) {
+  const snap = { exists: true, data: () => ({ imageModeration }) };
+  return { collection: () => ({ doc: () => ({ get: async () => snap }) }) };
+}
+
+test('scores only decide when an auto threshold is configured', () => {
+  const off = { autoApproveBelow: null, autoRejectAbove: null };
+  assert.equal(moderationStatusForScore(0, off), 'pending');
+  assert.equal(moderationStatusForScore(0.99, off), 'pending');
+
+  const both = { autoApproveBelow: 0.2, autoRejectAbove: 0.8 };
+  assert.equal(moderationStatusForScore(0.1, both), 'approved');
+  assert.equal(moderationStatusForScore(0.2, both), 'pending');
+  assert.equal(moderationStatusForScore(0.8, both), 'rejected');
+  assert.equal(moderationStatusForScore(null, both), 'pending');
+  // Overlapping thresholds: rejecting wins
+  assert.equal(moderationStatusForScore(0.5, { autoApproveBelow: 0.9, autoRejectAbove: 0.4 }), 'rejected');
+});
+
+test('the moderation config drops out-of-range thresholds and unknown classifiers', async () => {
+  assert.deepEqual(await getImageModerationConfig(configDb({ classifier: 'none', autoApproveBelow: 0.1, autoRejectAbove: 0.9 })),
+    { classifier: 'none', autoApproveBelow: 0.1, autoRejectAbove: 0.9 });
+  assert.deepEqual(await getImageModerationConfig(configDb({ classifier: 'cloud', autoApproveBelow: 0, autoRejectAbove: 1.5 })),
+    { classifier: 'local', autoApproveBelow: null, autoRejectAbove: null });
+});
+
+test('only approved, unpinned, unfeatured photos crossing the like threshold are auto-featured', () => {
+  const approved = { moderationStatus: 'approved' };
+  assert.equal(photoAutoFeatureCandidate({ ...approved, likes: 9 }, { ...approved, likes: 10 }), true);
+  assert.equal(photoAutoFeatureCandidate({ ...approved, likes: 10 }, { ...approved, likes: 11 }), false);
+  // Approval after the likes were already there still counts
+  assert.equal(photoAutoFeatureCandidate({ moderationStatus: 'pending', likes: 12 }, { ...approved, likes: 12 }), true);
+  assert.equal(photoAutoFeatureCandidate({ moderationStatus: 'pending', likes: 9 }, { moderationStatus: 'pending', likes: 10 }), false);
+  assert.equal(photoAutoFeatureCandidate({ likes: 9 }, { moderationStatus: 'rejected', likes: 10 }), false);
+  assert.equal(photoAutoFeatureCandidate({ ...approved, likes: 9 }, { ...approved, likes: 10, pinnedByAdmin: true }), false);
+  assert.equal(photoAutoFeatureCandidate({ ...approved, likes: 9 }, { ...approved, likes: 10, featured: true }), false);
+});
+
+test('an auto-approved upload is decided and mirrored onto its asset', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  await db.collection('config').doc('app').set({ imageModeration: { classifier: 'none', autoApproveBelow: 0.5 } });
+
+  const out = await submitImageForModeration(db, { filePath: 'uploads/a.jpg', assetId: 'asset1', buffer: Buffer.alloc(0), uploaderUid: 'u1' });
+  assert.deepEqual(out, { status: 'approved', score: 0 });
+  const item = (await db.collection('moderationQueue').doc('asset_asset1').get()).data();
+  assert.deepEqual([item.status, item.decidedBy, item.uploadedBy], ['approved', 'auto:none', 'u1']);
+  assert.equal((await db.collection('imageAssets').doc('asset1').get()).data().moderationStatus, 'approved');
+});
+
+test('rejecting a park photo unfeatures it', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const photoRef = db.collection('parks').doc('p1').collection('photos').doc('ph1');
+  await photoRef.set({ featured: true, moderationStatus: 'approved', likes: 12 });
+  const itemRef = db.collection('moderationQueue').doc('parkphoto_p1_ph1');
+  await itemRef.set({ kind: 'park_photo', path: null, assetId: null, parkId: 'p1', photoId: 'ph1', status: 'approved' });
+
+  const out = await applyModerationDecision(db, itemRef, { status: 'rejected', by: 'admin1', reason: 'spam' });
+  assert.equal(out.status, 'rejected');
+  const photo = (await photoRef.get()).data();
+  assert.deepEqual([photo.moderationStatus, photo.moderationReason, photo.featured], ['rejected', 'spam', false]);
+  assert.equal(await applyModerationDecision(db, db.collection('moderationQueue').doc('missing'), { status: 'approved' }), null);
+});
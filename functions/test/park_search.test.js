@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const {
+  parkSearchTokens, parkSearchKeys, editDistance, tokenMatchScore, parkSearchTextScore,
+  buildParkSearchEntry, searchParkCatalog, localSearchIsSufficient, PARK_SEARCH_STRONG_SCORE,
+} = internals;
+
+test('parkSearchTokens normalizes accents, apostrophes and punctuation', () => {
+  assert.deepEqual(parkSearchTokens("  Rucker's Park — Harlem, NY "), ['ruckers', 'park', 'harlem', 'ny']);
+  assert.deepEqual(parkSearchTokens('Café São Paulo'), ['cafe', 'sao', 'paulo']);
+});
+
+test('parkSearchKeys holds prefixes and single deletions of longer words', () => {
+  const keys = parkSearchKeys(['rucker', 'ny']);
+  for (const k of ['ru', 'ruc', 'rucker', 'ny', 'ucker', 'rucer', 'rucke']) assert.ok(keys.includes(k), k);
+  assert.ok(!keys.includes('r'));
+  assert.ok(!keys.includes('y'), 'short words get no deletions');
+});
+
+test('editDistance counts adjacent swaps as one edit and caps at max + 1', () => {
+  assert.equal(editDistance('rucker', 'rucker'), 0);
+  assert.equal(editDistance('rucker', 'rukcer'), 1);
+  assert.equal(editDistance('rucker', 'rocker'), 1);
+  assert.equal(editDistance('rucker', 'tucked'), 2);
+  assert.equal(editDistance('rucker', 'basketball'), 3);
+});
+
+test('tokenMatchScore ranks exact > prefix > one edit > two edits', () => {
+  assert.equal(tokenMatchScore('rucker', 'rucker'), 1);
+  assert.equal(tokenMatchScore('ruck', 'rucker'), 0.85);
+  assert.equal(tokenMatchScore('rukcer', 'rucker'), 0.6);
+  assert.equal(tokenMatchScore('washingtin', 'washington'), 0.6);
+  assert.equal(tokenMatchScore('wahsingtin', 'washington'), 0.4);
+  assert.equal(tokenMatchScore('rkr', 'rucker'), 0, 'short tokens only match exactly or by prefix');
+});
+
+test('parkSearchTextScore needs the anchor and forgives missing stopwords', () => {
+  const doc = ['rucker', 'harlem', 'new', 'york'];
+  assert.equal(parkSearchTextScore(['rucker'], 'rucker', doc), 1);
+  assert.equal(parkSearchTextScore(['rucker', 'park'], 'rucker', doc), 0.75);
+  assert.equal(parkSearchTextScore(['rucker', 'harlem'], 'rucker', doc), 1);
+  assert.equal(parkSearchTextScore(['dyckman', 'harlem'], 'dyckman', doc), 0);
+  assert.ok(parkSearchTextScore(['rucker', 'bronx'], 'rucker', doc) < PARK_SEARCH_STRONG_SCORE);
+});
+
+test('localSearchIsSufficient counts strong hits only', () => {
+  const hits = (scores) => scores.map(score => ({ score }));
+  assert.equal(localSearchIsSufficient(hits([1, 0.9, 0.8, 0.75, 0.75])), true);
+  assert.equal(localSearchIsSufficient(hits([1, 0.9, 0.8, 0.75, 0.5])), false);
+  assert.equal(localSearchIsSufficient(hits([1, 0.9]), 2), true);
+});
+
+test('searchParkCatalog keeps biased searches inside the bias radius', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const parks = {
+    harlem: { name: 'Rucker Park', city: 'New York', state: 'NY', latitude: 40.8296, longitude: -73.9362, approved: true },
+    brooklyn: { name: 'Rucker Courts', city: 'Brooklyn', state: 'NY', latitude: 40.6782, longitude: -73.9442, approved: true },
+    la: { name: 'Rucker Rec Center', city: 'Los Angeles', state: 'CA', latitude: 34.0522, longitude: -118.2437, approved: true },
+  };
+  for (const [id, park] of Object.entries(parks)) {
+    await db.collection('parkSearch').doc(id).set(await buildParkSearchEntry(db, id, park));
+  }
+
+  const unbiased = await searchParkCatalog(db, 'rucker', null);
+  assert.deepEqual(unbiased.map(p => p.parkId).sort(), ['brooklyn', 'harlem', 'la']);
+
+  const nyc = await searchParkCatalog(db, 'rucker', { lat: 40.7831, lng: -73.9712, radius: 20000 });
+  assert.deepEqual(nyc.map(p => p.parkId), ['harlem', 'brooklyn'], 'nearest first, LA excluded');
+  assert.ok(nyc[0].score > 1, 'bias boost applied');
+
+  const la = await searchParkCatalog(db, 'rucker', { lat: 34.05, lng: -118.25 });
+  assert.deepEqual(la.map(p => p.parkId), ['la']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, admin, emulatorOnly, clearFirestore, httpsError } = require('./helpers');
+
+const { queueMaxLengthForCourt, isQueueEntryStale, QUEUE_TIMEOUT_MINUTES } = internals;
+
+const ctx = (uid) => ({ auth: { uid, token: { name: uid } } });
+const target = { parkId: 'p1', courtId: 'c1' };
+
+async function seedPark(court = {}) {
+  await admin.firestore().collection('parks').doc('p1').set({
+    name: 'Test Park',
+    courts: [{ id: 'c1', courtNumber: 1, type: 'pickleballSingles', sportType: 'pickleball_singles', gotNextQueue: [], ...court }],
+  });
+}
+
+async function queueIds() {
+  const snap = await admin.firestore().collection('parks').doc('p1').get();
+  return snap.data().courts[0].gotNextQueue.map(p => p.userId);
+}
+
+test('queueMaxLengthForCourt falls back to the default length', () => {
+  assert.equal(queueMaxLengthForCourt({ type: 'fullCourt' }), 20);
+  assert.equal(queueMaxLengthForCourt({ type: 'pickleballSingles' }), 8);
+  assert.equal(queueMaxLengthForCourt({ type: 'mystery' }), 15);
+  assert.equal(queueMaxLengthForCourt(null), 15);
+});
+
+test('isQueueEntryStale measures from lastActivity, else joinedAt', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const ago = (m) => new Date(now.getTime() - m * 60000).toISOString();
+  assert.equal(isQueueEntryStale({ joinedAt: ago(QUEUE_TIMEOUT_MINUTES) }, now), true);
+  assert.equal(isQueueEntryStale({ joinedAt: ago(QUEUE_TIMEOUT_MINUTES - 1) }, now), false);
+  assert.equal(isQueueEntryStale({ joinedAt: ago(QUEUE_TIMEOUT_MINUTES * 2), lastActivity: ago(5) }, now), false);
+  assert.equal(isQueueEntryStale({}, now), false);
+});
+
+test('queueJoin requires auth and a court target', async () => {
+  await assert.rejects(fns.queueJoin.run(target, {}), httpsError('unauthenticated'));
+  await assert.rejects(fns.queueJoin.run({ parkId: 'p1' }, ctx('u1')), httpsError('invalid-argument'));
+});
+
+test('concurrent queueJoin calls all land, in distinct positions', emulatorOnly, async () => {
+  await clearFirestore();
+  await seedPark();
+  const uids = ['u1', 'u2', 'u3', 'u4', 'u5', 'u6'];
+  const results = await Promise.all(uids.map(uid => fns.queueJoin.run(target, ctx(uid))));
+  assert.deepEqual(results.map(r => r.position).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual((await queueIds()).slice().sort(), uids);
+
+  const again = await fns.queueJoin.run(target, ctx('u3'));
+  assert.equal(again.alreadyQueued, true);
+  assert.equal((await queueIds()).length, 6);
+});
+
+test('queueJoin rejects a full queue and drops stale entries first', emulatorOnly, async () => {
+  await clearFirestore();
+  const old = new Date(Date.now() - (QUEUE_TIMEOUT_MINUTES + 5) * 60000).toISOString();
+  const fresh = new Date().toISOString();
+  const queue = Array.from({ length: 8 }, (_, i) => ({ userId: `q${i}`, joinedAt: fresh, lastActivity: fresh }));
+  await seedPark({ gotNextQueue: queue });
+  await assert.rejects(fns.queueJoin.run(target, ctx('late')), httpsError('resource-exhausted'));
+
+  queue[0] = { userId: 'q0', joinedAt: old, lastActivity: old };
+  await seedPark({ gotNextQueue: queue });
+  const r = await fns.queueJoin.run(target, ctx('late'));
+  assert.equal(r.position, 8);
+  assert.deepEqual(await queueIds(), ['q1', 'q2', 'q3', 'q4', 'q5', 'q6', 'q7', 'late']);
+});
+
+test('queueLeave and queueAdvance update the queue transactionally', emulatorOnly, async () => {
+  await clearFirestore();
+  await seedPark();
+  for (const uid of ['u1', 'u2', 'u3', 'u4']) await fns.queueJoin.run(target, ctx(uid));
+
+  const left = await fns.queueLeave.run(target, ctx('u2'));
+  assert.deepEqual([left.removed, left.queueLength], [true, 3]);
+  assert.equal((await fns.queueLeave.run(target, ctx('u2'))).removed, false);
+
+  await assert.rejects(fns.queueAdvance.run({ ...target, count: 1 }, ctx('u4')), httpsError('permission-denied'));
+  const adv = await fns.queueAdvance.run({ ...target, count: 2 }, ctx('u3'));
+  assert.deepEqual(adv.advanced, ['u1', 'u3']);
+  assert.deepEqual(await queueIds(), ['u4']);
+});
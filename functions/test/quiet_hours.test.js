@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { internals } = require('./helpers');
+
+const { localHourIn, isInQuietHours, preferenceBlockReason } = internals;
+
+const at = (iso) => new Date(iso);
+const quiet = (quietHours, extra = {}) => ({ notificationPrefs: { quietHours }, ...extra });
+
+test('localHourIn reads the hour in the given zone', () => {
+  assert.equal(localHourIn('Etc/UTC', at('2026-01-15T00:30:00Z')), 0);
+  assert.equal(localHourIn('America/New_York', at('2026-01-15T23:30:00Z')), 18);
+  assert.equal(localHourIn('Asia/Tokyo', at('2026-01-15T23:30:00Z')), 8);
+  assert.equal(localHourIn('Not/AZone', at('2026-01-15T23:30:00Z')), null);
+  assert.equal(localHourIn(null, at('2026-01-15T23:30:00Z')), null);
+});
+
+test('a same-day window covers [start, end)', () => {
+  const user = quiet({ startHour: 13, endHour: 17, timeZone: 'Etc/UTC' });
+  assert.equal(isInQuietHours(user, at('2026-01-15T13:00:00Z')), true);
+  assert.equal(isInQuietHours(user, at('2026-01-15T16:59:00Z')), true);
+  assert.equal(isInQuietHours(user, at('2026-01-15T17:00:00Z')), false);
+  assert.equal(isInQuietHours(user, at('2026-01-15T12:59:00Z')), false);
+});
+
+test('a window past midnight wraps around', () => {
+  const user = quiet({ startHour: 22, endHour: 7, timeZone: 'America/New_York' });
+  assert.equal(isInQuietHours(user, at('2026-01-16T03:30:00Z')), true); // 22:30 local
+  assert.equal(isInQuietHours(user, at('2026-01-16T11:59:00Z')), true); // 06:59 local
+  assert.equal(isInQuietHours(user, at('2026-01-16T12:00:00Z')), false); // 07:00 local
+  assert.equal(isInQuietHours(user, at('2026-01-15T20:00:00Z')), false); // 15:00 local
+});
+
+test('the user time zone is the fallback and an invalid zone never silences', () => {
+  const now = at('2026-01-16T03:30:00Z');
+  assert.equal(isInQuietHours(quiet({ startHour: 22, endHour: 7 }, { timeZone: 'America/New_York' }), now), true);
+  assert.equal(isInQuietHours(quiet({ startHour: 22, endHour: 7, timeZone: 'Mars/Olympus' }), now), false);
+  assert.equal(isInQuietHours(quiet({ startHour: 22, endHour: 7 }), now), false);
+});
+
+test('disabled, empty or malformed windows are ignored', () => {
+  const now = at('2026-01-15T23:30:00Z');
+  assert.equal(isInQuietHours({}, now), false);
+  assert.equal(isInQuietHours(quiet({ enabled: false, startHour: 0, endHour: 23, timeZone: 'Etc/UTC' }), now), false);
+  assert.equal(isInQuietHours(quiet({ startHour: 5, endHour: 5, timeZone: 'Etc/UTC' }), now), false);
+  assert.equal(isInQuietHours(quiet({ startHour: 'late', endHour: 7, timeZone: 'Etc/UTC' }), now), false);
+});
+
+test('exempt types still get through quiet hours', () => {
+  const user = quiet({ startHour: 0, endHour: 23, timeZone: 'Etc/UTC' });
+  const now = at('2026-01-15T10:00:00Z');
+  assert.equal(preferenceBlockReason('u1', user, 'checkin', 'checkin', {}, now), 'quiet_hours');
+  assert.equal(preferenceBlockReason('u1', user, 'queue_up_next', 'queue', {}, now), null);
+});
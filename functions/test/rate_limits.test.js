@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fns, internals, admin, emulatorOnly, clearFirestore, httpsError } = require('./helpers');
+
+const { takeBucketToken, rateLimitIdentity, lastForwardedHop, enforceGeoRateLimit } = internals;
+
+const PER_MINUTE = 6 / 60000; // 6 tokens a minute
+
+test('takeBucketToken starts full and drains one token per call', () => {
+  let bucket = null;
+  const t0 = 1_000_000;
+  for (let i = 0; i < 3; i++) {
+    const r = takeBucketToken(bucket, t0, 3, PER_MINUTE);
+    assert.equal(r.retryAfterSeconds, 0);
+    bucket = { tokens: r.tokens, refilledAtMs: t0 };
+  }
+  assert.equal(bucket.tokens, 0);
+  const denied = takeBucketToken(bucket, t0, 3, PER_MINUTE);
+  assert.equal(denied.retryAfterSeconds, 10, 'one token every 10s');
+});
+
+test('takeBucketToken refills with elapsed time up to capacity', () => {
+  const t0 = 1_000_000;
+  assert.equal(takeBucketToken({ tokens: 0, refilledAtMs: t0 }, t0 + 5_000, 3, PER_MINUTE).retryAfterSeconds, 5);
+  assert.equal(takeBucketToken({ tokens: 0, refilledAtMs: t0 }, t0 + 10_000, 3, PER_MINUTE).retryAfterSeconds, 0);
+  assert.equal(takeBucketToken({ tokens: 0, refilledAtMs: t0 }, t0 + 3_600_000, 3, PER_MINUTE).tokens, 2, 'capped at capacity');
+  assert.equal(takeBucketToken({ tokens: 1, refilledAtMs: t0 + 5_000 }, t0, 3, PER_MINUTE).tokens, 0, 'clock skew never adds tokens');
+  assert.equal(takeBucketToken({ tokens: 'x' }, t0, 3, PER_MINUTE).tokens, 2, 'garbage resets to a full bucket');
+});
+
+test('lastForwardedHop takes the right-most entry', () => {
+  assert.equal(lastForwardedHop('1.1.1.1, 10.0.0.1, 203.0.113.7'), '203.0.113.7');
+  assert.equal(lastForwardedHop(' 203.0.113.7 '), '203.0.113.7');
+  assert.equal(lastForwardedHop(''), null);
+  assert.equal(lastForwardedHop(undefined), null);
+});
+
+test('rateLimitIdentity prefers uid, then App Check, then the right-most forwarded hop', () => {
+  const rawRequest = { ip: '198.51.100.2', headers: { 'x-forwarded-for': 'spoofed, 203.0.113.7', 'x-firebase-appcheck': 'ac-token' } };
+  assert.deepEqual(rateLimitIdentity({ auth: { uid: 'u1' }, app: {}, rawRequest }), { keyType: 'uid', key: 'u1' });
+  assert.deepEqual(rateLimitIdentity({ app: { appId: 'a' }, rawRequest }), { keyType: 'appcheck', key: 'ac-token' });
+  assert.deepEqual(rateLimitIdentity({ rawRequest }), { keyType: 'ip', key: '203.0.113.7' });
+  // With 'trust proxy' on, req.ip is the spoofed left-most entry; it must not pick the bucket
+  assert.deepEqual(rateLimitIdentity({ rawRequest: { ip: 'spoofed', headers: { 'x-forwarded-for': 'spoofed, 203.0.113.7' } } }), { keyType: 'ip', key: '203.0.113.7' });
+  assert.deepEqual(rateLimitIdentity({ rawRequest: { ip: '198.51.100.2', headers: {} } }), { keyType: 'ip', key: '198.51.100.2' });
+  assert.deepEqual(rateLimitIdentity({}), { keyType: 'ip', key: 'unknown' });
+});
+
+test('enforceGeoRateLimit exhausts the anon budget per IP', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const caller = (ip) => ({ rawRequest: { ip, headers: {} } });
+  for (let i = 0; i < 5; i++) await enforceGeoRateLimit(db, 'geoTextSearch', caller('203.0.113.7'));
+  await assert.rejects(enforceGeoRateLimit(db, 'geoTextSearch', caller('203.0.113.7')), httpsError('resource-exhausted'));
+  await enforceGeoRateLimit(db, 'geoTextSearch', caller('203.0.113.8'));
+  await enforceGeoRateLimit(db, 'geoTextSearch', { ...caller('203.0.113.7'), auth: { uid: 'u1' } });
+});
+
+test('pruneExpiredGeoCache removes every idle bucket, past one page', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const past = new Date(Date.now() - 60_000).toISOString();
+  const future = new Date(Date.now() + 3_600_000).toISOString();
+  for (let page = 0; page < 2; page++) {
+    const batch = db.batch();
+    for (let i = 0; i < 250; i++) batch.set(db.collection('rateLimits').doc(`geoTextSearch:${page}_${i}`), { expiresAt: past });
+    await batch.commit();
+  }
+  await db.collection('rateLimits').doc('geoTextSearch:live').set({ expiresAt: future });
+
+  await fns.pruneExpiredGeoCache.run({});
+
+  const left = await db.collection('rateLimits').get();
+  assert.deepEqual(left.docs.map(d => d.id), ['geoTextSearch:live']);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const sharp = require('sharp');
+const { internals, admin, emulatorOnly, clearFirestore } = require('./helpers');
+
+const { imageUploadFormat, imageUploaderUid, isSanitizedObject, sanitizeUpload, IMAGE_MAX_BYTES } = internals;
+
+// In-memory stand-in for the handful of Bucket/File calls sanitizeUpload makes
+function memoryBucket() {
+  const objects = new Map();
+  let generation = 100;
+  const put = (name, data, metadata = {}) => {
+    generation += 1;
+    const object = {
+      name,
+      bucket: 'test-bucket',
+      generation: String(generation),
+      size: String(data.length),
+      md5Hash: crypto.createHash('md5').update(data).digest('base64'),
+      contentType: metadata.contentType || null,
+      metadata: metadata.metadata || {},
+    };
+    objects.set(name, { data, object });
+    return object;
+  };
+  const bucket = {
+    objects,
+    put,
+    file(name) {
+      const file = {
+        metadata: {},
+        async download() { return [objects.get(name).data]; },
+        async delete() { objects.delete(name); },
+        async save(data, opts) {
+          const cur = objects.get(name);
+          const want = opts && opts.preconditionOpts && opts.preconditionOpts.ifGenerationMatch;
+          if (want && (!cur || cur.object.generation !== String(want))) throw Object.assign(new Error('precondition'), { code: 412 });
+          file.metadata = put(name, data, opts.metadata);
+        },
+        async getMetadata() { return [objects.get(name).object]; },
+      };
+      return file;
+    },
+  };
+  return bucket;
+}
+
+const jpegWithExif = () => sharp({ create: { width: 32, height: 24, channels: 3, background: '#c05020' } })
+  .withMetadata({ exif: { IFD0: { Make: 'PhoneCo', Software: 'camera 1.0' } } })
+  .jpeg()
+  .toBuffer();
+
+test('imageUploadFormat tells AVIF apart from HEVC HEIF', () => {
+  assert.equal(imageUploadFormat({ format: 'heif', compression: 'av1' }), 'avif');
+  assert.equal(imageUploadFormat({ format: 'heif', compression: 'hevc' }), 'heif');
+  assert.equal(imageUploadFormat({ format: 'jpeg' }), 'jpeg');
+  assert.equal(imageUploadFormat(null), null);
+});
+
+test('imageUploaderUid trusts the users/ path and uploadedBy elsewhere', () => {
+  assert.equal(imageUploaderUid({ name: 'users/u1/profile.jpg', metadata: { uploadedBy: 'someone-else' } }), 'u1');
+  assert.equal(imageUploaderUid({ name: 'parks/p1/a.jpg', metadata: { uploadedBy: 'u2' } }), 'u2');
+  assert.equal(imageUploaderUid({ name: 'parks/p1/a.jpg' }), null);
+  assert.equal(imageUploaderUid({ name: 'tmp/a.jpg', metadata: { uploadedBy: 'u2' } }), null);
+});
+
+test('isSanitizedObject ignores client metadata and matches generation or content hash', () => {
+  assert.equal(isSanitizedObject(null, { generation: '1', metadata: { sanitized: 'true' } }), false);
+  assert.equal(isSanitizedObject({}, { generation: '1', metadata: { sanitized: 'true' } }), false);
+  assert.equal(isSanitizedObject({ sanitizedGeneration: '7' }, { generation: '7' }), true);
+  assert.equal(isSanitizedObject({ sanitizedGeneration: '7' }, { generation: '8' }), false);
+  assert.equal(isSanitizedObject({ sanitizedGeneration: null, sanitizedMd5: 'abc' }, { generation: '8', md5Hash: 'abc' }), true);
+  assert.equal(isSanitizedObject({ sanitizedMd5: 'abc' }, { generation: '8', md5Hash: 'xyz' }), false);
+});
+
+test('sanitizeUpload rewrites an image without its metadata and records the rewrite', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const bucket = memoryBucket();
+  const object = bucket.put('parks/p1/court.jpg', await jpegWithExif(), { contentType: 'image/jpeg', metadata: { uploadedBy: 'u1', sanitized: 'true' } });
+  assert.ok((await sharp(bucket.objects.get(object.name).data).metadata()).exif, 'fixture carries EXIF');
+  const assetRef = db.collection('imageAssets').doc('a1');
+
+  assert.equal(await sanitizeUpload(db, bucket, object, assetRef), true);
+
+  const stored = bucket.objects.get(object.name);
+  assert.equal((await sharp(stored.data).metadata()).exif, undefined);
+  assert.equal(stored.object.metadata.sanitized, undefined, 'legacy marker dropped');
+  assert.equal(stored.object.metadata.uploadedBy, 'u1');
+  const asset = (await assetRef.get()).data();
+  assert.deepEqual([asset.uploadedBy, asset.format, asset.moderationStatus], ['u1', 'jpeg', 'pending']);
+  assert.equal(isSanitizedObject(asset, stored.object), true, 'the rewrite is recognised on its finalize');
+  assert.equal(isSanitizedObject(asset, object), false);
+  assert.equal((await db.collection('uploadQuotas').doc('u1').get()).data().count, 1);
+});
+
+test('sanitizeUpload keeps AVIF as AVIF', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  const bucket = memoryBucket();
+  const avif = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#2060c0' } }).avif().toBuffer();
+  const object = bucket.put('parks/p1/court.avif', avif, { contentType: 'image/avif', metadata: { uploadedBy: 'u1' } });
+  assert.equal(await sanitizeUpload(db, bucket, object, db.collection('imageAssets').doc('a2')), true);
+  assert.equal(bucket.objects.get(object.name).object.contentType, 'image/avif');
+  assert.equal((await db.collection('imageAssets').doc('a2').get()).data().format, 'avif');
+});
+
+test('sanitizeUpload rejects and deletes oversized, non-image and over-quota uploads', emulatorOnly, async () => {
+  await clearFirestore();
+  const db = admin.firestore();
+  await db.collection('config').doc('app').set({ uploadQuota: { count: 1 } });
+  const bucket = memoryBucket();
+  const reason = async (id) => (await db.collection('imageAssets').doc(id).get()).data().moderationReason;
+
+  const big = bucket.put('parks/p1/big.jpg', Buffer.from('x'), { metadata: { uploadedBy: 'u1' } });
+  big.size = String(IMAGE_MAX_BYTES + 1);
+  assert.equal(await sanitizeUpload(db, bucket, big, db.collection('imageAssets').doc('big')), false);
+  assert.equal(await reason('big'), 'too_large');
+  assert.equal(bucket.objects.has(big.name), false);
+
+  const text = bucket.put('parks/p1/notes.jpg', Buffer.from('<svg onload="alert(1)"/>'), { metadata: { uploadedBy: 'u1' } });
+  assert.equal(await sanitizeUpload(db, bucket, text, db.collection('imageAssets').doc('text')), false);
+  assert.equal(await reason('text'), 'not_an_image');
+  assert.equal(bucket.objects.has(text.name), false);
+
+  const second = bucket.put('parks/p1/second.jpg', await jpegWithExif(), { metadata: { uploadedBy: 'u1' } });
+  assert.equal(await sanitizeUpload(db, bucket, second, db.collection('imageAssets').doc('second')), false);
+  assert.equal(await reason('second'), 'quota_exceeded', 'the rejected text upload used the one allowed');
+  assert.equal(bucket.objects.has(second.name), false);
+});
@@ -13,6 +13,7 @@ class CheckIn {
   final DateTime? checkOutTime;
   final bool isActive;
   final bool inQueue;
+  final String? gameId; // set when checking in via a game QR code
   final DateTime createdAt;
   final DateTime updatedAt;
 
@@ -31,6 +32,7 @@ class CheckIn {
     this.checkOutTime,
     this.isActive = true,
     this.inQueue = true,
+    this.gameId,
     required this.createdAt,
     required this.updatedAt,
   });
@@ -46,10 +48,12 @@ class CheckIn {
     'playerCount': playerCount,
     'preferDoubles': preferDoubles,
     'notes': notes,
-    'checkInTime': checkInTime.toIso8601String(),
-    'checkOutTime': checkOutTime?.toIso8601String(),
+    // Stored in UTC; parsed back to local time in fromJson
+    'checkInTime': checkInTime.toUtc().toIso8601String(),
+    'checkOutTime': checkOutTime?.toUtc().toIso8601String(),
     'isActive': isActive,
     'inQueue': inQueue,
+    'gameId': gameId,
     'createdAt': createdAt.toIso8601String(),
     'updatedAt': updatedAt.toIso8601String(),
   };
@@ -65,10 +69,11 @@ class CheckIn {
     playerCount: json['playerCount'] ?? 0,
     preferDoubles: json['preferDoubles'],
     notes: json['notes'],
-    checkInTime: json['checkInTime'] != null ? DateTime.parse(json['checkInTime']) : DateTime.now(),
-    checkOutTime: json['checkOutTime'] != null ? DateTime.parse(json['checkOutTime']) : null,
+    checkInTime: json['checkInTime'] != null ? DateTime.parse(json['checkInTime']).toLocal() : DateTime.now(),
+    checkOutTime: json['checkOutTime'] != null ? DateTime.parse(json['checkOutTime']).toLocal() : null,
     isActive: json['isActive'] ?? true,
     inQueue: json['inQueue'] ?? true,
+    gameId: json['gameId'],
     createdAt: json['createdAt'] != null ? DateTime.parse(json['createdAt']) : DateTime.now(),
     updatedAt: json['updatedAt'] != null ? DateTime.parse(json['updatedAt']) : DateTime.now(),
   );
@@ -88,6 +93,7 @@ class CheckIn {
     DateTime? checkOutTime,
     bool? isActive,
     bool? inQueue,
+    String? gameId,
     DateTime? createdAt,
     DateTime? updatedAt,
   }) => CheckIn(
@@ -105,6 +111,7 @@ class CheckIn {
     checkOutTime: checkOutTime ?? this.checkOutTime,
     isActive: isActive ?? this.isActive,
     inQueue: inQueue ?? this.inQueue,
+    gameId: gameId ?? this.gameId,
     createdAt: createdAt ?? this.createdAt,
     updatedAt: updatedAt ?? this.updatedAt,
   );
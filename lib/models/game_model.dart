@@ -1,6 +1,7 @@
 import 'package:hoopsight/models/park_model.dart';
 
-enum GameStatus { scheduled, active, completed, cancelled }
+// expired: set by the server lifecycle job when a game ends without being played
+enum GameStatus { scheduled, active, completed, cancelled, expired }
 
 class Game {
   final String id;
@@ -14,6 +15,8 @@ class Game {
   final int maxPlayers;
   final List<String> playerIds;
   final List<String> playerNames;
+  /// Waitlisted user ids in promotion order; maintained server-side by gameJoin/gameLeave.
+  final List<String> waitlistIds;
   final GameStatus status;
   final String? skillLevel;
   final String? notes;
@@ -32,6 +35,7 @@ class Game {
     this.maxPlayers = 10,
     this.playerIds = const [],
     this.playerNames = const [],
+    this.waitlistIds = const [],
     this.status = GameStatus.scheduled,
     this.skillLevel,
     this.notes,
@@ -47,7 +51,7 @@ class Game {
     'sportType': sportType.toString().split('.').last,
     'organizerId': organizerId,
     'organizerName': organizerName,
-    'scheduledTime': scheduledTime.toIso8601String(),
+    'scheduledTime': scheduledTime.toUtc().toIso8601String(),
     'maxPlayers': maxPlayers,
     'playerIds': playerIds,
     'playerNames': playerNames,
@@ -69,10 +73,11 @@ class Game {
     ),
     organizerId: json['organizerId'] ?? '',
     organizerName: json['organizerName'] ?? '',
-    scheduledTime: json['scheduledTime'] != null ? DateTime.parse(json['scheduledTime']) : DateTime.now(),
+    scheduledTime: json['scheduledTime'] != null ? DateTime.parse(json['scheduledTime']).toLocal() : DateTime.now(),
     maxPlayers: json['maxPlayers'] ?? 10,
     playerIds: List<String>.from(json['playerIds'] ?? []),
     playerNames: List<String>.from(json['playerNames'] ?? []),
+    waitlistIds: List<String>.from(json['waitlistIds'] ?? []),
     status: GameStatus.values.firstWhere(
       (e) => e.toString().split('.').last == json['status'],
       orElse: () => GameStatus.scheduled,
@@ -95,6 +100,7 @@ class Game {
     int? maxPlayers,
     List<String>? playerIds,
     List<String>? playerNames,
+    List<String>? waitlistIds,
     GameStatus? status,
     String? skillLevel,
     String? notes,
@@ -112,6 +118,7 @@ class Game {
     maxPlayers: maxPlayers ?? this.maxPlayers,
     playerIds: playerIds ?? this.playerIds,
     playerNames: playerNames ?? this.playerNames,
+    waitlistIds: waitlistIds ?? this.waitlistIds,
     status: status ?? this.status,
     skillLevel: skillLevel ?? this.skillLevel,
     notes: notes ?? this.notes,
@@ -85,6 +85,13 @@ class _GameDetailPageState extends State<GameDetailPage> {
     return user != null && _game.playerIds.contains(user.uid);
   }
 
+  /// 1-based waitlist position of the current user, or 0 when not waitlisted.
+  int get _waitlistPosition {
+    final user = _authService.currentUser;
+    if (user == null) return 0;
+    return _game.waitlistIds.indexOf(user.uid) + 1;
+  }
+
   bool get _isGameOrganizer {
     final user = _authService.currentUser;
     return user != null && _game.organizerId == user.uid;
@@ -101,7 +108,7 @@ class _GameDetailPageState extends State<GameDetailPage> {
     setState(() => _isLoading = true);
 
     try {
-      await _gameService.joinGame(_game.id, user.uid, appUser.displayName);
+      final joinStatus = await _gameService.joinGame(_game.id);
       final updatedGame = await _gameService.getGame(_game.id);
       if (updatedGame != null) {
         setState(() {
@@ -110,7 +117,11 @@ class _GameDetailPageState extends State<GameDetailPage> {
         });
         if (mounted) {
           ScaffoldMessenger.of(context).showSnackBar(
-            const SnackBar(content: Text('Joined game successfully!')),
+            SnackBar(
+              content: Text(joinStatus == 'waitlisted'
+                  ? 'Game is full. You were added to the waitlist.'
+                  : 'Joined game successfully!'),
+            ),
           );
         }
       }
@@ -134,7 +145,8 @@ class _GameDetailPageState extends State<GameDetailPage> {
     setState(() => _isLoading = true);
 
     try {
-      await _gameService.leaveGame(_game.id, user.uid, appUser.displayName);
+      final wasWaitlisted = _waitlistPosition > 0;
+      await _gameService.leaveGame(_game.id);
       final updatedGame = await _gameService.getGame(_game.id);
       if (updatedGame != null) {
         setState(() {
@@ -143,7 +155,7 @@ class _GameDetailPageState extends State<GameDetailPage> {
         });
         if (mounted) {
           ScaffoldMessenger.of(context).showSnackBar(
-            const SnackBar(content: Text('Left game successfully')),
+            SnackBar(content: Text(wasWaitlisted ? 'Left the waitlist' : 'Left game successfully')),
           );
         }
       }
@@ -579,13 +591,11 @@ class _GameDetailPageState extends State<GameDetailPage> {
                       child: ElevatedButton(
                         onPressed: _isLoading
                             ? null
-                            : _isUserInGame
+                            : (_isUserInGame || _waitlistPosition > 0)
                                 ? _leaveGame
-                                : _game.playerIds.length < _game.maxPlayers
-                                    ? _joinGame
-                                    : null,
+                                : _joinGame,
                         style: ElevatedButton.styleFrom(
-                          backgroundColor: _isUserInGame
+                          backgroundColor: (_isUserInGame || _waitlistPosition > 0)
                               ? theme.colorScheme.error
                               : theme.colorScheme.primary,
                           padding: const EdgeInsets.symmetric(vertical: 16),
@@ -602,9 +612,11 @@ class _GameDetailPageState extends State<GameDetailPage> {
                             : Text(
                                 _isUserInGame
                                     ? 'Leave Game'
-                                    : _game.playerIds.length >= _game.maxPlayers
-                                        ? 'Game Full'
-                                        : 'Join Game',
+                                    : _waitlistPosition > 0
+                                        ? 'Leave Waitlist (#$_waitlistPosition of ${_game.waitlistIds.length})'
+                                        : _game.playerIds.length >= _game.maxPlayers
+                                            ? 'Game Full – Join Waitlist'
+                                            : 'Join Game',
                                 style: const TextStyle(
                                   fontSize: 16,
                                   fontWeight: FontWeight.bold,
@@ -324,6 +324,8 @@ class _GameCard extends StatelessWidget {
         return Colors.grey;
       case GameStatus.cancelled:
         return Colors.red;
+      case GameStatus.expired:
+        return Colors.blueGrey;
     }
   }
 
@@ -24,8 +24,10 @@ import 'package:intl/intl.dart';
 
 class ParkDetailPage extends StatefulWidget {
   final Park park;
+  /// Opens the check-in dialog once the park has loaded (notification "Check in" action).
+  final bool openCheckIn;
 
-  const ParkDetailPage({super.key, required this.park});
+  const ParkDetailPage({super.key, required this.park, this.openCheckIn = false});
 
   @override
   State<ParkDetailPage> createState() => _ParkDetailPageState();
@@ -59,7 +61,11 @@ class _ParkDetailPageState extends State<ParkDetailPage> with SingleTickerProvid
     super.initState();
     _park = widget.park;
     _tabController = TabController(length: 4, vsync: this);
-    _loadData();
+    _loadData().then((_) {
+      if (widget.openCheckIn && mounted && _activeCheckIn == null) {
+        _showCheckInDialog();
+      }
+    });
   }
 
   Future<void> _showReportDialogForReview(Review review) async {
@@ -201,7 +207,7 @@ class _ParkDetailPageState extends State<ParkDetailPage> with SingleTickerProvid
 
   Future<void> _loadGames() async {
     final games = await _gameService.getGamesByPark(_park.id);
-    setState(() => _games = games.where((g) => g.status != GameStatus.completed && g.status != GameStatus.cancelled).toList());
+    setState(() => _games = games.where((g) => g.status != GameStatus.completed && g.status != GameStatus.cancelled && g.status != GameStatus.expired).toList());
   }
 
   Future<void> _loadCheckIns() async {
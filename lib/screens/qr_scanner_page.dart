@@ -82,7 +82,12 @@ class _QrScannerPageState extends State<QrScannerPage> {
     }
     try {
       // 1) Join the game (idempotent if already joined)
-      await _gameService.joinGame(gameId, user.uid, appUser.displayName);
+      final joinStatus = await _gameService.joinGame(gameId);
+      if (joinStatus == 'waitlisted') {
+        _showSnack('Game is full. You were added to the waitlist.');
+        if (mounted) Navigator.pop(context);
+        return;
+      }
 
       // 2) Fetch game details to determine park/court for automatic check-in
       final game = await _gameService.getGame(gameId);
@@ -123,6 +128,7 @@ class _QrScannerPageState extends State<QrScannerPage> {
         parkName: game.parkName,
         courtNumber: courtNumber,
         playerCount: count,
+        gameId: gameId,
         checkInTime: now,
         createdAt: now,
         updatedAt: now,
@@ -252,6 +258,7 @@ class _QrScannerPageState extends State<QrScannerPage> {
         parkName: parkName,
         courtNumber: courtNumber ?? 1,
         playerCount: count,
+        gameId: params['gameId'],
         checkInTime: now,
         createdAt: now,
         updatedAt: now,
@@ -337,12 +337,9 @@ class AuthService {
       final playerGames = await _gameService.getUserGames(userId);
       for (final game in playerGames) {
         try {
-          await _gameService.leaveGame(game.id, userId, userName ?? '');
-        } catch (_) {
-          // Fallback direct update
-          await _db.collection('games').doc(game.id).update({
-            'playerIds': FieldValue.arrayRemove([userId]),
-          });
+          await _gameService.leaveGame(game.id);
+        } catch (e) {
+          debugPrint('Warning: failed to leave game ${game.id}: $e');
         }
       }
     } catch (e) {
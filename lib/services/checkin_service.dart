@@ -1,20 +1,13 @@
 import 'package:cloud_firestore/cloud_firestore.dart';
-import 'package:flutter/foundation.dart';
 import 'package:hoopsight/models/checkin_model.dart';
-import 'package:hoopsight/services/park_service.dart';
 
 class CheckInService {
   final FirebaseFirestore _db = FirebaseFirestore.instance;
-  final ParkService _parkService = ParkService();
 
+  // Court player counts are maintained server-side by the check-in triggers
+  // (updateCourtPlayerCountOn*), so these methods only write the check-in doc.
   Future<void> checkIn(CheckIn checkIn) async {
-    // Create check-in document
     await _db.collection('checkins').doc(checkIn.id).set(checkIn.toJson());
-    
-    // Increment court player count only if user is actively playing (not just queued)
-    if (checkIn.isActive && !(checkIn.inQueue)) {
-      await _incrementCourtPlayerCount(checkIn.parkId, checkIn.courtNumber, checkIn.playerCount);
-    }
   }
 
   Future<void> createCheckIn(CheckIn checkIn) async {
@@ -26,23 +19,13 @@ class CheckInService {
   }
 
   Future<void> checkOut(String checkInId) async {
-    // Get check-in details before updating
+    // Only update existing check-ins (update() would throw on a missing doc)
     final checkInDoc = await _db.collection('checkins').doc(checkInId).get();
     if (checkInDoc.exists) {
-      final checkInData = checkInDoc.data()!;
-      final parkId = checkInData['parkId'] as String;
-      final courtNumber = checkInData['courtNumber'] as int;
-      // Safely parse numeric value even if stored as double
-      final playerCount = (checkInData['playerCount'] as num?)?.toInt() ?? 1;
-      
-      // Update check-in to inactive
       await _db.collection('checkins').doc(checkInId).update({
-        'checkOutTime': DateTime.now().toIso8601String(),
+        'checkOutTime': DateTime.now().toUtc().toIso8601String(),
         'isActive': false,
       });
-      
-      // Decrement court player count by the number of players that were checked in
-      await _decrementCourtPlayerCount(parkId, courtNumber, playerCount);
     }
   }
 
@@ -93,61 +76,6 @@ class CheckInService {
   }
 
   Future<void> deleteCheckIn(String checkInId) async {
-    // Get check-in details before deleting
-    final checkInDoc = await _db.collection('checkins').doc(checkInId).get();
-    if (checkInDoc.exists) {
-      final checkInData = checkInDoc.data()!;
-      final isActive = checkInData['isActive'] as bool? ?? false;
-      
-      // Only decrement if the check-in was still active
-      if (isActive) {
-        final parkId = checkInData['parkId'] as String;
-        final courtNumber = checkInData['courtNumber'] as int;
-        // Safely parse numeric value even if stored as double
-        final playerCount = (checkInData['playerCount'] as num?)?.toInt() ?? 1;
-        await _decrementCourtPlayerCount(parkId, courtNumber, playerCount);
-      }
-      
-      await _db.collection('checkins').doc(checkInId).delete();
-    }
-  }
-
-  // Helper: Increment court player count
-  Future<void> _incrementCourtPlayerCount(String parkId, int courtNumber, int playersToAdd) async {
-    try {
-      final park = await _parkService.getPark(parkId);
-      if (park != null) {
-        final courtIndex = park.courts.indexWhere((c) => c.courtNumber == courtNumber);
-        if (courtIndex != -1) {
-          final court = park.courts[courtIndex];
-          final currentCount = court.playerCount;
-          final newCount = currentCount + playersToAdd;
-          debugPrint('🏀 Incrementing Court ${courtNumber} player count: $currentCount → $newCount (added $playersToAdd players)');
-          await _parkService.updateCourtPlayerCount(parkId, court.id, newCount);
-        }
-      }
-    } catch (e) {
-      debugPrint('Error incrementing court player count: $e');
-    }
-  }
-
-  // Helper: Decrement court player count
-  Future<void> _decrementCourtPlayerCount(String parkId, int courtNumber, int playersToRemove) async {
-    try {
-      final park = await _parkService.getPark(parkId);
-      if (park != null) {
-        final courtIndex = park.courts.indexWhere((c) => c.courtNumber == courtNumber);
-        if (courtIndex != -1) {
-          final court = park.courts[courtIndex];
-          final currentCount = court.playerCount;
-          // Don't go below 0
-          final newCount = (currentCount - playersToRemove).clamp(0, double.infinity).toInt();
-          debugPrint('🏀 Decrementing Court ${courtNumber} player count: $currentCount → $newCount (removed $playersToRemove players)');
-          await _parkService.updateCourtPlayerCount(parkId, court.id, newCount);
-        }
-      }
-    } catch (e) {
-      debugPrint('Error decrementing court player count: $e');
-    }
+    await _db.collection('checkins').doc(checkInId).delete();
   }
 }
@@ -41,7 +41,7 @@ class FriendService {
     );
 
     await _db.collection('friend_requests').doc(request.id).set(request.toJson());
-    await _notificationService.sendFriendRequestNotification(receiverId, senderName);
+    await _notificationService.sendFriendRequestNotification(receiverId, senderName, requestId: request.id, senderId: senderId);
   }
 
   Future<void> acceptFriendRequest(String requestId, String currentUserId) async {
@@ -51,7 +51,10 @@ class FriendService {
     final data = doc.data()!;
     data['id'] = doc.id;
     final request = FriendRequest.fromJson(data);
-    
+    if (request.receiverId != currentUserId) {
+      throw Exception('Only the recipient can accept this friend request');
+    }
+
     await _db.collection('friend_requests').doc(requestId).update({
       'status': 'accepted',
       'updatedAt': DateTime.now().toIso8601String(),
@@ -1,15 +1,22 @@
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:hoopsight/models/game_model.dart';
 
 class GameService {
   final FirebaseFirestore _db = FirebaseFirestore.instance;
+  // Use explicit region to avoid callable mismatches (backend defaults to us-central1)
+  final FirebaseFunctions _functions = FirebaseFunctions.instanceFor(region: 'us-central1');
 
   Future<void> createGame(Game game) async {
     await _db.collection('games').doc(game.id).set(game.toJson());
   }
 
+  /// Roster fields are owned by the gameJoin/gameLeave callables and are never written here.
   Future<void> updateGame(Game game) async {
-    await _db.collection('games').doc(game.id).update(game.toJson());
+    final data = game.toJson()
+      ..remove('playerIds')
+      ..remove('playerNames');
+    await _db.collection('games').doc(game.id).update(data);
   }
 
   Future<Game?> getGame(String gameId) async {
@@ -46,7 +53,7 @@ class GameService {
     final now = DateTime.now();
     final snapshot = await _db
         .collection('games')
-        .where('scheduledTime', isGreaterThan: now.toIso8601String())
+        .where('scheduledTime', isGreaterThan: now.toUtc().toIso8601String())
         .where('status', isEqualTo: 'scheduled')
         .orderBy('scheduledTime')
         .limit(20)
@@ -78,21 +85,19 @@ class GameService {
     return games;
   }
 
-  Future<void> joinGame(String gameId, String userId, String userName) async {
-    final game = await getGame(gameId);
-    if (game != null && game.playerIds.length < game.maxPlayers) {
-      await _db.collection('games').doc(gameId).update({
-        'playerIds': FieldValue.arrayUnion([userId]),
-        'playerNames': FieldValue.arrayUnion([userName]),
-      });
-    }
+  /// Joins the signed-in user via the 'gameJoin' callable, which enforces maxPlayers
+  /// and puts overflow players on the waitlist.
+  /// Returns 'joined' or 'waitlisted'.
+  Future<String> joinGame(String gameId) async {
+    final result = await _functions.httpsCallable('gameJoin').call({'gameId': gameId});
+    final data = result.data;
+    return (data is Map ? data['status']?.toString() : null) ?? 'joined';
   }
 
-  Future<void> leaveGame(String gameId, String userId, String userName) async {
-    await _db.collection('games').doc(gameId).update({
-      'playerIds': FieldValue.arrayRemove([userId]),
-      'playerNames': FieldValue.arrayRemove([userName]),
-    });
+  /// Leaves the game (or its waitlist) via the 'gameLeave' callable; the server
+  /// promotes the next waitlisted player.
+  Future<void> leaveGame(String gameId) async {
+    await _functions.httpsCallable('gameLeave').call({'gameId': gameId});
   }
 
   Future<void> cancelGame(String gameId) async {
@@ -1,12 +1,19 @@
 import 'dart:async';
 
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:firebase_messaging/firebase_messaging.dart';
+import 'package:flutter/foundation.dart';
 import 'package:flutter/material.dart';
 import 'package:flutter_local_notifications/flutter_local_notifications.dart';
 import 'package:hoopsight/main.dart';
+import 'package:hoopsight/screens/friends_page.dart';
+import 'package:hoopsight/screens/game_detail_page.dart';
 import 'package:hoopsight/screens/park_detail_page.dart';
+import 'package:hoopsight/services/game_service.dart';
 import 'package:hoopsight/services/park_service.dart';
+import 'package:hoopsight/utils/web_url.dart';
 
 class NotificationService {
   final FirebaseMessaging _messaging = FirebaseMessaging.instance;
@@ -19,11 +26,15 @@ class NotificationService {
 
   StreamSubscription<String>? _tokenRefreshSubscription;
 
+  // Query parameters of web push deep links (see WEB_DEEP_LINK_KEYS in functions/index.js)
+  static const _webDeepLinkKeys = ['notif', 'parkId', 'courtId', 'courtNumber', 'gameId', 'requestId', 'action'];
+
   Future<void> initialize() async {
     // Do NOT request push permission here. We defer until the user enables it.
     await _initializeLocalNotifications();
     await _configureForegroundNotifications();
     await _configureBackgroundNotificationHandlers();
+    _handleWebDeepLink();
     // Do not call getToken() here on web/iOS; it implicitly requires permission.
     // We fetch and save the token only after the user explicitly enables notifications
     // from the Profile page toggle (requestNotificationPermission + ensureAndSaveFCMToken).
@@ -76,6 +87,23 @@ class NotificationService {
     }
   }
 
+  /// Web push clicks open the app on a deep link built by the server (webPushConfig in
+  /// functions/index.js), e.g. /?notif=checkin&parkId=...&action=join_queue.
+  /// Anyone can craft such a link, so it only navigates; actions need an in-app tap.
+  void _handleWebDeepLink() {
+    if (!kIsWeb) return;
+    final params = Uri.base.queryParameters;
+    final type = params['notif'];
+    if (type == null || type.isEmpty) return;
+    final data = <String, dynamic>{...params, 'type': type}..remove('notif');
+    // Consume the link so a reload doesn't open it again
+    removeQueryParameters(_webDeepLinkKeys);
+    debugPrint('Notification deep link opened app: $data');
+    Future.delayed(const Duration(seconds: 1), () {
+      _handleNotificationClick(data);
+    });
+  }
+
   void _onNotificationTapped(NotificationResponse response) {
     debugPrint('Local notification tapped: ${response.payload}');
     if (response.payload != null) {
@@ -86,30 +114,103 @@ class NotificationService {
     }
   }
 
+  /// Opens the screen a notification points at. Never changes state on its own: accepting a
+  /// friend request happens on FriendsPage, and joining a queue asks for confirmation first.
   void _handleNotificationClick(Map<String, dynamic> data) async {
     final type = data['type'];
     final parkId = data['parkId'];
+    final gameId = data['gameId'];
+    final action = data['action'];
+    final context = navigatorKey.currentContext;
+    if (context == null) return;
 
-    if (type == 'checkin' && parkId != null) {
+    if (type == 'friend_request') {
+      if (context.mounted) {
+        Navigator.of(context).push(
+          MaterialPageRoute(builder: (_) => const FriendsPage()),
+        );
+      }
+      return;
+    }
+
+    if (gameId != null && gameId.toString().isNotEmpty) {
+      try {
+        final game = await GameService().getGame(gameId);
+        if (game != null && context.mounted) {
+          Navigator.of(context).push(
+            MaterialPageRoute(
+              builder: (_) => GameDetailPage(game: game),
+            ),
+          );
+          return;
+        }
+      } catch (e) {
+        debugPrint('Error fetching game for notification: $e');
+      }
+    }
+
+    if (parkId != null && parkId.toString().isNotEmpty) {
       // Fetch park data and navigate to park detail page
-      final context = navigatorKey.currentContext;
-      if (context != null) {
-        try {
-          final park = await ParkService().getPark(parkId);
-          if (park != null && context.mounted) {
-            Navigator.of(context).push(
-              MaterialPageRoute(
-                builder: (_) => ParkDetailPage(park: park),
-              ),
-            );
+      try {
+        final park = await ParkService().getPark(parkId);
+        if (park != null && context.mounted) {
+          Navigator.of(context).push(
+            MaterialPageRoute(
+              builder: (_) => ParkDetailPage(park: park, openCheckIn: action == 'checkin'),
+            ),
+          );
+          if (action == 'join_queue') {
+            await _confirmJoinQueue(park.name, data);
           }
-        } catch (e) {
-          debugPrint('Error fetching park for notification: $e');
         }
+      } catch (e) {
+        debugPrint('Error fetching park for notification: $e');
       }
     }
   }
 
+  Future<void> _confirmJoinQueue(String parkName, Map<String, dynamic> data) async {
+    final context = navigatorKey.currentContext;
+    if (context == null || FirebaseAuth.instance.currentUser == null) return;
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (dialogContext) => AlertDialog(
+        title: const Text('Join the queue?'),
+        content: Text('Add yourself to the Got Next queue at $parkName?'),
+        actions: [
+          TextButton(
+            onPressed: () => Navigator.of(dialogContext).pop(false),
+            child: const Text('Not now'),
+          ),
+          ElevatedButton(
+            onPressed: () => Navigator.of(dialogContext).pop(true),
+            child: const Text('Join Queue'),
+          ),
+        ],
+      ),
+    );
+    if (confirmed == true) {
+      await _joinQueueFromNotification(data);
+    }
+  }
+
+  Future<void> _joinQueueFromNotification(Map<String, dynamic> data) async {
+    if (FirebaseAuth.instance.currentUser == null) return;
+    final courtId = data['courtId']?.toString() ?? '';
+    final courtNumber = int.tryParse(data['courtNumber']?.toString() ?? '');
+    if (courtId.isEmpty && courtNumber == null) return;
+    try {
+      final callable = FirebaseFunctions.instanceFor(region: 'us-central1').httpsCallable('queueJoin');
+      await callable.call({
+        'parkId': data['parkId'],
+        if (courtId.isNotEmpty) 'courtId': courtId,
+        if (courtId.isEmpty) 'courtNumber': courtNumber,
+      });
+    } on FirebaseFunctionsException catch (e) {
+      debugPrint('Join queue from notification failed: ${e.code} ${e.message}');
+    }
+  }
+
   Future<void> _showLocalNotification(String title, String body, Map<String, dynamic> data) async {
     final payload = '${data['type'] ?? 'unknown'}|${data['parkId'] ?? ''}';
     
@@ -252,11 +353,13 @@ class NotificationService {
     await ensureAndSaveFCMToken(userId);
   }
 
-  Future<void> sendFriendRequestNotification(String userId, String senderName) async {
+  Future<void> sendFriendRequestNotification(String userId, String senderName, {String? requestId, String? senderId}) async {
     await _db.collection('notifications').add({
       'userId': userId,
       'type': 'friend_request',
       'senderName': senderName,
+      if (requestId != null) 'requestId': requestId,
+      if (senderId != null) 'senderId': senderId,
       'title': 'New Friend Request',
       'body': '$senderName sent you a friend request',
       'createdAt': DateTime.now().toIso8601String(),
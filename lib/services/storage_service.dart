@@ -1,14 +1,37 @@
 
 import 'package:flutter/foundation.dart';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:firebase_storage/firebase_storage.dart';
 
 class StorageService {
   final FirebaseStorage _storage = FirebaseStorage.instance;
 
+  /// Content type from the file extension plus the uploader's uid, which the
+  /// backend uses for per-user upload quotas (see onImageFinalize). storage.rules
+  /// rejects uploads whose uploadedBy isn't the signed-in user.
+  SettableMetadata _imageMetadata(String fileName) {
+    final ext = fileName.split('.').last.toLowerCase();
+    const types = {
+      'jpg': 'image/jpeg',
+      'jpeg': 'image/jpeg',
+      'png': 'image/png',
+      'webp': 'image/webp',
+      'gif': 'image/gif',
+      'avif': 'image/avif',
+      'heic': 'image/heic',
+      'heif': 'image/heif',
+    };
+    final uid = FirebaseAuth.instance.currentUser?.uid;
+    return SettableMetadata(
+      contentType: types[ext] ?? 'image/jpeg',
+      customMetadata: {if (uid != null) 'uploadedBy': uid},
+    );
+  }
+
   Future<String> uploadParkPhoto(String parkId, Uint8List imageData, String fileName) async {
     try {
       final ref = _storage.ref().child('parks/$parkId/$fileName');
-      await ref.putData(imageData);
+      await ref.putData(imageData, _imageMetadata(fileName));
       return await ref.getDownloadURL();
     } catch (e) {
       debugPrint('Error uploading park photo: $e');
@@ -19,7 +42,7 @@ class StorageService {
   Future<String> uploadUserPhoto(String userId, Uint8List imageData) async {
     try {
       final ref = _storage.ref().child('users/$userId/profile.jpg');
-      await ref.putData(imageData);
+      await ref.putData(imageData, _imageMetadata('profile.jpg'));
       return await ref.getDownloadURL();
     } catch (e) {
       debugPrint('Error uploading user photo: $e');
@@ -30,7 +53,7 @@ class StorageService {
   Future<String> uploadReviewPhoto(String reviewId, Uint8List imageData, String fileName) async {
     try {
       final ref = _storage.ref().child('reviews/$reviewId/$fileName');
-      await ref.putData(imageData);
+      await ref.putData(imageData, _imageMetadata(fileName));
       return await ref.getDownloadURL();
     } catch (e) {
       debugPrint('Error uploading review photo: $e');
@@ -41,7 +64,7 @@ class StorageService {
   Future<String> uploadReportEvidence(String reportId, Uint8List imageData, String fileName) async {
     try {
       final ref = _storage.ref().child('reports/$reportId/$fileName');
-      await ref.putData(imageData);
+      await ref.putData(imageData, _imageMetadata(fileName));
       return await ref.getDownloadURL();
     } catch (e) {
       debugPrint('Error uploading report evidence: $e');
@@ -0,0 +1,2 @@
+// Browser URL helpers. The dart:html implementation is only compiled into web builds.
+export 'web_url/web_url_stub.dart' if (dart.library.html) 'web_url/web_url_html.dart';
@@ -0,0 +1,13 @@
+import 'dart:html' as html;
+
+/// Drops [keys] from the address bar without reloading, so a reload does not
+/// replay whatever the query string triggered.
+void removeQueryParameters(Iterable<String> keys) {
+  final uri = Uri.parse(html.window.location.href);
+  final remaining = Map<String, String>.from(uri.queryParameters)
+    ..removeWhere((key, _) => keys.contains(key));
+  final cleaned = uri.replace(queryParameters: remaining.isEmpty ? null : remaining);
+  var url = cleaned.toString();
+  if (remaining.isEmpty && url.endsWith('?')) url = url.substring(0, url.length - 1);
+  html.window.history.replaceState(null, '', url);
+}
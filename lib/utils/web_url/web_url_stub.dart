@@ -0,0 +1,2 @@
+/// No browser address bar outside the web build.
+void removeQueryParameters(Iterable<String> keys) {}
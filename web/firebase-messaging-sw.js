@@ -13,35 +13,85 @@ firebase.initializeApp({
 
 const messaging = firebase.messaging();
 
+// Deep links and action buttons come from the server (webPushConfig() in functions/index.js)
+// as data.webLink and data.webActions (JSON); this worker only renders and routes them.
+
+// Notifications shown by the FCM SDK wrap the message in data.FCM_MSG
+function messageData(notification) {
+  const data = (notification && notification.data) || {};
+  if (data.FCM_MSG) return data.FCM_MSG.data || {};
+  return data;
+}
+
+function messageActions(data) {
+  try {
+    const actions = JSON.parse(data.webActions || '[]');
+    return Array.isArray(actions) ? actions : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+// One notification per park (later pushes replace earlier ones), else one per type
+function notificationTag(data) {
+  if (data.tag) return data.tag;
+  if (data.parkId) return `park-${data.parkId}`;
+  return data.type || 'notification';
+}
+
+function deepLinkUrl(data, action) {
+  const url = new URL(data.webLink || '/', self.location.origin);
+  if (url.origin !== self.location.origin) return new URL('/', self.location.origin).href;
+  if (action) url.searchParams.set('action', action);
+  return url.href;
+}
+
+// Data-only messages. Messages with a notification payload are displayed by the
+// FCM SDK itself (using the webpush tag/actions set server-side), so showing them
+// here too would duplicate every push.
 messaging.onBackgroundMessage((payload) => {
   console.log('[firebase-messaging-sw.js] Received background message ', payload);
-  
-  const notificationTitle = payload.notification?.title || 'New Notification';
+  if (payload.notification) return;
+
+  const data = payload.data || {};
+  const notificationTitle = data.title || 'New Notification';
   const notificationOptions = {
-    body: payload.notification?.body || '',
+    body: data.body || '',
     icon: '/icons/Icon-192.png',
     badge: '/icons/Icon-192.png',
-    tag: payload.data?.tag || 'notification',
-    data: payload.data
+    tag: notificationTag(data),
+    renotify: false,
+    actions: messageActions(data),
+    data
   };
 
   return self.registration.showNotification(notificationTitle, notificationOptions);
 });
 
+// The FCM SDK handles plain clicks on its own notifications (opening webpush.fcmOptions.link);
+// this listener covers action buttons and notifications shown above.
 self.addEventListener('notificationclick', (event) => {
-  console.log('[firebase-messaging-sw.js] Notification clicked', event);
+  console.log('[firebase-messaging-sw.js] Notification clicked', event.action, event);
   event.notification.close();
 
+  const data = messageData(event.notification);
+  const targetUrl = deepLinkUrl(data, event.action);
+
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true })
       .then((clientList) => {
         for (const client of clientList) {
-          if (client.url === self.location.origin && 'focus' in client) {
+          if (new URL(client.url).origin !== self.location.origin) continue;
+          // Reload the open app on the deep link so it routes on startup
+          if ('navigate' in client) {
+            return client.navigate(targetUrl).then((c) => (c || client).focus());
+          }
+          if ('focus' in client) {
             return client.focus();
           }
         }
         if (clients.openWindow) {
-          return clients.openWindow('/');
+          return clients.openWindow(targetUrl);
         }
       })
   );